@@ -2,636 +2,6830 @@
 let currentUser = null;
 let currentActiveTab = 'dashboard';
 let currentSelectedTicketId = null;
-let selectedAttachment = null; // Guardará o arquivo anexado temporariamente {name, type, size, data}
+let currentSelectedSaleId = null; // null com o modal de vendas aberto = criando nova oportunidade
+let selectedAttachment = null; // Guardará o arquivo anexado temporariamente {id, name, type, size, blob}
+let pendingCommentAttachments = []; // Arquivos aguardando envio junto com o próximo comentário
 
 // Instâncias Globais dos Gráficos do Chart.js para destruição/recriação limpa
 let chartSectorDestInstance = null;
 let chartFlowIOInstance = null;
 let chartSalesTrendInstance = null;
+let chartSlaComplianceInstance = null;
+let chartResolutionTimeInstance = null;
+let chartBacklogAgingInstance = null;
+let chartCumulativeFlowInstance = null;
+
+// Setores padrão da empresa (origem e destino dos chamados); nome, cor e situação são editáveis no console de administração
+const DEFAULT_SECTORS = [
+  { name: "Vendas", color: "#FFD200", active: true },
+  { name: "Admin/Financeiro", color: "#FFFFFF", active: true },
+  { name: "TI", color: "#38BDF8", active: true },
+  { name: "Marketing", color: "#F87171", active: true }
+];
+
+// Setor dono do pipeline de vendas (cadastra e movimenta oportunidades); também escolhido no console de administração
+const DEFAULT_SALES_SECTOR = "Vendas";
 
 // Inicialização
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  // Checklist das regras de senha do cadastro
+  updatePasswordRulesChecklist("reg-senha", "reg-senha-rules");
+
   // Inicializa ícones lucide
   lucide.createIcons();
-  
-  // Verifica se o usuário já está logado na sessão ativa
-  const sessionUser = sessionStorage.getItem("current_rocket_user");
-  if (sessionUser) {
-    currentUser = JSON.parse(sessionUser);
+
+  // Casca do portal em cache para uso sem rede e instalação como aplicativo
+  registerServiceWorker();
+
+  // Clique fora do painel de notificações o fecha
+  document.addEventListener("click", closeNotificationPanel);
+
+  // Carrega os dados do servidor (ou do localStorage no modo demonstração) antes de qualquer tela
+  await initDataStore();
+
+  // Verifica se o usuário já está logado numa sessão ativa (e não expirada por inatividade)
+  const restored = restoreSession();
+
+  // Atualiza dados gravados por versões anteriores do SISMV para o formato atual
+  const migrationError = await runMigrations();
+  populateSectorSelects();
+
+  if (restored) {
     showPlatform();
+    if (migrationError) showToast("error", migrationError);
   } else {
     showAuthScreen();
+    if (migrationError) showAlert("error", migrationError);
   }
 });
 
-// ================= ROTEAMENTO E TABS =================
-function switchAuthTab(tab) {
-  const loginForm = document.getElementById("login-form");
-  const registerForm = document.getElementById("register-form");
-  const loginToggle = document.getElementById("tab-login-toggle");
-  const registerToggle = document.getElementById("tab-register-toggle");
-  const alertBox = document.getElementById("auth-alert");
+// ================= CAMADA DE ACESSO A DADOS =================
+// Coleções persistidas: chave no localStorage (modo demonstração) e campo identificador (usado pela API REST)
+const DATA_COLLECTIONS = {
+  users: { storageKey: "rocket_users", idField: "matricula" },
+  tickets: { storageKey: "rocket_tickets", idField: "id" },
+  sales: { storageKey: "rocket_sales", idField: "id" }
+};
 
-  alertBox.style.display = "none";
+// Adaptador offline/demonstração: tudo fica no localStorage deste navegador
+class LocalStorageAdapter {
+  constructor() {
+    this.mode = "local";
+    this.files = new IndexedDbFileStore();
+  }
 
-  if (tab === 'login') {
-    loginForm.style.display = "block";
-    registerForm.style.display = "none";
-    loginToggle.classList.add("active");
-    registerToggle.classList.remove("active");
+  async init() {
+    // Popula os dados de demonstração (mockData.js) na primeira visita
+    if (!localStorage.getItem(DATA_COLLECTIONS.tickets.storageKey)) {
+      localStorage.setItem(DATA_COLLECTIONS.tickets.storageKey, JSON.stringify(initialTickets));
+    }
+    if (!localStorage.getItem(DATA_COLLECTIONS.sales.storageKey)) {
+      localStorage.setItem(DATA_COLLECTIONS.sales.storageKey, JSON.stringify(initialSales));
+    }
+  }
+
+  readCollection(name) {
+    return JSON.parse(localStorage.getItem(DATA_COLLECTIONS[name].storageKey)) || [];
+  }
+
+  writeCollection(name, items) {
+    localStorage.setItem(DATA_COLLECTIONS[name].storageKey, JSON.stringify(items));
+  }
+
+  readSetting(key) {
+    return JSON.parse(localStorage.getItem(`rocket_${key}`));
+  }
+
+  writeSetting(key, value) {
+    localStorage.setItem(`rocket_${key}`, JSON.stringify(value));
+  }
+
+  // Os dados já são lidos direto do localStorage a cada acesso
+  async reload() {
+    return false;
+  }
+
+  // O evento "storage" só dispara nas outras abas/janelas deste navegador que usam o mesmo localStorage
+  subscribe(onChange) {
+    window.addEventListener("storage", event => {
+      if (event.key === null || event.key.startsWith("rocket_")) onChange();
+    });
+  }
+
+  // O conteúdo dos anexos fica no IndexedDB (sem o limite de ~5MB do localStorage e sem Base64)
+  putAttachment(id, ticketId, blob) {
+    return this.files.put({ id, ticketId, blob, storedAt: new Date().toISOString() });
+  }
+
+  async getAttachment(id) {
+    const record = await this.files.get(id);
+    return record ? record.blob : null;
+  }
+
+  async estimateStorage() {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      return { usage, quota };
+    }
+    return { usage: await this.files.totalSize(), quota: null };
+  }
+}
+
+// Arquivos (Blobs) dos anexos no IndexedDB do navegador, um registro por anexo com o ID do chamado
+const ATTACHMENT_DB_NAME = "rocket_attachments";
+const ATTACHMENT_STORE_NAME = "files";
+
+class IndexedDbFileStore {
+  constructor() {
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("este navegador não oferece IndexedDB"));
+          return;
+        }
+        const request = indexedDB.open(ATTACHMENT_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(ATTACHMENT_STORE_NAME, { keyPath: "id" });
+          store.createIndex("ticketId", "ticketId");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Permite tentar de novo depois de uma falha ao abrir o banco
+      this.db.catch(() => { this.db = null; });
+    }
+    return this.db;
+  }
+
+  // Executa uma operação numa transação e resolve com o resultado quando ela termina (erros de cota abortam a transação)
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(ATTACHMENT_STORE_NAME, mode);
+      const request = operation(transaction.objectStore(ATTACHMENT_STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error("gravação cancelada"));
+    });
+  }
+
+  put(record) {
+    return this.run("readwrite", store => store.put(record)).then(() => record);
+  }
+
+  get(id) {
+    return this.run("readonly", store => store.get(id));
+  }
+
+  async totalSize() {
+    const records = await this.run("readonly", store => store.getAll());
+    return records.reduce((sum, record) => sum + record.blob.size, 0);
+  }
+}
+
+// Cópia dos dados do servidor e fila de gravações feitas sem conexão: sobrevivem a recarregar a página offline
+const SERVER_SNAPSHOT_KEY = "rocket_server_snapshot";
+const SERVER_OUTBOX_KEY = "rocket_server_outbox";
+const RECONNECT_INTERVAL_MS = 30 * 1000;
+
+// Adaptador do servidor: mantém um cache em memória (a interface continua síncrona)
+// e envia para a API apenas os registros que mudaram a cada gravação.
+// Sem conexão, as gravações vão para uma fila no localStorage e são reenviadas ao reconectar;
+// cada uma leva a revisão do registro em que se baseou, e o servidor recusa (409) o que mudou nesse meio-tempo.
+// Toda requisição leva o token da sessão emitido pelo servidor no login; antes dele só a lista de setores é lida.
+class RestAdapter {
+  constructor(baseUrl) {
+    this.mode = "server";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.cache = {};
+    this.settings = {};
+    this.revisions = {};
+    this.online = true;
+    this.reconnecting = false;
+    this.reconnectTimer = null;
+    this.pending = Promise.resolve();
+    this.stream = null;
+    this.onChange = null;
+
+    window.addEventListener("online", () => this.reconnect());
+  }
+
+  getToken() {
+    const session = readSession();
+    return session ? session.token : null;
+  }
+
+  authHeaders(token = this.getToken()) {
+    return token ? { "Authorization": `Bearer ${token}` } : {};
+  }
+
+  async request(method, path, body, token = this.getToken()) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}${path}`, {
+        method: method,
+        headers: Object.assign(body ? { "Content-Type": "application/json" } : {}, this.authHeaders(token)),
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (err) {
+      // Falha de rede (sem internet ou servidor fora do ar), diferente de uma recusa do servidor
+      const offlineError = new Error("Sem conexão com o servidor");
+      offlineError.offline = true;
+      throw offlineError;
+    }
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const err = new Error(error.error || `HTTP ${response.status}`);
+      err.status = response.status;
+      err.details = error;
+      // Sessão que o servidor não reconhece mais (expirou ou o servidor foi reiniciado)
+      if (response.status === 401 && token && token === this.getToken()) handleServerSessionLost();
+      throw err;
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  recordPath(name, id) {
+    return `/${name}/${encodeURIComponent(id)}`;
+  }
+
+  // Sem rede na abertura, usa a última cópia dos dados deste navegador (se houver uma deste mesmo servidor)
+  async init() {
+    try {
+      await this.sync();
+    } catch (err) {
+      // Sessão anterior recusada pelo servidor: segue só com os dados públicos até o próximo login
+      if (err.status === 401) {
+        await this.sync();
+        return;
+      }
+      const snapshot = JSON.parse(localStorage.getItem(SERVER_SNAPSHOT_KEY));
+      if (!err.offline || !snapshot || snapshot.baseUrl !== this.baseUrl) throw err;
+
+      this.cache = snapshot.cache;
+      this.settings = snapshot.settings;
+      this.revisions = snapshot.revisions;
+      this.goOffline();
+    }
+  }
+
+  // Reenvia a fila offline e depois busca tudo de novo no servidor
+  async sync() {
+    const renamed = this.getToken() ? await this.flushOutbox() : [];
+    await this.fetchAll();
+    this.markOnline();
+    await this.recreateRenamedRecords(renamed);
+  }
+
+  async fetchAll() {
+    const pending = this.pending;
+    await pending;
+    const cache = {};
+    const authenticated = !!this.getToken();
+    await Promise.all(Object.keys(DATA_COLLECTIONS).map(async name => {
+      cache[name] = authenticated ? await this.request("GET", `/${name}`) : [];
+    }));
+
+    const settings = {};
+    const entries = await this.request("GET", "/settings");
+    entries.forEach(entry => {
+      settings[entry.key] = entry.value;
+    });
+
+    // Revisão de cada registro no servidor: a base das próximas gravações (registros antigos contam como 0)
+    const revisions = {};
+    Object.keys(DATA_COLLECTIONS).forEach(name => {
+      const idField = DATA_COLLECTIONS[name].idField;
+      cache[name].forEach(item => {
+        revisions[this.recordPath(name, item[idField])] = item.revision || 0;
+      });
+    });
+
+    // Gravações enviadas durante a busca deixariam o cache e as revisões para trás: busca de novo depois delas
+    if (this.pending !== pending) return this.fetchAll();
+
+    this.cache = cache;
+    this.settings = settings;
+    this.revisions = revisions;
+    this.saveSnapshot();
+  }
+
+  saveSnapshot() {
+    try {
+      localStorage.setItem(SERVER_SNAPSHOT_KEY, JSON.stringify({
+        baseUrl: this.baseUrl,
+        savedAt: new Date().toISOString(),
+        cache: this.cache,
+        settings: this.settings,
+        revisions: this.revisions
+      }));
+    } catch (err) {
+      // Sem espaço: o portal segue funcionando online, só não abrirá offline com os dados mais recentes
+      console.warn("[api] Não foi possível guardar a cópia offline dos dados:", err);
+    }
+  }
+
+  readCollection(name) {
+    // Cópia profunda: as telas alteram os objetos antes de gravar
+    return JSON.parse(JSON.stringify(this.cache[name] || []));
+  }
+
+  // Retorna uma promessa que indica se o servidor aceitou todas as gravações (quem precisa, como as migrações, espera)
+  writeCollection(name, items) {
+    const idField = DATA_COLLECTIONS[name].idField;
+    const previous = new Map((this.cache[name] || []).map(item => [String(item[idField]), JSON.stringify(item)]));
+    const next = JSON.parse(JSON.stringify(items));
+    const writes = [];
+
+    next.forEach(item => {
+      const id = String(item[idField]);
+      if (previous.get(id) !== JSON.stringify(item)) {
+        writes.push(this.enqueue("PUT", this.recordPath(name, id), item));
+      }
+      previous.delete(id);
+    });
+    previous.forEach((_, id) => writes.push(this.enqueue("DELETE", this.recordPath(name, id))));
+
+    this.cache[name] = next;
+    this.saveSnapshot();
+    return Promise.all(writes).then(results => results.every(Boolean));
+  }
+
+  readSetting(key) {
+    return this.settings[key] === undefined ? null : JSON.parse(JSON.stringify(this.settings[key]));
+  }
+
+  writeSetting(key, value) {
+    this.settings[key] = JSON.parse(JSON.stringify(value));
+    const write = this.enqueue("PUT", `/settings/${encodeURIComponent(key)}`, { key: key, value: value });
+    this.saveSnapshot();
+    return write;
+  }
+
+  // IDs de chamados e vendas novos: o servidor reserva o contador numa só operação, sem disputa entre usuários
+  async reserveRecordIds(prefix, count) {
+    const { ids, counters } = await this.request("POST", `/ids/${encodeURIComponent(prefix)}`, { count });
+    this.settings.id_counters = counters;
+    this.saveSnapshot();
+    return ids;
+  }
+
+  // As gravações são enviadas em ordem; sem conexão vão para a fila offline,
+  // e em qualquer outra falha (inclusive conflito) o cache é recarregado do servidor.
+  // O recarregamento fica fora da fila: reload() espera a fila terminar e travaria esperando a si mesmo.
+  // Retorna uma promessa (nunca rejeitada) com true só se o servidor aceitou a gravação
+  enqueue(method, path, body) {
+    this.pending = this.pending
+      .then(async () => {
+        if (!this.online) {
+          this.queueOffline(method, path, body);
+          return false;
+        }
+        await this.send(method, path, body);
+        return true;
+      })
+      .catch(err => {
+        // Sem conexão ou com a sessão vencida, a gravação espera na fila até reconectar ou entrar de novo
+        if (err.offline || err.status === 401) {
+          this.queueOffline(method, path, body);
+          if (err.offline) this.goOffline();
+          return false;
+        }
+        // Ocorrência de recorrência que outro navegador já gerou: basta trazer o chamado dele
+        if (err.details && err.details.duplicateOccurrence) {
+          setTimeout(() => this.reload().catch(() => {}));
+          return false;
+        }
+        console.error(`[api] ${method} ${path}:`, err);
+        showToast("error", err.status === 409
+          ? `Alteração não salva: ${err.message} Os dados foram atualizados, confira e refaça se necessário.`
+          : `Falha ao sincronizar com o servidor: ${err.message}`);
+        setTimeout(() => this.reload().catch(() => {}));
+        return false;
+      });
+    return this.pending;
+  }
+
+  // Registros de coleção levam a revisão-base; configurações são sempre sobrescritas
+  async send(method, path, body, baseRevision = this.revisions[path]) {
+    const isRecord = !path.startsWith("/settings/");
+    const payload = body && isRecord ? Object.assign({}, body, { revision: baseRevision }) : body;
+    const stored = await this.request(method, path, payload);
+
+    if (isRecord && method === "DELETE") {
+      delete this.revisions[path];
+    } else if (isRecord) {
+      this.revisions[path] = stored.revision;
+    }
+    return stored;
+  }
+
+  // Cada registro fica uma única vez na fila, com a versão mais recente e a revisão do servidor em que se baseou
+  queueOffline(method, path, body) {
+    const outbox = JSON.parse(localStorage.getItem(SERVER_OUTBOX_KEY)) || [];
+    const queued = outbox.find(op => op.path === path);
+
+    if (queued) {
+      queued.method = method;
+      queued.body = body || null;
+      queued.queuedAt = new Date().toISOString();
+    } else {
+      outbox.push({ method, path, body: body || null, baseRevision: this.revisions[path], queuedAt: new Date().toISOString() });
+    }
+    localStorage.setItem(SERVER_OUTBOX_KEY, JSON.stringify(outbox));
+    updateDataSourceIndicator();
+  }
+
+  getOutboxSize() {
+    return (JSON.parse(localStorage.getItem(SERVER_OUTBOX_KEY)) || []).length;
+  }
+
+  // Reenvia a fila na ordem em que as alterações foram feitas; retorna os registros novos cujo ID
+  // outra pessoa usou enquanto este navegador estava offline (são recriados com outro ID após recarregar)
+  async flushOutbox() {
+    // Várias abas abertas dividem a mesma fila: só uma reenvia por vez
+    if (navigator.locks) {
+      return navigator.locks.request("rocket_server_outbox", () => this.replayOutbox());
+    }
+    return this.replayOutbox();
+  }
+
+  async replayOutbox() {
+    const outbox = JSON.parse(localStorage.getItem(SERVER_OUTBOX_KEY)) || [];
+    if (outbox.length === 0) return [];
+
+    const conflicts = [];
+    const renamed = [];
+    let applied = 0;
+
+    for (let i = 0; i < outbox.length; i++) {
+      const op = outbox[i];
+      try {
+        await this.send(op.method, op.path, op.body, op.baseRevision);
+        applied++;
+      } catch (err) {
+        // Sem conexão ou sem sessão válida, o restante da fila espera a próxima tentativa
+        if (err.offline || err.status === 401) throw err;
+
+        // Ocorrência de recorrência que outra pessoa também gerou nesse meio-tempo: o chamado dela já basta
+        const duplicateOccurrence = !!(err.details && err.details.duplicateOccurrence);
+        if (err.status === 409 && !duplicateOccurrence && op.method === "PUT" && op.baseRevision === undefined && /^\/(tickets|sales)\//.test(op.path)) {
+          renamed.push(op);
+        } else if (!duplicateOccurrence && !(op.method === "DELETE" && err.status === 404)) {
+          conflicts.push(err.status === 409 ? err.message.replace(/\.$/, "") : `${decodeURIComponent(op.path.split("/")[2])} (${err.message})`);
+        }
+      }
+      // Avança a fila a cada envio, para não repetir o que já foi aplicado se a conexão cair no meio
+      localStorage.setItem(SERVER_OUTBOX_KEY, JSON.stringify(outbox.slice(i + 1)));
+    }
+
+    if (applied > 0) {
+      showToast("success", `${applied} alteração(ões) feita(s) sem conexão foram enviadas ao servidor.`);
+    }
+    if (conflicts.length > 0) {
+      showToast("error", `Alterações feitas sem conexão que o servidor recusou: ${conflicts.join("; ")}. Confira e refaça se necessário.`);
+    }
+    updateDataSourceIndicator();
+    return renamed;
+  }
+
+  // Chamados e vendas criados offline com um ID que outra pessoa já usou ganham o próximo ID livre
+  async recreateRenamedRecords(renamed) {
+    for (const op of renamed) {
+      const name = op.path.split("/")[1];
+      const oldId = op.body.id;
+      const [newId] = await this.reserveRecordIds(oldId.split("-")[0], 1);
+      const items = this.readCollection(name);
+      items.push(Object.assign({}, op.body, { id: newId }));
+      this.writeCollection(name, items);
+      showToast("info", `${oldId} já tinha sido usado por outra pessoa enquanto você estava sem conexão; seu registro foi salvo como ${newId}.`);
+    }
+  }
+
+  markOnline() {
+    if (this.online) return;
+    this.online = true;
+    clearInterval(this.reconnectTimer);
+    updateDataSourceIndicator();
+    showToast("success", "Conexão com o servidor restabelecida.");
+  }
+
+  goOffline() {
+    if (!this.online) return;
+    this.online = false;
+    updateDataSourceIndicator();
+    showToast("info", "Sem conexão com o servidor. As alterações ficam guardadas neste navegador e serão enviadas quando a conexão voltar.");
+    this.reconnectTimer = setInterval(() => this.reconnect(), RECONNECT_INTERVAL_MS);
+  }
+
+  // Tentativas periódicas, ao voltar a rede do sistema e quando o canal de avisos reconecta
+  async reconnect() {
+    if (this.online || this.reconnecting) return;
+    this.reconnecting = true;
+    try {
+      await this.reload();
+    } catch (err) {
+      if (!err.offline) console.error("[api] Falha ao reconectar:", err);
+    } finally {
+      this.reconnecting = false;
+    }
+  }
+
+  // Busca novamente tudo no servidor (após concluir as gravações pendentes); true se algo mudou
+  async reload() {
+    await this.pending;
+    const before = JSON.stringify([this.cache, this.settings]);
+    await this.sync();
+
+    const changed = before !== JSON.stringify([this.cache, this.settings]);
+    if (changed && currentUser) {
+      refreshDataViews();
+    }
+    return changed;
+  }
+
+  // O servidor avisa (Server-Sent Events) sempre que alguém grava algo; o EventSource reconecta sozinho.
+  // O canal exige a sessão, então só é aberto depois do login (openStream)
+  subscribe(onChange) {
+    this.onChange = onChange;
+    this.openStream();
+  }
+
+  openStream() {
+    const token = this.getToken();
+    this.closeStream();
+    if (!window.EventSource || !token || !this.onChange) return;
+
+    this.stream = new EventSource(`${this.baseUrl}/stream?token=${encodeURIComponent(token)}`);
+    this.stream.onmessage = () => this.onChange();
+    this.stream.onopen = () => this.reconnect();
+  }
+
+  closeStream() {
+    if (this.stream) this.stream.close();
+    this.stream = null;
+  }
+
+  // Login, cadastro e troca de senha são validados pelo servidor, que guarda os hashes das senhas
+  authenticate(matricula, password) {
+    return this.request("POST", "/session", { matricula, password }, null);
+  }
+
+  register(profile) {
+    return this.request("POST", "/register", profile, null);
+  }
+
+  changePassword(token, password) {
+    return this.request("POST", "/session/password", { password }, token);
+  }
+
+  // Encerra a sessão no servidor (sem esperar a resposta) e fecha o canal de avisos
+  closeSession() {
+    const token = this.getToken();
+    this.closeStream();
+    if (token) this.request("DELETE", "/session", null, token).catch(() => {});
+  }
+
+  // Anexos vão como arquivo binário para /attachments, fora do JSON dos chamados (exigem conexão)
+  async putAttachment(id, ticketId, blob) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/attachments/${encodeURIComponent(id)}`, {
+        method: "PUT",
+        headers: Object.assign({ "Content-Type": blob.type || "application/octet-stream", "X-Ticket-Id": ticketId }, this.authHeaders()),
+        body: blob
+      });
+    } catch (err) {
+      throw new Error("sem conexão com o servidor; anexos só podem ser enviados online");
+    }
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const err = new Error(error.error || `HTTP ${response.status}`);
+      err.status = response.status;
+      throw err;
+    }
+    return response.json();
+  }
+
+  async getAttachment(id) {
+    const response = await fetch(`${this.baseUrl}/attachments/${encodeURIComponent(id)}`, { headers: this.authHeaders() });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.blob();
+  }
+
+  async estimateStorage() {
+    const { usage } = await this.request("GET", "/attachments");
+    return { usage, quota: null };
+  }
+}
+
+let dataStore = null;
+
+// A URL da API vem da meta tag "rocket-api-url" (preenchida pelo servidor local); vazia = modo demonstração
+async function initDataStore() {
+  const meta = document.querySelector('meta[name="rocket-api-url"]');
+  const apiUrl = meta ? meta.content.trim() : "";
+
+  if (apiUrl) {
+    try {
+      dataStore = new RestAdapter(apiUrl);
+      await dataStore.init();
+    } catch (err) {
+      console.error("[api] Servidor indisponível, usando o modo local:", err);
+      dataStore = new LocalStorageAdapter();
+      await dataStore.init();
+      showAlert("error", "Servidor indisponível. Os dados abaixo são locais deste navegador (modo demonstração).");
+    }
   } else {
-    loginForm.style.display = "none";
-    registerForm.style.display = "block";
-    loginToggle.classList.remove("active");
-    registerToggle.classList.add("active");
+    dataStore = new LocalStorageAdapter();
+    await dataStore.init();
   }
+
+  dataStore.subscribe(scheduleLiveRefresh);
+  updateDataSourceIndicator();
 }
 
-function switchTab(tabId) {
-  // Desativa a aba anterior
-  document.getElementById(`menu-${currentActiveTab}`).classList.remove("active");
-  document.getElementById(`tab-${currentActiveTab}`).classList.remove("active");
-  
-  // Ativa a nova aba
-  document.getElementById(`menu-${tabId}`).classList.add("active");
-  document.getElementById(`tab-${tabId}`).classList.add("active");
-  
-  currentActiveTab = tabId;
+function loadCollection(name) {
+  return dataStore.readCollection(name);
+}
 
-  // Atualiza cabeçalhos
-  const pageTitle = document.getElementById("page-title");
-  const pageSubtitle = document.getElementById("page-subtitle");
+function saveCollection(name, items) {
+  return dataStore.writeCollection(name, items);
+}
 
-  if (tabId === 'dashboard') {
-    pageTitle.textContent = "Dashboard Geral";
-    pageSubtitle.textContent = "Acompanhe chamados ativos, fluxo de processos e pipelines de vendas.";
-    renderDashboard();
-  } else if (tabId === 'novo-chamado') {
-    pageTitle.textContent = "Novo Chamado";
-    pageSubtitle.textContent = "Abra uma solicitação intersetorial detalhada e anexe arquivos.";
-    setupNewTicketForm();
-  } else if (tabId === 'analytics') {
-    pageTitle.textContent = "BI & Analytics";
-    pageSubtitle.textContent = "Análise estatística de volume de chamados por setor e desempenho de faturamento.";
-    renderBICharts();
+function loadSetting(key, fallback) {
+  const value = dataStore.readSetting(key);
+  return value === null || value === undefined ? fallback : value;
+}
+
+function saveSetting(key, value) {
+  return dataStore.writeSetting(key, value);
+}
+
+// Atualiza o cache com as alterações feitas por outros usuários (sem efeito no modo local)
+function syncDataStore() {
+  return dataStore.reload().catch(err => {
+    // Sem conexão o adaptador já avisou e tenta de novo sozinho
+    if (!err.offline) console.error("[api] Falha ao atualizar os dados:", err);
+    return false;
+  });
+}
+
+// Alterações feitas em outra aba ou por outro usuário: várias gravações seguidas viram um único redesenho
+let liveRefreshTimer = null;
+
+function scheduleLiveRefresh() {
+  clearTimeout(liveRefreshTimer);
+  liveRefreshTimer = setTimeout(async () => {
+    if (!currentUser) return;
+    if (dataStore.mode === "server") {
+      // reload() já redesenha as telas quando algo mudou
+      await syncDataStore();
+    } else {
+      refreshDataViews();
+    }
+  }, 200);
+}
+
+// --- Conteúdo dos anexos ---
+// Os chamados guardam só os metadados dos anexos ({ id, name, type, size, sizeBytes, uploadedBy... });
+// o arquivo é gravado à parte pelo adaptador e só é lido quando alguém pede o download
+function isStorageQuotaError(err) {
+  return !!err && (err.name === "QuotaExceededError" || err.name === "NS_ERROR_DOM_QUOTA_REACHED" || err.code === 22 || err.status === 413);
+}
+
+function describeStorageError(err) {
+  if (isStorageQuotaError(err)) {
+    return "o espaço de armazenamento disponível acabou. Remova arquivos grandes ou use o servidor SISMV.";
   }
-  
-  // Recria ícones
-  lucide.createIcons();
+  return err && err.message ? err.message : "erro desconhecido ao gravar.";
 }
 
-// ================= CONTROLE DE AUTENTICAÇÃO =================
-function handleRegister(e) {
-  e.preventDefault();
-  const alertBox = document.getElementById("auth-alert");
-  const matricula = document.getElementById("reg-matricula").value.trim();
-  const name = document.getElementById("reg-name").value.trim();
-  const sector = document.getElementById("reg-sector").value;
-  const password = document.getElementById("reg-senha").value;
+// Grava os arquivos dos anexos pendentes e devolve cópias só com os metadados (prontas para o registro do chamado)
+async function persistAttachments(ticketId, attachments) {
+  const stored = [];
+  for (const attachment of attachments) {
+    const { blob, ...meta } = attachment;
+    if (blob) await dataStore.putAttachment(meta.id, ticketId, blob);
+    stored.push(meta);
+  }
+  return stored;
+}
 
-  if (!matricula || !name || !sector || !password) {
-    showAlert("error", "Preencha todos os campos corretamente.");
+function loadAttachmentBlob(attachmentId) {
+  return dataStore.getAttachment(attachmentId);
+}
+
+// Anexos do chamado e dos comentários
+function getAllTicketAttachments(ticket) {
+  return (ticket.attachments || []).concat(...(ticket.comments || []).map(comment => comment.attachments || []));
+}
+
+function dataUrlToBlob(dataUrl, fallbackType) {
+  const match = /^data:([^;,]*)(;base64)?,([\s\S]*)$/.exec(dataUrl);
+  if (!match) return new Blob([dataUrl], { type: fallbackType || "" });
+
+  if (!match[2]) return new Blob([decodeURIComponent(match[3])], { type: match[1] });
+  const binary = atob(match[3]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: match[1] || fallbackType || "" });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Anexo com conteúdo Base64 embutido (formato antigo ou backup com anexos): grava o arquivo e deixa só os metadados
+async function moveInlineAttachmentData(ticketId, attachment) {
+  if (attachment.data) {
+    const blob = dataUrlToBlob(attachment.data, attachment.type);
+    await dataStore.putAttachment(attachment.id, ticketId, blob);
+    attachment.sizeBytes = blob.size;
+    if (!attachment.size) attachment.size = formatFileSize(blob.size);
+  }
+  delete attachment.data;
+  delete attachment.dataOmitted;
+}
+
+async function downloadAttachment(attachment) {
+  let blob = null;
+  try {
+    blob = await loadAttachmentBlob(attachment.id);
+  } catch (err) {
+    console.error("[anexos] Falha ao carregar o arquivo:", err);
+    showToast("error", `Não foi possível carregar "${attachment.name}": ${err.message}`);
+    return;
+  }
+
+  if (!blob) {
+    showToast("error", `O conteúdo de "${attachment.name}" não está disponível neste armazenamento (ex.: backup restaurado sem anexos).`);
     return;
   }
+  downloadFile(attachment.name, blob, blob.type || attachment.type);
+}
+
+async function updateStorageUsageIndicator() {
+  const indicator = document.getElementById("storage-usage-indicator");
+  let estimate = null;
+  try {
+    estimate = await dataStore.estimateStorage();
+  } catch (err) {
+    if (!err.offline) console.error("[anexos] Falha ao estimar o espaço usado:", err);
+  }
+
+  if (!estimate) {
+    indicator.style.display = "none";
+    return;
+  }
+
+  const ratio = estimate.quota ? Math.min(estimate.usage / estimate.quota, 1) : null;
+  indicator.style.display = "block";
+  indicator.classList.toggle("warning", ratio !== null && ratio >= 0.8);
+  indicator.title = dataStore.mode === "server"
+    ? "Espaço ocupado pelos anexos no servidor SISMV"
+    : "Espaço ocupado por este navegador (dados e anexos)";
+  indicator.innerHTML = `
+    <span>Armazenamento: ${formatFileSize(estimate.usage)}${estimate.quota ? ` de ${formatFileSize(estimate.quota)}` : ""}</span>
+    ${ratio !== null ? `<div class="storage-usage-bar"><div style="width:${(ratio * 100).toFixed(1)}%"></div></div>` : ""}
+  `;
+}
+
+function updateDataSourceIndicator() {
+  const indicator = document.getElementById("data-source-indicator");
+  const isServer = dataStore.mode === "server";
+
+  if (isServer && !dataStore.online) {
+    const queued = dataStore.getOutboxSize();
+    indicator.className = "data-source-indicator offline";
+    indicator.title = "Sem conexão: as alterações serão enviadas ao servidor quando a conexão voltar";
+    indicator.innerHTML = `<i data-lucide="wifi-off" style="width:12px;height:12px;"></i> Servidor offline${queued > 0 ? ` · ${queued} pendente(s)` : ""}`;
+  } else {
+    indicator.className = `data-source-indicator ${dataStore.mode}`;
+    indicator.title = isServer ? "Dados compartilhados pelo servidor SISMV" : "Dados salvos apenas neste navegador";
+    indicator.innerHTML = `<i data-lucide="${isServer ? "server" : "hard-drive"}" style="width:12px;height:12px;"></i> ${isServer ? "Servidor" : "Modo local"}`;
+  }
+  lucide.createIcons();
+}
+
+// ================= APLICATIVO INSTALÁVEL (PWA) =================
+// O service worker (sw.js) guarda a casca do portal para abrir sem rede; só funciona servido por http(s)
+let installPromptEvent = null;
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !location.protocol.startsWith("http")) return;
+
+  navigator.serviceWorker.register("sw.js").catch(err => {
+    console.error("[pwa] Falha ao registrar o service worker:", err);
+  });
+
+  // O navegador oferece a instalação; o botão da barra lateral a dispara quando o usuário quiser
+  window.addEventListener("beforeinstallprompt", event => {
+    event.preventDefault();
+    installPromptEvent = event;
+    document.getElementById("install-app-btn").style.display = "";
+  });
+  window.addEventListener("appinstalled", () => {
+    installPromptEvent = null;
+    document.getElementById("install-app-btn").style.display = "none";
+  });
+}
+
+async function installApp() {
+  if (!installPromptEvent) return;
+  installPromptEvent.prompt();
+  const { outcome } = await installPromptEvent.userChoice;
+  if (outcome === "accepted") {
+    showToast("success", "SISMV instalado neste dispositivo.");
+  }
+  installPromptEvent = null;
+  document.getElementById("install-app-btn").style.display = "none";
+}
+
+// ================= ESQUEMA DOS DADOS E MIGRAÇÕES =================
+// Versão do formato gravada junto com os dados; cada migração leva os registros da versão anterior para a sua.
+// As migrações são idempotentes (só completam o que falta), então repetir uma delas nunca estraga os dados.
+const SCHEMA_VERSION_KEY = "schema_version";
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Campos de prioridade, SLA, histórico e responsável nos chamados; histórico e dono nas vendas",
+    migrate(data) {
+      data.tickets.forEach(ticket => {
+        if (!PRIORITY_LEVELS[ticket.priority]) ticket.priority = "media";
+        if (!ticket.sla) ticket.sla = computeSlaDueDates(getSlaPolicies(), ticket.destSector, ticket.priority, ticket.createdDate);
+        ensureTicketEvents(ticket);
+        if (ticket.createdByMatricula === undefined) ticket.createdByMatricula = null;
+        if (ticket.assignee === undefined) ticket.assignee = null;
+        if (ticket.assigneeName === undefined) ticket.assigneeName = null;
+        if (!Array.isArray(ticket.comments)) ticket.comments = [];
+        if (!Array.isArray(ticket.attachments)) ticket.attachments = [];
+      });
+      data.sales.forEach(sale => {
+        if (!Array.isArray(sale.events)) sale.events = [];
+        if (sale.owner === undefined) sale.owner = null;
+        if (sale.ownerName === undefined) sale.ownerName = null;
+      });
+    }
+  },
+  {
+    version: 2,
+    description: "Anexo da abertura (attachmentName/Type/Data) movido para a lista de anexos do chamado",
+    migrate(data) {
+      data.tickets.forEach(ticket => {
+        if (ticket.attachmentName) {
+          const attachment = {
+            id: `AN-${ticket.id}-original`,
+            name: ticket.attachmentName,
+            type: ticket.attachmentType || "",
+            uploadedBy: ticket.createdByMatricula || null,
+            uploadedByName: ticket.createdBy,
+            uploadedAt: ticket.createdDate
+          };
+          if (ticket.attachmentData) attachment.data = ticket.attachmentData;
+          if (ticket.attachmentDataOmitted) attachment.dataOmitted = true;
+          ticket.attachments = [attachment].concat(ticket.attachments || []);
+        }
+        delete ticket.attachmentName;
+        delete ticket.attachmentType;
+        delete ticket.attachmentData;
+        delete ticket.attachmentDataOmitted;
+      });
+    }
+  },
+  {
+    version: 3,
+    description: "Papel e situação explícitos nos usuários; senhas em texto puro convertidas para hash",
+    async migrate(data) {
+      for (const user of data.users) {
+        user.role = getUserRole(user);
+        user.status = getUserStatus(user);
+        if (typeof user.password === "string") {
+          if (!user.passwordHash) user.passwordHash = await hashPassword(user.password);
+          delete user.password;
+        }
+      }
+    }
+  },
+  {
+    version: 4,
+    description: "Contador de IDs inicializado a partir dos maiores CH-/VD- existentes",
+    migrate(data) {
+      const counters = Object.assign({}, data.settings.id_counters);
+      Object.keys(RECORD_ID_COLLECTIONS).forEach(prefix => {
+        counters[prefix] = Math.max(counters[prefix] || 0, getHighestRecordNumber(data[RECORD_ID_COLLECTIONS[prefix]]));
+      });
+      data.settings.id_counters = counters;
+    }
+  },
+  {
+    version: 5,
+    description: "Conteúdo Base64 dos anexos movido para o armazenamento de arquivos",
+    writesFiles: true,
+    async migrate(data) {
+      for (const ticket of data.tickets) {
+        for (const attachment of getAllTicketAttachments(ticket)) {
+          await moveInlineAttachmentData(ticket.id, attachment);
+        }
+      }
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Configurações que as migrações podem ler/alterar além das coleções
+const MIGRATION_SETTINGS = ["id_counters"];
+
+// Aplica, em ordem, as migrações posteriores a fromVersion sobre o objeto { users, tickets, sales, settings }.
+// skipFileWrites deixa de fora as que gravam arquivos (a restauração de backup só grava depois da confirmação)
+async function migrateData(data, fromVersion, { skipFileWrites = false } = {}) {
+  for (const migration of MIGRATIONS.filter(m => m.version > fromVersion && !(skipFileWrites && m.writesFiles))) {
+    try {
+      await migration.migrate(data);
+    } catch (err) {
+      throw new Error(`migração ${migration.version} (${migration.description}): ${err.message}`);
+    }
+  }
+  return data;
+}
+
+function readSchemaData() {
+  const data = { settings: {} };
+  Object.keys(DATA_COLLECTIONS).forEach(name => {
+    data[name] = loadCollection(name);
+  });
+  MIGRATION_SETTINGS.forEach(key => {
+    const value = loadSetting(key, null);
+    if (value !== null) data.settings[key] = value;
+  });
+  return data;
+}
+
+// No servidor as gravações vão para a fila de envio: a versão só é gravada depois que todas foram aceitas
+async function writeSchemaData(data, version) {
+  const writes = Object.keys(DATA_COLLECTIONS).map(name => saveCollection(name, data[name]));
+  MIGRATION_SETTINGS.forEach(key => {
+    if (data.settings[key] !== undefined) writes.push(saveSetting(key, data.settings[key]));
+  });
+  if ((await Promise.all(writes)).includes(false)) {
+    throw new Error("o servidor não aceitou todas as alterações");
+  }
+  await saveSetting(SCHEMA_VERSION_KEY, version);
+}
+
+// Executada na inicialização: migra uma cópia dos dados e só grava se todas as etapas derem certo
+// No servidor as migrações regravam contas e configurações gerais: só rodam com um administrador logado
+async function runMigrations() {
+  if (dataStore.mode === "server" && !(currentUser && isAdministrator(currentUser))) return null;
+
+  const version = loadSetting(SCHEMA_VERSION_KEY, 0);
+  if (version >= CURRENT_SCHEMA_VERSION) return null;
+
+  const original = readSchemaData();
+  const migrated = JSON.parse(JSON.stringify(original));
+
+  try {
+    await migrateData(migrated, version);
+  } catch (err) {
+    console.error("[schema] Falha ao migrar os dados:", err);
+    return `Falha na ${err.message}. Os dados anteriores foram preservados.`;
+  }
+
+  try {
+    await writeSchemaData(migrated, CURRENT_SCHEMA_VERSION);
+  } catch (err) {
+    console.error("[schema] Falha ao gravar os dados migrados:", err);
+    // No servidor o que já foi aceito fica (as migrações são idempotentes) e a versão não avança: a migração roda
+    // de novo no próximo acesso de um administrador. Regravar a cópia anterior concorreria com os envios da fila
+    if (dataStore.mode === "server") {
+      return `Não foi possível gravar todos os dados atualizados (${err.message}). A atualização será refeita no próximo acesso.`;
+    }
+    // Ex.: cota do localStorage excedida no meio da gravação: volta ao estado anterior
+    await writeSchemaData(original, version);
+    return `Não foi possível gravar os dados atualizados (${err.message}). Os dados anteriores foram preservados.`;
+  }
+  return null;
+}
+
+// --- IDs de chamados e vendas ---
+// Contador monotônico por prefixo: um número nunca é reemitido, mesmo após exclusões, importações ou reordenação
+const RECORD_ID_COLLECTIONS = { CH: "tickets", VD: "sales" };
+
+function getHighestRecordNumber(items) {
+  return items.reduce((max, item) => {
+    const num = parseInt(String(item.id).split("-")[1], 10);
+    return Number.isFinite(num) && num > max ? num : max;
+  }, 0);
+}
+
+function formatRecordId(prefix, number) {
+  return `${prefix}-${String(number).padStart(3, '0')}`;
+}
+
+function getLastRecordNumber(prefix, counters) {
+  return Math.max(counters[prefix] || 0, getHighestRecordNumber(loadCollection(RECORD_ID_COLLECTIONS[prefix])));
+}
+
+// Só para exibição (ex.: modal de nova venda); o ID definitivo é reservado no momento da gravação
+function peekNextRecordId(prefix) {
+  return formatRecordId(prefix, getLastRecordNumber(prefix, loadSetting("id_counters", {})) + 1);
+}
+
+// Sem conexão com o servidor (ou no modo local) o contador deste navegador numera; ao reenviar a fila,
+// o registro cujo ID outra pessoa usou nesse meio-tempo é recriado com um ID reservado no servidor
+function reserveLocalRecordIds(prefix, count) {
+  const counters = loadSetting("id_counters", {});
+  let last = getLastRecordNumber(prefix, counters);
+
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    last += 1;
+    ids.push(formatRecordId(prefix, last));
+  }
+
+  counters[prefix] = last;
+  saveSetting("id_counters", counters);
+  return ids;
+}
+
+async function reserveRecordIds(prefix, count) {
+  if (dataStore.mode === "server" && dataStore.online) {
+    try {
+      return await dataStore.reserveRecordIds(prefix, count);
+    } catch (err) {
+      if (!err.offline) throw err;
+      dataStore.goOffline();
+    }
+  }
+  return reserveLocalRecordIds(prefix, count);
+}
+
+async function generateRecordId(prefix) {
+  return (await reserveRecordIds(prefix, 1))[0];
+}
+
+// ================= ROTEAMENTO E TABS =================
+function switchAuthTab(tab) {
+  const loginForm = document.getElementById("login-form");
+  const registerForm = document.getElementById("register-form");
+  const loginToggle = document.getElementById("tab-login-toggle");
+  const registerToggle = document.getElementById("tab-register-toggle");
+  const alertBox = document.getElementById("auth-alert");
+
+  alertBox.style.display = "none";
+
+  if (tab === 'login') {
+    loginForm.style.display = "block";
+    registerForm.style.display = "none";
+    loginToggle.classList.add("active");
+    registerToggle.classList.remove("active");
+  } else {
+    loginForm.style.display = "none";
+    registerForm.style.display = "block";
+    loginToggle.classList.remove("active");
+    registerToggle.classList.add("active");
+  }
+}
+
+function switchTab(tabId) {
+  if ((tabId === 'equipe' && !can("team.view")) || (tabId === 'admin' && !can("users.manage")) ||
+    (tabId === 'recorrencias' && !can("recurring.view"))) {
+    tabId = 'dashboard';
+  }
+
+  // Desativa a aba anterior
+  document.getElementById(`menu-${currentActiveTab}`).classList.remove("active");
+  document.getElementById(`tab-${currentActiveTab}`).classList.remove("active");
+  
+  // Ativa a nova aba
+  document.getElementById(`menu-${tabId}`).classList.add("active");
+  document.getElementById(`tab-${tabId}`).classList.add("active");
+  
+  currentActiveTab = tabId;
+
+  // Busca as novidades do servidor em segundo plano; as telas são redesenhadas se algo mudou
+  syncDataStore();
+
+  // Atualiza cabeçalhos
+  const pageTitle = document.getElementById("page-title");
+  const pageSubtitle = document.getElementById("page-subtitle");
+
+  if (tabId === 'dashboard') {
+    pageTitle.textContent = "Dashboard Geral";
+    pageSubtitle.textContent = "Acompanhe chamados ativos, fluxo de processos e pipelines de vendas.";
+    renderDashboard();
+  } else if (tabId === 'novo-chamado') {
+    pageTitle.textContent = "Novo Chamado";
+    pageSubtitle.textContent = "Abra uma solicitação intersetorial detalhada e anexe arquivos.";
+    setupNewTicketForm();
+  } else if (tabId === 'meus-chamados') {
+    pageTitle.textContent = "Meus Chamados";
+    pageSubtitle.textContent = "Chamados que você abriu e chamados sob sua responsabilidade.";
+    renderMyTickets();
+  } else if (tabId === 'equipe') {
+    pageTitle.textContent = "Equipe";
+    pageSubtitle.textContent = "Aprove novos cadastros e acompanhe os papéis dos membros do setor.";
+    renderTeam();
+  } else if (tabId === 'recorrencias') {
+    pageTitle.textContent = "Chamados Recorrentes";
+    pageSubtitle.textContent = "Chamados abertos automaticamente em datas programadas, como fechamentos mensais e verificações de rotina.";
+    renderRecurringTickets();
+  } else if (tabId === 'admin') {
+    pageTitle.textContent = "Administração";
+    pageSubtitle.textContent = "Configure os setores da empresa e gerencie as contas de usuário.";
+    renderAdminConsole();
+  } else if (tabId === 'analytics') {
+    pageTitle.textContent = "BI & Analytics";
+    pageSubtitle.textContent = "Análise estatística de volume de chamados por setor e desempenho de faturamento.";
+    renderBICharts();
+  }
+  
+  // Recria ícones
+  lucide.createIcons();
+}
+
+// ================= CONTROLE DE AUTENTICAÇÃO =================
+async function handleRegister(e) {
+  e.preventDefault();
+  const matricula = document.getElementById("reg-matricula").value.trim();
+  const name = document.getElementById("reg-name").value.trim();
+  const sector = document.getElementById("reg-sector").value;
+  const password = document.getElementById("reg-senha").value;
+
+  if (!matricula || !name || !sector || !password) {
+    showAlert("error", "Preencha todos os campos corretamente.");
+    return;
+  }
+
+  if (!MATRICULA_PATTERN.test(matricula)) {
+    showAlert("error", "A matrícula aceita apenas letras, números, ponto, hífen e sublinhado.");
+    return;
+  }
+
+  const failedRules = getFailedPasswordRules(password);
+  if (failedRules.length > 0) {
+    showAlert("error", `Senha fraca: ${failedRules.map(rule => rule.label.toLowerCase()).join(", ")}.`);
+    return;
+  }
+
+  if (dataStore.mode === "server") {
+    // O servidor grava o hash da senha e recusa matrículas já cadastradas
+    try {
+      await dataStore.register({ matricula, name, sector, password });
+    } catch (err) {
+      showAlert("error", err.message);
+      return;
+    }
+  } else {
+    // O hash é calculado antes de ler os usuários: entre a leitura e a gravação não pode haver espera,
+    // senão outra aba grava nesse meio-tempo e a gravação abaixo desfaz a alteração dela
+    const passwordHash = await hashPassword(password);
+    let users = loadCollection("users");
+
+    // Verifica se matrícula já existe
+    const exists = users.find(u => u.matricula === matricula);
+    if (exists) {
+      showAlert("error", "Esta matrícula já está cadastrada no sistema.");
+      return;
+    }
+
+    // Adiciona novo usuário (somente o hash da senha é gravado); o acesso depende da aprovação do gestor do setor
+    const newUser = {
+      matricula,
+      name,
+      sector,
+      role: "colaborador",
+      status: "pendente",
+      createdAt: new Date().toISOString(),
+      passwordHash
+    };
+    users.push(newUser);
+    saveCollection("users", users);
+  }
+
+  showAlert("success", `Cadastro enviado! O gestor do setor ${sector} precisa aprová-lo antes do seu primeiro acesso.`);
+  
+  // Limpa formulário e muda para login após delay
+  e.target.reset();
+  updatePasswordRulesChecklist("reg-senha", "reg-senha-rules");
+  setTimeout(() => {
+    switchAuthTab('login');
+    document.getElementById("login-matricula").value = matricula;
+  }, 1500);
+}
+
+// Modo local: a senha é conferida neste navegador; retorna { user } ou { error }
+async function authenticateLocally(matricula, password) {
+  const lockedMinutes = getLoginLockRemainingMinutes(matricula);
+  if (lockedMinutes > 0) {
+    return { error: `Matrícula bloqueada por excesso de tentativas. Tente novamente em ${lockedMinutes} min.` };
+  }
+
+  const isDefaultAdmin = matricula === DEFAULT_ADMIN_MATRICULA && password === DEFAULT_ADMIN_PASSWORD;
+  const defaultAdminHash = isDefaultAdmin ? await hashPassword(DEFAULT_ADMIN_PASSWORD) : null;
+  let users = loadCollection("users");
+
+  // Usuário administrador padrão de TI caso não existam cadastros: a senha "admin" precisa ser trocada no primeiro acesso
+  if (users.length === 0 && isDefaultAdmin) {
+    const defaultAdmin = {
+      matricula: DEFAULT_ADMIN_MATRICULA,
+      name: "Administrador Geral TI",
+      sector: "TI",
+      role: "administrador",
+      status: "ativo",
+      passwordHash: defaultAdminHash,
+      mustChangePassword: true
+    };
+    users.push(defaultAdmin);
+    saveCollection("users", users);
+  }
+
+  const user = users.find(u => u.matricula === matricula);
+
+  if (!user || !(await verifyUserPassword(user, password))) {
+    return { error: describeFailedLogin(registerFailedLogin(matricula)) };
+  }
+
+  clearFailedLogins(matricula);
+  return { user };
+}
+
+// Modo servidor: a senha é conferida lá (o hash nunca chega ao navegador) e a resposta traz o token da sessão
+async function authenticateOnServer(matricula, password) {
+  try {
+    return await dataStore.authenticate(matricula, password);
+  } catch (err) {
+    return { error: err.status === 401 ? describeFailedLogin(err.details.attemptsLeft) : err.message };
+  }
+}
+
+function describeFailedLogin(attemptsLeft) {
+  return attemptsLeft > 0
+    ? `Matrícula ou senha inválidas. Restam ${attemptsLeft} tentativa(s) antes do bloqueio temporário.`
+    : `Muitas tentativas inválidas. Matrícula bloqueada por ${LOGIN_LOCKOUT_MINUTES} min.`;
+}
+
+// No modo servidor os dados só chegam depois do login; as migrações pendentes rodam em seguida
+async function loadSessionData() {
+  await syncDataStore();
+  const migrationError = await runMigrations();
+  if (migrationError) showToast("error", migrationError);
+}
+
+async function handleLogin(e) {
+  e.preventDefault();
+  const matricula = document.getElementById("login-matricula").value.trim();
+  const password = document.getElementById("login-senha").value;
+
+  const result = dataStore.mode === "server"
+    ? await authenticateOnServer(matricula, password)
+    : await authenticateLocally(matricula, password);
+  if (result.error) {
+    showAlert("error", result.error);
+    return;
+  }
+
+  const { user, token } = result;
+  const status = getUserStatus(user);
+  if (status !== "ativo") {
+    const messages = {
+      pendente: `Seu cadastro ainda aguarda aprovação do gestor do setor ${user.sector}.`,
+      recusado: "Seu cadastro foi recusado. Procure o gestor do seu setor.",
+      desativado: "Esta conta foi desativada. Procure o administrador do sistema."
+    };
+    showAlert("error", messages[status]);
+    return;
+  }
+
+  // Senha padrão ainda não trocada: o acesso só é liberado após definir uma nova senha
+  if (user.mustChangePassword) {
+    e.target.reset();
+    showPasswordChangeForm(user.matricula, token, user.matricula === DEFAULT_ADMIN_MATRICULA && !user.passwordResetBy
+      ? "Primeiro acesso com a senha padrão: defina uma nova senha para continuar."
+      : "Sua senha foi redefinida pelo administrador: defina uma nova senha para continuar.");
+    return;
+  }
+
+  // Login bem sucedido
+  startSession(user, token);
+  await loadSessionData();
+
+  showAlert("success", `✅ Bem-vindo ao SISMV, ${user.name}!`);
+  
+  setTimeout(() => {
+    e.target.reset();
+    showPlatform();
+  }, 1000);
+}
+
+function handleLogout() {
+  endSession();
+  closeNotificationPanel();
+  showAuthScreen();
+}
+
+function showAuthScreen() {
+  document.getElementById("auth-screen").style.display = "flex";
+  document.getElementById("main-platform").style.display = "none";
+  document.querySelector(".auth-tabs").style.display = "flex";
+  document.getElementById("change-password-form").style.display = "none";
+  switchAuthTab('login');
+}
+
+function showPlatform() {
+  document.getElementById("auth-screen").style.display = "none";
+  document.getElementById("main-platform").style.display = "grid";
+  
+  // Atualiza painel do usuário na barra lateral
+  document.getElementById("user-name-lbl").textContent = currentUser.name;
+  document.getElementById("user-matricula-lbl").textContent = `Matrícula: ${currentUser.matricula}`;
+  document.getElementById("user-sector-badge").textContent = currentUser.sector;
+  document.getElementById("user-role-lbl").textContent = USER_ROLES[currentUser.role];
+  
+  // Iniciais do Avatar
+  document.getElementById("user-avatar-lbl").textContent = getInitials(currentUser.name);
+  
+  // Filtros não passam de um usuário para outro; as visões salvas são carregadas por matrícula
+  ticketFilters = Object.assign({}, EMPTY_TICKET_FILTERS);
+  renderSavedViewsSelect();
+  updatePendingUsersBadge();
+  updateStorageUsageIndicator();
+  initNotifications();
+  populateSectorSelects();
+  document.getElementById("menu-admin").style.display = can("users.manage") ? "" : "none";
+  document.getElementById("menu-recorrencias").style.display = can("recurring.view") ? "" : "none";
+
+  // Chamados recorrentes vencidos (inclusive os perdidos enquanto ninguém usava o portal)
+  startRecurringTicketsWatch();
+
+  // Vai para a página padrão
+  switchTab('dashboard');
+}
+
+function showAlert(type, msg) {
+  const alertBox = document.getElementById("auth-alert");
+  alertBox.style.display = "";
+  alertBox.className = `auth-alert ${type}`;
+  alertBox.textContent = msg;
+}
+
+// Aviso flutuante dentro da plataforma (type: success | error | info)
+function showToast(type, msg) {
+  const container = document.getElementById("toast-container");
+  const toast = document.createElement("div");
+  toast.className = `toast ${type}`;
+  toast.textContent = msg;
+  container.appendChild(toast);
+
+  setTimeout(() => {
+    toast.classList.add("leaving");
+    setTimeout(() => toast.remove(), 300);
+  }, 4000);
+}
+
+// ================= SEGURANÇA: SENHAS, SESSÃO E BLOQUEIO =================
+const DEFAULT_ADMIN_MATRICULA = "admin";
+const DEFAULT_ADMIN_PASSWORD = "admin";
+
+// Hash de senha com PBKDF2 (Web Crypto); o sal é aleatório por usuário
+const PASSWORD_HASH_ALGORITHM = "PBKDF2-SHA256";
+const PASSWORD_HASH_ITERATIONS = 120000;
+
+// Sessão: expira após este tempo sem interação do usuário
+const SESSION_STORAGE_KEY = "rocket_session";
+const SESSION_IDLE_TIMEOUT_MINUTES = 30;
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Matrículas só com letras, números, ponto, hífen e sublinhado (mesma regra do servidor)
+const MATRICULA_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Bloqueio temporário por matrícula após tentativas seguidas de login inválidas
+const LOGIN_MAX_FAILED_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+
+const PASSWORD_RULES = [
+  { id: "length", label: "Mínimo de 8 caracteres", test: pwd => pwd.length >= 8 },
+  { id: "upper", label: "Uma letra maiúscula", test: pwd => /[A-Z]/.test(pwd) },
+  { id: "lower", label: "Uma letra minúscula", test: pwd => /[a-z]/.test(pwd) },
+  { id: "digit", label: "Um número", test: pwd => /[0-9]/.test(pwd) },
+  { id: "symbol", label: "Um caractere especial", test: pwd => /[^A-Za-z0-9]/.test(pwd) }
+];
+
+let sessionCheckTimer = null;
+
+function getFailedPasswordRules(password) {
+  return PASSWORD_RULES.filter(rule => !rule.test(password));
+}
+
+// Checklist ao vivo das regras de senha abaixo de um campo (cadastro e troca de senha)
+function updatePasswordRulesChecklist(inputId, listId) {
+  const password = document.getElementById(inputId).value;
+  const list = document.getElementById(listId);
+
+  list.innerHTML = PASSWORD_RULES.map(rule => {
+    const ok = rule.test(password);
+    return `<li class="${ok ? 'ok' : ''}"><i data-lucide="${ok ? 'check' : 'x'}"></i> ${rule.label}</li>`;
+  }).join("");
+  lucide.createIcons();
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+async function derivePasswordHash(password, saltBytes, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(password), "PBKDF2", false, ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: saltBytes, iterations },
+    keyMaterial,
+    256
+  );
+  return bytesToBase64(new Uint8Array(bits));
+}
+
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return {
+    algorithm: PASSWORD_HASH_ALGORITHM,
+    iterations: PASSWORD_HASH_ITERATIONS,
+    salt: bytesToBase64(salt),
+    hash: await derivePasswordHash(password, salt, PASSWORD_HASH_ITERATIONS)
+  };
+}
+
+// Compara em tempo constante para não vazar quantos caracteres coincidem
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Valida a senha; cadastros antigos com senha em texto puro são convertidos para hash no primeiro login
+async function verifyUserPassword(user, password) {
+  if (user.passwordHash) {
+    const { salt, iterations, hash } = user.passwordHash;
+    const candidate = await derivePasswordHash(password, base64ToBytes(salt), iterations);
+    return constantTimeEquals(candidate, hash);
+  }
+
+  if (typeof user.password !== "string" || !constantTimeEquals(user.password, password)) {
+    return false;
+  }
+
+  // Hash antes de ler os usuários, para gravar sobre a versão mais recente
+  const passwordHash = await hashPassword(password);
+  const users = loadCollection("users");
+  const stored = users.find(u => u.matricula === user.matricula);
+  if (stored) {
+    stored.passwordHash = passwordHash;
+    delete stored.password;
+    saveCollection("users", users);
+  }
+  return true;
+}
+
+// Tentativas de login inválidas por matrícula: { [matricula]: { count, lockedUntil } }
+function getLoginAttempts() {
+  return loadSetting("login_attempts", {});
+}
+
+function getLoginLockRemainingMinutes(matricula) {
+  const entry = getLoginAttempts()[matricula];
+  if (!entry || !entry.lockedUntil) return 0;
+
+  const remainingMs = new Date(entry.lockedUntil).getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 60000) : 0;
+}
+
+// Registra a falha e devolve quantas tentativas ainda restam antes do bloqueio
+function registerFailedLogin(matricula) {
+  const attempts = getLoginAttempts();
+  const entry = attempts[matricula] || { count: 0, lockedUntil: null };
+
+  // Bloqueio anterior já expirado: recomeça a contagem
+  if (entry.lockedUntil && new Date(entry.lockedUntil).getTime() <= Date.now()) {
+    entry.count = 0;
+    entry.lockedUntil = null;
+  }
+
+  entry.count += 1;
+  if (entry.count >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    entry.lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60000).toISOString();
+  }
+
+  attempts[matricula] = entry;
+  saveSetting("login_attempts", attempts);
+  return Math.max(LOGIN_MAX_FAILED_ATTEMPTS - entry.count, 0);
+}
+
+function clearFailedLogins(matricula) {
+  const attempts = getLoginAttempts();
+  if (!attempts[matricula]) return;
+
+  delete attempts[matricula];
+  saveSetting("login_attempts", attempts);
+}
+
+// Dados do usuário que circulam pela interface: nunca incluem senha ou hash
+function toSessionUser(user) {
+  const { password, passwordHash, mustChangePassword, ...profile } = user;
+  return Object.assign(profile, { role: getUserRole(user) });
+}
+
+function generateSessionToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// No modo servidor o token vem do login; no modo local é gerado aqui
+function startSession(user, token = generateSessionToken()) {
+  currentUser = toSessionUser(user);
+  sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+    token: token,
+    matricula: user.matricula,
+    createdAt: new Date().toISOString(),
+    lastActivity: Date.now()
+  }));
+  startSessionWatch();
+  if (dataStore.mode === "server") dataStore.openStream();
+}
+
+function endSession() {
+  if (dataStore.mode === "server") dataStore.closeSession();
+  currentUser = null;
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  if (sessionCheckTimer) {
+    clearInterval(sessionCheckTimer);
+    sessionCheckTimer = null;
+  }
+  if (recurringCheckTimer) {
+    clearInterval(recurringCheckTimer);
+    recurringCheckTimer = null;
+  }
+}
+
+function readSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SESSION_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+function isSessionExpired(session) {
+  return Date.now() - session.lastActivity > SESSION_IDLE_TIMEOUT_MINUTES * 60000;
+}
+
+// Retoma a sessão da aba (recarregamento da página) se ainda for válida; o perfil vem sempre do cadastro atual
+function restoreSession() {
+  sessionStorage.removeItem("current_rocket_user"); // formato antigo, guardava a senha
+
+  const session = readSession();
+  if (!session || !session.token) return false;
+
+  const user = loadCollection("users").find(u => u.matricula === session.matricula);
+  if (!user || user.mustChangePassword || getUserStatus(user) !== "ativo" || isSessionExpired(session)) {
+    endSession();
+    if (user && isSessionExpired(session)) {
+      showAlert("error", "Sua sessão expirou por inatividade. Faça login novamente.");
+    }
+    return false;
+  }
+
+  currentUser = toSessionUser(user);
+  touchSession();
+  startSessionWatch();
+  return true;
+}
+
+// Qualquer interação renova o prazo de inatividade (gravação limitada a uma a cada poucos segundos)
+function touchSession() {
+  const session = readSession();
+  if (!session || !currentUser) return;
+
+  if (isSessionExpired(session)) {
+    expireSession();
+    return;
+  }
+  if (Date.now() - session.lastActivity < 5000) return;
+
+  session.lastActivity = Date.now();
+  sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+}
+
+function startSessionWatch() {
+  if (sessionCheckTimer) clearInterval(sessionCheckTimer);
+  sessionCheckTimer = setInterval(() => {
+    const session = readSession();
+    if (currentUser && (!session || isSessionExpired(session))) {
+      expireSession();
+    }
+  }, SESSION_CHECK_INTERVAL_MS);
+}
+
+function expireSession(message = "Sua sessão expirou por inatividade. Faça login novamente.") {
+  closeTicketModal();
+  closeSaleModal();
+  endSession();
+  showAuthScreen();
+  showAlert("error", message);
+}
+
+// O servidor recusou o token (sessão vencida, conta desativada ou servidor reiniciado)
+function handleServerSessionLost() {
+  if (!currentUser) {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+    return;
+  }
+  expireSession("Sua sessão no servidor não é mais válida. Faça login novamente.");
+}
+
+["click", "keydown", "mousemove", "scroll"].forEach(eventName => {
+  document.addEventListener(eventName, touchSession, { passive: true });
+});
+
+// Troca obrigatória de senha (administrador padrão no primeiro acesso ou senha redefinida pelo administrador)
+// No modo servidor guarda também o token restrito (só permite trocar a senha) emitido no login
+let pendingPasswordChange = null;
+
+function showPasswordChangeForm(matricula, token, message) {
+  pendingPasswordChange = { matricula, token };
+  document.querySelector(".auth-tabs").style.display = "none";
+  document.getElementById("login-form").style.display = "none";
+  document.getElementById("register-form").style.display = "none";
+  document.getElementById("change-password-form").style.display = "block";
+  updatePasswordRulesChecklist("change-senha", "change-senha-rules");
+  showAlert("error", message);
+}
+
+async function handleChangePassword(e) {
+  e.preventDefault();
+  const password = document.getElementById("change-senha").value;
+  const confirmation = document.getElementById("change-senha-confirm").value;
+
+  const failedRules = getFailedPasswordRules(password);
+  if (failedRules.length > 0) {
+    showAlert("error", `Senha fraca: ${failedRules.map(rule => rule.label.toLowerCase()).join(", ")}.`);
+    return;
+  }
+  if (password !== confirmation) {
+    showAlert("error", "A confirmação não confere com a nova senha.");
+    return;
+  }
+  if (password === DEFAULT_ADMIN_PASSWORD) {
+    showAlert("error", "A nova senha não pode ser igual à senha padrão.");
+    return;
+  }
+
+  let user = null;
+  let token;
+  if (dataStore.mode === "server") {
+    try {
+      ({ user, token } = await dataStore.changePassword(pendingPasswordChange.token, password));
+    } catch (err) {
+      showAuthScreen();
+      showAlert("error", `Não foi possível trocar a senha: ${err.message} Faça login novamente.`);
+      return;
+    }
+  } else {
+    const passwordHash = await hashPassword(password);
+    const users = loadCollection("users");
+    user = users.find(u => u.matricula === pendingPasswordChange.matricula);
+    if (!user) {
+      showAuthScreen();
+      showAlert("error", "Usuário não encontrado. Faça login novamente.");
+      return;
+    }
+
+    user.passwordHash = passwordHash;
+    delete user.password;
+    delete user.mustChangePassword;
+    delete user.passwordResetBy;
+    saveCollection("users", users);
+  }
+  pendingPasswordChange = null;
+
+  startSession(user, token);
+  await loadSessionData();
+  showAlert("success", `✅ Senha alterada. Bem-vindo ao SISMV, ${user.name}!`);
+
+  setTimeout(() => {
+    e.target.reset();
+    showPlatform();
+  }, 1000);
+}
+
+// ================= PAPÉIS E PERMISSÕES =================
+const USER_ROLES = {
+  colaborador: "Colaborador",
+  gestor: "Gestor de Setor",
+  administrador: "Administrador"
+};
+
+const USER_STATUS_LABELS = {
+  pendente: "Aguardando aprovação",
+  ativo: "Ativo",
+  recusado: "Cadastro recusado",
+  desativado: "Desativado"
+};
+
+// Cadastros anteriores aos papéis: o admin padrão vira administrador e os demais colaboradores já aprovados
+function getUserRole(user) {
+  return user.role || (user.matricula === DEFAULT_ADMIN_MATRICULA ? "administrador" : "colaborador");
+}
+
+function getUserStatus(user) {
+  return user.status || "ativo";
+}
+
+function isAdministrator(user) {
+  return getUserRole(user) === "administrador";
+}
+
+function isSectorManager(user, sector) {
+  return getUserRole(user) === "gestor" && user.sector === sector;
+}
+
+// Regras de acesso de cada ação da plataforma: (usuário, recurso) => boolean
+const PERMISSIONS = {
+  // Chamados que envolvem o setor do usuário (origem ou destino), que ele abriu, assumiu ou em que foi mencionado
+  "ticket.view": (user, ticket) => isAdministrator(user) ||
+    [ticket.originSector, ticket.destSector].includes(user.sector) ||
+    isTicketCreator(ticket, user) ||
+    ticket.assignee === user.matricula ||
+    getTicketMentions(ticket).includes(user.matricula),
+  // Alterar status e assumir o chamado: setor de DESTINO
+  "ticket.transition": (user, ticket) => isAdministrator(user) || user.sector === ticket.destSector,
+  // Atribuir o chamado a outra pessoa: gestor do setor de destino
+  "ticket.assign": (user, ticket) => isAdministrator(user) || isSectorManager(user, ticket.destSector),
+  // Origem e destino conversam no chamado
+  "ticket.comment": (user, ticket) => isAdministrator(user) || [ticket.originSector, ticket.destSector].includes(user.sector),
+  "ticket.addFiles": (user, ticket) => isAdministrator(user) || isTicketCreator(ticket, user),
+  // Vínculos (relacionado, bloqueio, subtarefa, duplicado): setores de origem e destino
+  "ticket.relate": (user, ticket) => isAdministrator(user) || [ticket.originSector, ticket.destSector].includes(user.sector),
+  // Pipeline e valores de vendas: setor de vendas configurado, gestores e administradores
+  "sales.view": user => isAdministrator(user) || getUserRole(user) === "gestor" || user.sector === getSalesSector(),
+  "sales.manage": user => isAdministrator(user) || user.sector === getSalesSector(),
+  "team.view": user => isAdministrator(user) || getUserRole(user) === "gestor",
+  "users.approve": (user, target) => isAdministrator(user) || isSectorManager(user, target.sector),
+  // Console de administração: papéis, setor, senha e situação das contas; configuração dos setores
+  "users.manage": user => isAdministrator(user),
+  "sectors.manage": user => isAdministrator(user),
+  // Backup completo inclui usuários (e, no modo local, os hashes de senha)
+  "data.backup": user => isAdministrator(user),
+  "data.import": user => isAdministrator(user),
+  "sla.edit": user => isAdministrator(user),
+  // Modelos de chamado (tipos de solicitação e campos): gestor do setor destinatário
+  "templates.manage": (user, sector) => isAdministrator(user) || isSectorManager(user, sector),
+  // Chamados recorrentes: gestor do setor que abre os chamados (origem)
+  "recurring.view": user => isAdministrator(user) || getUserRole(user) === "gestor",
+  "recurring.manage": (user, sector) => isAdministrator(user) || isSectorManager(user, sector)
+};
+
+// Verificação central de permissão usada por todas as telas e ações
+function can(action, resource, user = currentUser) {
+  const rule = PERMISSIONS[action];
+  if (!rule) {
+    throw new Error(`Permissão desconhecida: ${action}`);
+  }
+  return !!user && rule(user, resource);
+}
+
+function getVisibleTickets() {
+  return loadCollection("tickets").filter(ticket => can("ticket.view", ticket));
+}
+
+// ================= EQUIPE E APROVAÇÃO DE CADASTROS =================
+function getPendingRegistrations() {
+  return loadCollection("users").filter(u => getUserStatus(u) === "pendente" && can("users.approve", u));
+}
+
+function updatePendingUsersBadge() {
+  const menuItem = document.getElementById("menu-equipe");
+  const badge = document.getElementById("pending-users-badge");
+  const visible = can("team.view");
+
+  menuItem.style.display = visible ? "" : "none";
+  const pendingCount = visible ? getPendingRegistrations().length : 0;
+  badge.textContent = pendingCount;
+  badge.style.display = pendingCount > 0 ? "inline-flex" : "none";
+}
+
+function renderTeam() {
+  const users = loadCollection("users");
+  const pending = getPendingRegistrations();
+  const members = users.filter(u => getUserStatus(u) === "ativo" && (isAdministrator(currentUser) || u.sector === currentUser.sector));
+
+  document.getElementById("pending-users-count").textContent = pending.length;
+  document.getElementById("team-members-count").textContent = members.length;
+
+  const pendingList = document.getElementById("pending-users-list");
+  pendingList.innerHTML = pending.length === 0
+    ? `<p class="my-tickets-empty">Nenhum cadastro aguardando aprovação.</p>`
+    : pending.map(u => `
+      <div class="team-row glass">
+        <div class="user-avatar team-avatar">${escapeHTML(getInitials(u.name))}</div>
+        <div class="team-row-info">
+          <strong>${escapeHTML(u.name)}</strong>
+          <span>Matrícula ${escapeHTML(u.matricula)} · ${escapeHTML(u.sector)}${u.createdAt ? ` · solicitado em ${formatDateTime(u.createdAt)}` : ""}</span>
+        </div>
+        <div class="team-row-actions">
+          <button type="button" class="action-status-btn concluir" data-action="approve" data-id="${escapeHTML(u.matricula)}"><i data-lucide="user-check"></i> Aprovar</button>
+          <button type="button" class="action-status-btn devolver" data-action="reject" data-id="${escapeHTML(u.matricula)}"><i data-lucide="user-x"></i> Recusar</button>
+        </div>
+      </div>`).join("");
+  bindListActions(pendingList, { approve: approveRegistration, reject: rejectRegistration });
+
+  const membersList = document.getElementById("team-members-list");
+  membersList.innerHTML = members.map(u => {
+    const role = getUserRole(u);
+    const roleControl = `<span class="team-role-badge ${role}">${USER_ROLES[role]}</span>`;
+    return `
+      <div class="team-row glass">
+        <div class="user-avatar team-avatar">${escapeHTML(getInitials(u.name))}</div>
+        <div class="team-row-info">
+          <strong>${escapeHTML(u.name)}</strong>
+          <span>Matrícula ${escapeHTML(u.matricula)} · ${escapeHTML(u.sector)}</span>
+        </div>
+        <div class="team-row-actions">${roleControl}</div>
+      </div>`;
+  }).join("");
+
+  renderTemplateAdmin();
+  updatePendingUsersBadge();
+  lucide.createIcons();
+}
+
+function updateRegistration(matricula, changes, successMsg) {
+  const users = loadCollection("users");
+  const user = users.find(u => u.matricula === matricula);
+  if (!user || getUserStatus(user) !== "pendente" || !can("users.approve", user)) {
+    showToast("error", "Você não pode decidir sobre este cadastro.");
+    renderTeam();
+    return;
+  }
+
+  Object.assign(user, changes, { reviewedBy: currentUser.matricula, reviewedAt: new Date().toISOString() });
+  saveCollection("users", users);
+  showToast("success", successMsg(user));
+  renderTeam();
+}
+
+function approveRegistration(matricula) {
+  updateRegistration(matricula, { status: "ativo" }, user => `${user.name} agora tem acesso ao SISMV.`);
+}
+
+function rejectRegistration(matricula) {
+  if (!confirm("Recusar este cadastro? O colaborador não conseguirá acessar o SISMV.")) return;
+  updateRegistration(matricula, { status: "recusado" }, user => `Cadastro de ${user.name} recusado.`);
+}
+
+// ================= CENTRAL DE NOTIFICAÇÕES =================
+// As notificações são derivadas do histórico e dos comentários dos chamados (valem para todas as abas e para o servidor);
+// por matrícula guardamos só o que já foi lido e a preferência de alertas do navegador
+const NOTIFICATION_LIMIT = 50;
+const NOTIFICATION_READ_IDS_LIMIT = 200;
+
+const TICKET_NOTIFICATION_LABELS = {
+  iniciado: "teve o atendimento iniciado",
+  concluido: "foi concluído",
+  devolvido: "foi devolvido"
+};
+
+let announcedNotificationIds = new Set(); // Já avisadas (ou existentes no login) nesta aba, para não repetir alertas
+
+// Uma configuração por usuário: gravações de pessoas diferentes não se sobrescrevem no servidor
+function getNotificationStateKey() {
+  return `notification_state:${currentUser.matricula}`;
+}
+
+// Versões anteriores guardavam todos os usuários num único "notification_state"
+function getNotificationState() {
+  const legacy = loadSetting("notification_state", {});
+  return loadSetting(getNotificationStateKey(), null) || legacy[currentUser.matricula] || null;
+}
+
+function storeNotificationState(state) {
+  saveSetting(getNotificationStateKey(), state);
+}
+
+// Feed do usuário: chamados novos para o setor, andamento dos chamados que abriu e comentários de terceiros
+function buildUserNotifications(user = currentUser) {
+  const items = [];
+
+  getVisibleTickets().forEach(ticket => {
+    const isMine = isTicketCreator(ticket, user);
+    const involvesMe = isMine || ticket.destSector === user.sector || ticket.assignee === user.matricula;
+
+    if ((ticket.mentions || []).includes(user.matricula) && !isMine) {
+      items.push({
+        id: `${ticket.id}:mencao`,
+        ticketId: ticket.id,
+        icon: "at-sign",
+        title: `${ticket.createdBy} mencionou você em ${ticket.id}`,
+        body: ticket.title,
+        timestamp: ticket.createdDate
+      });
+    }
+
+    getTicketEvents(ticket).forEach(event => {
+      if (event.actor === user.matricula) return;
+
+      if (event.type === "criado" && ticket.destSector === user.sector && !isMine) {
+        items.push({
+          id: `${ticket.id}:${event.id}`,
+          ticketId: ticket.id,
+          icon: "inbox",
+          title: `Novo chamado para ${ticket.destSector}`,
+          body: `${ticket.id} · ${ticket.title} (de ${ticket.originSector})`,
+          timestamp: event.timestamp
+        });
+      } else if (TICKET_NOTIFICATION_LABELS[event.type] && isMine) {
+        items.push({
+          id: `${ticket.id}:${event.id}`,
+          ticketId: ticket.id,
+          icon: event.type === "devolvido" ? "corner-up-left" : "activity",
+          title: `Seu chamado ${ticket.id} ${TICKET_NOTIFICATION_LABELS[event.type]}`,
+          body: event.type === "devolvido" && event.note ? `${ticket.title}: ${event.note}` : ticket.title,
+          timestamp: event.timestamp
+        });
+      }
+    });
+
+    (ticket.comments || []).forEach(comment => {
+      const mentioned = (comment.mentions || []).includes(user.matricula);
+      if (comment.author === user.matricula || !(involvesMe || mentioned)) return;
+      items.push({
+        id: `${ticket.id}:${comment.id}`,
+        ticketId: ticket.id,
+        icon: mentioned ? "at-sign" : "message-square",
+        title: mentioned ? `${comment.authorName} mencionou você em ${ticket.id}` : `${comment.authorName} comentou em ${ticket.id}`,
+        body: comment.text || `${(comment.attachments || []).length} arquivo(s) anexado(s)`,
+        timestamp: comment.timestamp
+      });
+    });
+  });
+
+  return items
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, NOTIFICATION_LIMIT);
+}
+
+function isNotificationUnread(item, state) {
+  return new Date(item.timestamp) > new Date(state.readAt) && !state.readIds.includes(item.id);
+}
+
+// No primeiro acesso tudo o que já existe conta como lido; alertas do navegador só valem para novidades desta sessão
+function initNotifications() {
+  if (!getNotificationState()) {
+    storeNotificationState({ readAt: new Date().toISOString(), readIds: [], browserAlerts: false });
+  }
+  announcedNotificationIds = new Set(buildUserNotifications().map(item => item.id));
+  updateNotifications();
+}
+
+function updateNotifications() {
+  if (!currentUser) return;
+  const state = getNotificationState();
+  if (!state) return;
+
+  const items = buildUserNotifications();
+  const unread = items.filter(item => isNotificationUnread(item, state));
+
+  const badge = document.getElementById("notification-badge");
+  badge.textContent = unread.length > 9 ? "9+" : unread.length;
+  badge.style.display = unread.length > 0 ? "flex" : "none";
+  document.getElementById("notification-browser-toggle").checked = !!state.browserAlerts;
+
+  renderNotificationList(items, state);
+  announceNewNotifications(unread, state);
+}
+
+function renderNotificationList(items, state) {
+  const list = document.getElementById("notification-list");
+  if (items.length === 0) {
+    list.innerHTML = `<p class="notification-empty">Nenhuma notificação por enquanto.</p>`;
+    return;
+  }
+
+  list.innerHTML = items.map(item => `
+    <button type="button" class="notification-item ${isNotificationUnread(item, state) ? "unread" : ""}" data-action="open" data-id="${escapeHTML(item.id)}" data-ticket-id="${escapeHTML(item.ticketId)}">
+      <i data-lucide="${item.icon}" style="width:16px;height:16px;"></i>
+      <div>
+        <span class="notification-title">${escapeHTML(item.title)}</span>
+        <span class="notification-body">${escapeHTML(item.body)}</span>
+        <span class="notification-time">${formatDateTime(item.timestamp)}</span>
+      </div>
+    </button>
+  `).join("");
+  bindListActions(list, { open: (id, button) => openNotification(id, button.dataset.ticketId) });
+  lucide.createIcons();
+}
+
+// Alertas do sistema operacional só para quem optou e só quando a aba não está em primeiro plano
+function announceNewNotifications(unread, state) {
+  const fresh = unread.filter(item => !announcedNotificationIds.has(item.id));
+  fresh.forEach(item => announcedNotificationIds.add(item.id));
+
+  if (!state.browserAlerts || !window.Notification || Notification.permission !== "granted") return;
+  if (document.visibilityState === "visible") return;
+
+  fresh.forEach(item => {
+    const notification = new Notification(item.title, { body: item.body, tag: item.id });
+    notification.onclick = () => {
+      window.focus();
+      openNotification(item.id, item.ticketId);
+    };
+  });
+}
+
+function toggleNotificationPanel(e) {
+  e.stopPropagation();
+  document.getElementById("notification-panel").classList.toggle("active");
+}
+
+function closeNotificationPanel() {
+  document.getElementById("notification-panel").classList.remove("active");
+}
+
+function markNotificationRead(id) {
+  const state = getNotificationState();
+  if (state.readIds.includes(id)) return;
+  state.readIds = state.readIds.concat(id).slice(-NOTIFICATION_READ_IDS_LIMIT);
+  storeNotificationState(state);
+}
+
+function openNotification(id, ticketId) {
+  markNotificationRead(id);
+  closeNotificationPanel();
+  updateNotifications();
+  openTicketModal(ticketId);
+}
+
+function markAllNotificationsRead() {
+  const state = getNotificationState();
+  state.readAt = new Date().toISOString();
+  state.readIds = [];
+  storeNotificationState(state);
+  updateNotifications();
+}
+
+async function handleBrowserAlertsToggle(e) {
+  const state = getNotificationState();
+  let enabled = e.target.checked;
+
+  if (enabled) {
+    if (!window.Notification) {
+      showToast("error", "Este navegador não oferece notificações do sistema.");
+      enabled = false;
+    } else if (Notification.permission !== "granted" && await Notification.requestPermission() !== "granted") {
+      showToast("error", "Permissão de notificações negada no navegador.");
+      enabled = false;
+    }
+  }
+
+  e.target.checked = enabled;
+  state.browserAlerts = enabled;
+  storeNotificationState(state);
+}
+
+// ================= CONSOLE DE ADMINISTRAÇÃO: SETORES =================
+function getSectors() {
+  return loadSetting("sectors", DEFAULT_SECTORS).map(sector => Object.assign({}, sector));
+}
+
+function getSectorNames() {
+  return getSectors().map(sector => sector.name);
+}
+
+// Setores que podem receber novos chamados e novos cadastros
+function getActiveSectorNames() {
+  return getSectors().filter(sector => sector.active).map(sector => sector.name);
+}
+
+function getSalesSector() {
+  return loadSetting("sales_sector", DEFAULT_SALES_SECTOR);
+}
+
+function getSectorColor(name) {
+  const sector = getSectors().find(s => s.name === name);
+  return sector ? sector.color : "#A0A0AB";
+}
+
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Selects de setor do cadastro e do novo chamado (somente setores ativos), mantendo a escolha atual
+function populateSectorSelects() {
+  const sectors = getActiveSectorNames();
+
+  ["reg-sector", "ticket-dest"].forEach(id => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="" disabled selected>Selecione o setor...</option>` +
+      sectors.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join("");
+    select.value = sectors.includes(current) ? current : "";
+  });
+}
+
+function renderSectorAdmin() {
+  const users = loadCollection("users");
+  const tickets = loadCollection("tickets");
+  const tbody = document.getElementById("admin-sector-rows");
+  tbody.innerHTML = "";
+
+  const salesSector = getSalesSector();
+  getSectors().forEach(sector => {
+    const userCount = users.filter(u => u.sector === sector.name).length;
+    const ticketCount = tickets.filter(t => t.originSector === sector.name || t.destSector === sector.name).length;
+    tbody.appendChild(buildSectorAdminRow(sector, `${userCount} usuário(s) · ${ticketCount} chamado(s)`, sector.name === salesSector));
+  });
+}
+
+function buildSectorAdminRow(sector, usage, isSalesSector) {
+  const row = document.createElement("tr");
+  row.dataset.originalName = sector.name;
+  row.innerHTML = `
+    <td><input type="text" class="form-input admin-input" data-field="name" value="${escapeHTML(sector.name)}" placeholder="Ex: RH"></td>
+    <td><input type="color" class="admin-color-input" data-field="color" value="${escapeHTML(sector.color)}"></td>
+    <td><label class="admin-toggle"><input type="checkbox" data-field="active" ${sector.active ? "checked" : ""}> Ativo</label></td>
+    <td><label class="admin-toggle"><input type="radio" name="admin-sales-sector" data-field="sales" ${isSalesSector ? "checked" : ""}> Pipeline</label></td>
+    <td class="admin-usage">${usage}</td>
+  `;
+  return row;
+}
+
+function addSectorRow() {
+  const row = buildSectorAdminRow({ name: "", color: "#A78BFA", active: true }, "Novo setor", false);
+  document.getElementById("admin-sector-rows").appendChild(row);
+  row.querySelector('[data-field="name"]').focus();
+}
+
+function saveSectors() {
+  if (!can("sectors.manage")) return;
+
+  const rows = [...document.querySelectorAll("#admin-sector-rows tr")];
+  const sectors = rows.map(row => ({
+    originalName: row.dataset.originalName,
+    name: row.querySelector('[data-field="name"]').value.trim(),
+    color: row.querySelector('[data-field="color"]').value.toUpperCase(),
+    active: row.querySelector('[data-field="active"]').checked,
+    sales: row.querySelector('[data-field="sales"]').checked
+  })).filter(sector => sector.name || sector.originalName);
+
+  const names = sectors.map(sector => sector.name.toLowerCase());
+  if (sectors.some(sector => !sector.name)) {
+    showToast("error", "Todo setor precisa de um nome.");
+    return;
+  }
+  if (new Set(names).size !== names.length) {
+    showToast("error", "Existem setores com o mesmo nome.");
+    return;
+  }
+  if (!sectors.some(sector => sector.active)) {
+    showToast("error", "Mantenha pelo menos um setor ativo.");
+    return;
+  }
+  const salesSector = sectors.find(sector => sector.sales);
+  if (!salesSector) {
+    showToast("error", "Escolha o setor responsável pelo pipeline de vendas.");
+    return;
+  }
+
+  // Renomear um setor atualiza usuários, chamados e políticas de SLA que usam o nome antigo
+  sectors
+    .filter(sector => sector.originalName && sector.originalName !== sector.name)
+    .forEach(sector => renameSector(sector.originalName, sector.name));
+
+  saveSetting("sectors", sectors.map(({ name, color, active }) => ({ name, color, active })));
+  if (salesSector.name !== getSalesSector()) {
+    saveSetting("sales_sector", salesSector.name);
+  }
+
+  populateSectorSelects();
+  refreshDataViews();
+  showToast("success", "Configuração de setores salva.");
+}
+
+function renameSector(oldName, newName) {
+  const users = loadCollection("users");
+  users.forEach(u => {
+    if (u.sector === oldName) u.sector = newName;
+  });
+  saveCollection("users", users);
+
+  const tickets = loadCollection("tickets");
+  tickets.forEach(t => {
+    if (t.originSector === oldName) t.originSector = newName;
+    if (t.destSector === oldName) t.destSector = newName;
+  });
+  saveCollection("tickets", tickets);
+
+  // Setores padrão podem não ter política gravada: preserva a meta efetiva sob o novo nome
+  const policies = loadSetting("sla_policies", {});
+  const effectivePolicy = getSlaPolicies()[oldName];
+  if (effectivePolicy) {
+    policies[newName] = effectivePolicy;
+    delete policies[oldName];
+    saveSetting("sla_policies", policies);
+  }
+
+  const templates = getTicketTemplates();
+  if (templates.some(tpl => tpl.sector === oldName)) {
+    saveSetting("ticket_templates", templates.map(tpl => tpl.sector === oldName ? Object.assign({}, tpl, { sector: newName }) : tpl));
+  }
+
+  const recurring = getRecurringDefinitions();
+  if (recurring.some(def => def.originSector === oldName || def.destSector === oldName)) {
+    recurring.forEach(def => {
+      if (def.originSector === oldName) def.originSector = newName;
+      if (def.destSector === oldName) def.destSector = newName;
+    });
+    saveSetting("recurring_tickets", recurring);
+  }
+
+  if (currentUser.sector === oldName) {
+    currentUser.sector = newName;
+    document.getElementById("user-sector-badge").textContent = newName;
+  }
+}
+
+// ================= CONSOLE DE ADMINISTRAÇÃO: USUÁRIOS =================
+function renderAdminConsole() {
+  renderSectorAdmin();
+  renderUserAdmin();
+  lucide.createIcons();
+}
+
+function renderUserAdmin() {
+  const users = loadCollection("users").filter(u => getUserStatus(u) !== "pendente");
+  const sectors = getSectorNames();
+  const tbody = document.getElementById("admin-user-rows");
+
+  tbody.innerHTML = users.map(u => {
+    const matricula = escapeHTML(u.matricula);
+    const role = getUserRole(u);
+    const status = getUserStatus(u);
+    const isSelf = u.matricula === currentUser.matricula;
+    const sectorOptions = (sectors.includes(u.sector) ? sectors : sectors.concat(u.sector))
+      .map(name => `<option value="${escapeHTML(name)}" ${name === u.sector ? "selected" : ""}>${escapeHTML(name)}</option>`).join("");
+    const roleOptions = Object.entries(USER_ROLES)
+      .map(([key, label]) => `<option value="${key}" ${key === role ? "selected" : ""}>${label}</option>`).join("");
+
+    return `
+      <tr class="${status === "ativo" ? "" : "admin-user-inactive"}">
+        <td><strong>${escapeHTML(u.name)}</strong><div class="admin-usage">Matrícula ${matricula}</div></td>
+        <td><select class="form-select admin-input" data-action="sector" data-id="${matricula}">${sectorOptions}</select></td>
+        <td><select class="form-select admin-input" data-action="role" data-id="${matricula}" ${isSelf ? "disabled" : ""}>${roleOptions}</select></td>
+        <td><span class="user-status-badge ${status}">${USER_STATUS_LABELS[status]}</span></td>
+        <td class="admin-user-actions">
+          <button type="button" class="action-status-btn" data-action="resetPassword" data-id="${matricula}" title="Gerar senha temporária"><i data-lucide="key-round"></i> Redefinir senha</button>
+          ${isSelf ? "" : status === "desativado"
+            ? `<button type="button" class="action-status-btn concluir" data-action="activate" data-id="${matricula}"><i data-lucide="user-check"></i> Reativar</button>`
+            : `<button type="button" class="action-status-btn devolver" data-action="deactivate" data-id="${matricula}"><i data-lucide="user-x"></i> Desativar</button>`}
+        </td>
+      </tr>`;
+  }).join("");
+
+  bindListActions(tbody, {
+    sector: (id, select) => changeUserSector(id, select.value),
+    role: (id, select) => changeUserRole(id, select.value),
+    resetPassword: id => resetUserPassword(id),
+    activate: id => setUserActive(id, true),
+    deactivate: id => setUserActive(id, false)
+  });
+}
+
+// Aplica uma alteração de conta feita pelo administrador e redesenha as telas afetadas
+function updateManagedUser(matricula, mutate, successMsg) {
+  const users = loadCollection("users");
+  const user = users.find(u => u.matricula === matricula);
+  if (!user || !can("users.manage", user)) {
+    showToast("error", "Somente administradores alteram contas de usuário.");
+    renderUserAdmin();
+    return null;
+  }
+
+  mutate(user);
+  saveCollection("users", users);
+  showToast("success", successMsg(user));
+
+  if (user.matricula === currentUser.matricula) {
+    currentUser = toSessionUser(user);
+    document.getElementById("user-sector-badge").textContent = currentUser.sector;
+    document.getElementById("user-role-lbl").textContent = USER_ROLES[currentUser.role];
+  }
+  refreshDataViews();
+  return user;
+}
+
+function changeUserRole(matricula, role) {
+  if (!USER_ROLES[role] || matricula === currentUser.matricula) return;
+  updateManagedUser(matricula, user => { user.role = role; }, user => `${user.name} agora é ${USER_ROLES[role]}.`);
+}
+
+function changeUserSector(matricula, sector) {
+  if (!getSectorNames().includes(sector)) return;
+  updateManagedUser(matricula, user => { user.sector = sector; }, user => `${user.name} foi transferido para ${sector}.`);
+}
+
+function setUserActive(matricula, active) {
+  if (matricula === currentUser.matricula) return;
+  if (!active && !confirm("Desativar esta conta? O usuário não conseguirá mais acessar o SISMV.")) return;
+
+  updateManagedUser(matricula, user => {
+    user.status = active ? "ativo" : "desativado";
+  }, user => active ? `Conta de ${user.name} reativada.` : `Conta de ${user.name} desativada.`);
+}
+
+// Senha temporária aleatória que já atende às regras de força
+function generateTemporaryPassword() {
+  const groups = ["ABCDEFGHJKLMNPQRSTUVWXYZ", "abcdefghijkmnpqrstuvwxyz", "23456789", "!@#$%*?"];
+  const all = groups.join("");
+  const random = max => crypto.getRandomValues(new Uint32Array(1))[0] % max;
+
+  const chars = groups.map(group => group[random(group.length)]);
+  while (chars.length < 12) {
+    chars.push(all[random(all.length)]);
+  }
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = random(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+}
+
+// Gera uma senha temporária; o usuário é obrigado a trocá-la no próximo login
+async function resetUserPassword(matricula) {
+  if (!confirm("Gerar uma senha temporária para este usuário? A senha atual deixará de funcionar.")) return;
+
+  const temporaryPassword = generateTemporaryPassword();
+  const passwordHash = await hashPassword(temporaryPassword);
+
+  const user = updateManagedUser(matricula, u => {
+    u.passwordHash = passwordHash;
+    u.mustChangePassword = true;
+    u.passwordResetBy = currentUser.matricula;
+    delete u.password;
+  }, u => `Senha de ${u.name} redefinida.`);
+
+  if (user) {
+    clearFailedLogins(matricula);
+    alert(`Senha temporária de ${user.name} (${user.matricula}): ${temporaryPassword}\n\nRepasse ao usuário; ela precisará ser trocada no próximo acesso.`);
+  }
+}
+
+// ================= BACKUP, RESTAURAÇÃO E EXPORTAÇÃO =================
+const BACKUP_FORMAT = "sismv-backup";
+const BACKUP_VERSION = 1;
+
+// Configurações que acompanham o backup (tentativas de login e notificações lidas ficam de fora). As visões salvas,
+// guardadas por usuário, vão juntas em "saved_views" (matrícula -> visões), o formato das versões anteriores
+const BACKUP_SETTINGS = ["sectors", "sales_sector", "sla_policies", "id_counters", "ticket_templates", "recurring_tickets"];
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function getTodayStamp() {
+  return new Date().toISOString().split("T")[0];
+}
+
+// Backups completos levam o conteúdo dos anexos em Base64; nos leves ficam só nome e metadados
+async function embedAttachmentData(tickets) {
+  for (const ticket of tickets) {
+    for (const attachment of getAllTicketAttachments(ticket)) {
+      const blob = await loadAttachmentBlob(attachment.id);
+      if (blob) attachment.data = await blobToDataUrl(blob);
+    }
+  }
+}
+
+async function downloadBackup() {
+  if (!can("data.backup")) return;
+
+  const includeAttachments = document.getElementById("backup-include-attachments").checked;
+  const collections = {};
+  Object.keys(DATA_COLLECTIONS).forEach(name => {
+    collections[name] = loadCollection(name);
+  });
+  if (includeAttachments) {
+    try {
+      await embedAttachmentData(collections.tickets);
+    } catch (err) {
+      console.error("[backup] Falha ao ler os anexos:", err);
+      showToast("error", `Não foi possível ler os anexos para o backup: ${err.message}`);
+      return;
+    }
+  }
+
+  const settings = {};
+  BACKUP_SETTINGS.forEach(key => {
+    const value = loadSetting(key, null);
+    if (value !== null) settings[key] = value;
+  });
+  // No servidor as visões de outros usuários não são visíveis nem ao administrador: vão só as que ele lê
+  settings.saved_views = {};
+  collections.users.forEach(user => {
+    const views = getSavedViews(user.matricula);
+    if (views.length > 0) settings.saved_views[user.matricula] = views;
+  });
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy: currentUser.matricula,
+    includesAttachments: includeAttachments,
+    collections,
+    settings
+  };
+
+  downloadFile(`sismv-backup-${getTodayStamp()}.json`, JSON.stringify(backup, null, 2), "application/json");
+  showToast("success", `Backup gerado com ${collections.tickets.length} chamados, ${collections.sales.length} vendas e ${collections.users.length} usuários.`);
+}
+
+// Regras mínimas de cada registro para que as telas funcionem após a restauração
+const BACKUP_RECORD_VALIDATORS = {
+  users: user => [
+    typeof user.matricula !== "string" || !MATRICULA_PATTERN.test(user.matricula) ? "matrícula inválida" : null,
+    typeof user.name !== "string" || !user.name.trim() ? "nome ausente" : null,
+    typeof user.sector !== "string" || !user.sector ? "setor ausente" : null,
+    // O servidor não entrega os hashes das senhas: backups feitos lá mantêm as senhas já gravadas no servidor
+    dataStore.mode !== "server" && !user.passwordHash && typeof user.password !== "string" ? "sem credencial de acesso" : null
+  ],
+  tickets: ticket => [
+    typeof ticket.title !== "string" || !ticket.title.trim() ? "título ausente" : null,
+    !TICKET_STATUS_LABELS[ticket.status] ? `status desconhecido "${ticket.status}"` : null,
+    typeof ticket.originSector !== "string" || typeof ticket.destSector !== "string" ? "setores de origem/destino ausentes" : null,
+    typeof ticket.createdBy !== "string" || !ticket.createdBy.trim() ? "autor ausente" : null,
+    isNaN(new Date(ticket.createdDate).getTime()) ? "data de abertura inválida" : null
+  ],
+  sales: sale => [
+    typeof sale.client !== "string" || !sale.client.trim() ? "cliente ausente" : null,
+    typeof sale.value !== "number" || !isFinite(sale.value) ? "valor inválido" : null,
+    !SALE_STATUS_INFO[sale.status] ? `status desconhecido "${sale.status}"` : null
+  ]
+};
+
+function validateBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.collections !== "object" || !backup.collections) {
+    return ["O arquivo não é um backup do SISMV."];
+  }
+  if (backup.version > BACKUP_VERSION || (backup.schemaVersion || 0) > CURRENT_SCHEMA_VERSION) {
+    return [`Backup gerado por uma versão mais nova do SISMV (formato ${backup.version}, esquema ${backup.schemaVersion}).`];
+  }
+
+  const errors = [];
+  Object.keys(DATA_COLLECTIONS).forEach(name => {
+    const items = backup.collections[name];
+    if (!Array.isArray(items)) {
+      errors.push(`Coleção "${name}" ausente ou inválida.`);
+      return;
+    }
+
+    const idField = DATA_COLLECTIONS[name].idField;
+    const seen = new Set();
+    items.forEach((item, index) => {
+      if (!item || typeof item !== "object") {
+        errors.push(`${name} #${index + 1}: registro inválido.`);
+        return;
+      }
+
+      const label = `${name} #${index + 1}${item[idField] ? ` (${item[idField]})` : ""}`;
+      if (!item[idField]) {
+        errors.push(`${label}: campo "${idField}" obrigatório.`);
+      } else if (seen.has(item[idField])) {
+        errors.push(`${label}: identificador repetido no arquivo.`);
+      }
+      seen.add(item[idField]);
+
+      BACKUP_RECORD_VALIDATORS[name](item).filter(Boolean).forEach(msg => errors.push(`${label}: ${msg}.`));
+    });
+  });
+
+  if (backup.settings !== undefined && (typeof backup.settings !== "object" || Array.isArray(backup.settings))) {
+    errors.push("Bloco de configurações inválido.");
+  }
+  return errors;
+}
+
+function mergeBackupSetting(key, current, incoming) {
+  // Valores simples (ex.: setor de vendas) são substituídos pelo do backup
+  if (current === null || typeof incoming !== "object") return incoming;
+  if (key === "id_counters") {
+    // O contador nunca volta atrás, senão IDs emitidos depois do backup seriam reaproveitados
+    const counters = Object.assign({}, current);
+    Object.keys(incoming).forEach(prefix => {
+      counters[prefix] = Math.max(counters[prefix] || 0, incoming[prefix]);
+    });
+    return counters;
+  }
+  // Listas (setores pelo nome, modelos e recorrências pelo ID): o item do backup substitui o de mesmo nome/ID
+  if (Array.isArray(incoming)) {
+    const keyField = key === "sectors" ? "name" : "id";
+    const byKey = new Map();
+    (Array.isArray(current) ? current : []).concat(incoming).forEach(item => {
+      byKey.set(item[keyField], item);
+    });
+    return Array.from(byKey.values());
+  }
+  return Object.assign({}, current, incoming);
+}
+
+// O conteúdo dos anexos embutido no arquivo vai primeiro para o armazenamento de arquivos: se faltar espaço,
+// nenhum registro foi alterado ainda
+async function applyBackup(backup, mode) {
+  for (const ticket of backup.collections.tickets) {
+    for (const attachment of getAllTicketAttachments(ticket)) {
+      await moveInlineAttachmentData(ticket.id, attachment);
+    }
+  }
+
+  const counts = {};
+
+  Object.keys(DATA_COLLECTIONS).forEach(name => {
+    const incoming = backup.collections[name];
+    counts[name] = incoming.length;
+
+    if (mode === "replace") {
+      saveCollection(name, incoming);
+      return;
+    }
+
+    const idField = DATA_COLLECTIONS[name].idField;
+    const merged = loadCollection(name);
+    incoming.forEach(item => {
+      const index = merged.findIndex(existing => existing[idField] === item[idField]);
+      if (index === -1) {
+        merged.push(item);
+      } else {
+        // Os arquivos dos anexos ficam gravados à parte pelo ID, então um backup sem anexos não apaga os locais
+        merged[index] = item;
+      }
+    });
+    saveCollection(name, merged);
+  });
+
+  BACKUP_SETTINGS.forEach(key => {
+    const incoming = (backup.settings || {})[key];
+    if (incoming === undefined) return;
+    const replace = mode === "replace" && key !== "id_counters";
+    saveSetting(key, replace ? incoming : mergeBackupSetting(key, loadSetting(key, null), incoming));
+  });
+
+  const savedViews = (backup.settings || {}).saved_views;
+  if (savedViews && typeof savedViews === "object") {
+    Object.keys(savedViews).filter(matricula => Array.isArray(savedViews[matricula])).forEach(matricula => {
+      storeSavedViews(mode === "replace"
+        ? savedViews[matricula]
+        : mergeBackupSetting("saved_views", getSavedViews(matricula), savedViews[matricula]), matricula);
+    });
+  }
+
+  return counts;
+}
+
+function triggerRestoreInput() {
+  document.getElementById("backup-restore-file").click();
+}
+
+function handleRestoreFileSelect(e) {
+  const file = e.target.files[0];
+  e.target.value = "";
+  if (!file || !can("data.backup")) return;
+
+  const report = document.getElementById("backup-restore-report");
+  report.innerHTML = "";
+
+  const reader = new FileReader();
+  reader.onload = async (event) => {
+    let backup = null;
+    try {
+      backup = JSON.parse(event.target.result);
+    } catch (err) {
+      showToast("error", "Arquivo JSON inválido.");
+      return;
+    }
+
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+      report.innerHTML = `<p>Backup recusado (${errors.length} problema(s)); nenhum dado foi alterado:</p><ul>` +
+        errors.slice(0, 20).map(msg => `<li>${escapeHTML(msg)}</li>`).join("") +
+        (errors.length > 20 ? `<li>... e mais ${errors.length - 20}.</li>` : "") + `</ul>`;
+      showToast("error", "O backup tem registros inválidos e não foi restaurado.");
+      return;
+    }
+
+    // Backups de versões anteriores passam pelas mesmas migrações da inicialização antes de serem aplicados
+    // (sem gravar arquivos: nada é alterado antes da confirmação)
+    try {
+      const migrated = await migrateData(Object.assign({ settings: Object.assign({}, backup.settings) }, backup.collections),
+        backup.schemaVersion || 0, { skipFileWrites: true });
+      backup.collections = { users: migrated.users, tickets: migrated.tickets, sales: migrated.sales };
+      backup.settings = migrated.settings;
+    } catch (err) {
+      report.innerHTML = `<p>Backup recusado; nenhum dado foi alterado: ${escapeHTML(describeStorageError(err))}</p>`;
+      showToast("error", "Não foi possível atualizar o backup para o formato atual.");
+      return;
+    }
+
+    const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+    const { users, tickets, sales } = backup.collections;
+    const summary = `Backup de ${formatDateTime(backup.exportedAt)}: ${tickets.length} chamados, ${sales.length} vendas e ${users.length} usuários` +
+      (backup.includesAttachments ? "." : " (sem o conteúdo dos anexos).");
+    const action = mode === "replace"
+      ? "SUBSTITUIR todos os dados atuais por este backup? Registros que não estão no arquivo serão apagados."
+      : "MESCLAR com os dados atuais? Registros com o mesmo ID serão sobrescritos pelos do backup.";
+    if (!confirm(`${summary}\n\n${action}`)) return;
+
+    let counts;
+    try {
+      counts = await applyBackup(backup, mode);
+    } catch (err) {
+      report.innerHTML = `<p>Backup não restaurado; nenhum registro foi alterado: ${escapeHTML(describeStorageError(err))}</p>`;
+      showToast("error", "Não foi possível gravar os anexos do backup.");
+      return;
+    }
+
+    // O usuário logado pode ter deixado de existir (ou sido desativado) no backup substituído
+    const me = loadCollection("users").find(u => u.matricula === currentUser.matricula);
+    if (!me || getUserStatus(me) !== "ativo") {
+      alert("Backup restaurado. Sua conta não existe (ou não está ativa) nos dados restaurados; faça login novamente.");
+      handleLogout();
+      return;
+    }
+    currentUser = toSessionUser(me);
+
+    populateSectorSelects();
+    refreshDataViews();
+    report.innerHTML = `<p class="backup-report-ok">${escapeHTML(summary)} Restaurado em modo ${mode === "replace" ? "substituição" : "mesclagem"}.</p>`;
+    showToast("success", `Backup restaurado: ${counts.tickets} chamados, ${counts.sales} vendas, ${counts.users} usuários.`);
+  };
+  reader.readAsText(file);
+}
+
+// --- Exportação CSV (separador ";" e BOM UTF-8 para abrir direto no Excel em português) ---
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "number" ? String(value).replace(".", ",") : String(value);
+
+  // Evita que planilhas interpretem textos como fórmulas
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(headers, rows) {
+  return "\uFEFF" + [headers].concat(rows).map(row => row.map(csvCell).join(";")).join("\r\n");
+}
+
+function formatCsvDateTime(isoStr) {
+  return isoStr ? formatDateTime(isoStr).replace(" às ", " ") : "";
+}
+
+// Exporta os chamados que o usuário está vendo no Dashboard (permissões + filtros ativos)
+function exportTicketsCsv() {
+  const tickets = applyTicketFilters(getVisibleTickets());
+  if (tickets.length === 0) {
+    showToast("info", "Nenhum chamado visível para exportar.");
+    return;
+  }
+
+  const now = Date.now();
+  const headers = ["ID", "Título", "Descrição", "Origem", "Destino", "Status", "Prioridade", "Responsável", "Criado por",
+    "Aberto em", "Prazo 1ª resposta", "Prazo resolução", "SLA", "Devoluções", "Comentários", "Anexos", "Tipo de solicitação", "Dados da solicitação", "Vínculos"];
+  const rows = tickets.map(ticket => {
+    const sla = computeTicketSlaStatus(ticket, now);
+    return [
+      ticket.id,
+      ticket.title,
+      ticket.description,
+      ticket.originSector,
+      ticket.destSector,
+      TICKET_STATUS_LABELS[ticket.status] || ticket.status,
+      (PRIORITY_LEVELS[sla.priority] || PRIORITY_LEVELS.media).label,
+      ticket.assigneeName || "",
+      ticket.createdBy,
+      formatCsvDateTime(ticket.createdDate),
+      formatCsvDateTime(sla.firstResponse.due),
+      formatCsvDateTime(sla.resolution.due),
+      SLA_STATE_LABELS[getWorstSlaState(sla)] || "",
+      countTicketReturns(ticket),
+      (ticket.comments || []).length,
+      getTicketAttachments(ticket).length,
+      ticket.templateName || "",
+      (ticket.fields || []).map(field => `${field.label}: ${formatTemplateFieldValue(field)}`).join("; "),
+      getTicketRelations(ticket).map(rel => `${TICKET_RELATION_TYPES[rel.type].label} ${rel.ticketId}`).join("; ")
+    ];
+  });
+
+  downloadFile(`sismv-chamados-${getTodayStamp()}.csv`, buildCsv(headers, rows), "text/csv;charset=utf-8");
+  showToast("success", `${tickets.length} chamado(s) exportado(s).`);
+}
+
+function exportSalesCsv() {
+  if (!can("sales.view")) return;
+
+  const sales = loadCollection("sales");
+  if (sales.length === 0) {
+    showToast("info", "Nenhuma venda para exportar.");
+    return;
+  }
+
+  const headers = ["ID", "Cliente", "Valor (R$)", "Status", "Data", "Responsável", "Motivo da perda"];
+  const rows = sales.map(sale => [
+    sale.id,
+    sale.client,
+    sale.value,
+    (SALE_STATUS_INFO[sale.status] || SALE_STATUS_INFO.lead).label,
+    sale.date ? sale.date.split("-").reverse().join("/") : "",
+    sale.ownerName || "",
+    sale.lossReason || ""
+  ]);
+
+  downloadFile(`sismv-vendas-${getTodayStamp()}.csv`, buildCsv(headers, rows), "text/csv;charset=utf-8");
+  showToast("success", `${sales.length} venda(s) exportada(s).`);
+}
+
+// ================= IMPORTAÇÃO DE CSV =================
+// Campos aceitos por tipo de registro; "aliases" ajudam a reconhecer o cabeçalho das planilhas antigas
+const IMPORT_TARGETS = {
+  tickets: {
+    label: "Chamados",
+    collection: "tickets",
+    prefix: "CH",
+    fields: [
+      { key: "legacyId", label: "ID original", aliases: ["id", "codigo", "numero", "id original"] },
+      { key: "title", label: "Título", required: true, aliases: ["titulo", "assunto", "title"] },
+      { key: "description", label: "Descrição", aliases: ["descricao", "detalhes", "description"] },
+      { key: "originSector", label: "Setor de origem", required: true, aliases: ["origem", "setor origem", "setor de origem", "solicitante setor"] },
+      { key: "destSector", label: "Setor destino", required: true, aliases: ["destino", "setor destino", "setor de destino", "setor destinatario"] },
+      { key: "status", label: "Status", aliases: ["status", "situacao", "estado"] },
+      { key: "priority", label: "Prioridade", aliases: ["prioridade", "priority"] },
+      { key: "createdDate", label: "Data de abertura", aliases: ["data", "aberto em", "data de abertura", "data abertura", "criado em"] },
+      { key: "createdBy", label: "Criado por", aliases: ["criado por", "solicitante", "autor", "aberto por"] },
+      { key: "reasonDevolvido", label: "Motivo da devolução", aliases: ["motivo", "motivo da devolucao", "justificativa"] }
+    ]
+  },
+  sales: {
+    label: "Oportunidades de venda",
+    collection: "sales",
+    prefix: "VD",
+    fields: [
+      { key: "legacyId", label: "ID original", aliases: ["id", "codigo", "numero", "id original"] },
+      { key: "client", label: "Cliente", required: true, aliases: ["cliente", "empresa", "client"] },
+      { key: "value", label: "Valor (R$)", required: true, aliases: ["valor", "valor (r$)", "montante", "value"] },
+      { key: "status", label: "Status", aliases: ["status", "etapa", "situacao", "fase"] },
+      { key: "date", label: "Data", aliases: ["data", "date", "data da venda"] },
+      { key: "ownerName", label: "Responsável", aliases: ["responsavel", "vendedor", "dono", "owner"] },
+      { key: "lossReason", label: "Motivo da perda", aliases: ["motivo", "motivo da perda", "justificativa"] }
+    ]
+  }
+};
+
+// Estado do assistente: arquivo lido, mapeamento coluna → campo e resultado da validação
+let importState = null;
+
+// Lê CSV com aspas, separador ";", "," ou tabulação (detectado pela primeira linha) e BOM opcional
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", ",", "\t"]
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+// Aceita dd/mm/aaaa [hh:mm] e datas ISO
+function parseImportDate(value) {
+  const text = value.trim();
+  const br = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  const isoDay = text.match(/^(\d{4})-(\d{2})-(\d{2})$/); // sem horário: meia-noite local, não UTC
+  let date = new Date(text);
+  if (br) {
+    date = new Date(Number(br[3]), Number(br[2]) - 1, Number(br[1]), Number(br[4] || 0), Number(br[5] || 0));
+  } else if (isoDay) {
+    date = new Date(Number(isoDay[1]), Number(isoDay[2]) - 1, Number(isoDay[3]));
+  }
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Aceita "R$ 1.234,56", "1234,56" e "1234.56"
+function parseImportNumber(value) {
+  let text = value.replace(/R\$|\s/g, "");
+  if (text.includes(",")) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  }
+  const number = Number(text);
+  return text !== "" && isFinite(number) ? number : null;
+}
+
+// Encontra a chave de um valor aceitando a própria chave ou o rótulo exibido (sem acentos/maiúsculas)
+function matchImportOption(value, labelsByKey) {
+  const wanted = normalizeSearchText(value.trim());
+  return Object.keys(labelsByKey).find(key =>
+    normalizeSearchText(key) === wanted || normalizeSearchText(labelsByKey[key]) === wanted) || null;
+}
+
+function matchImportSector(value) {
+  const wanted = normalizeSearchText(value.trim());
+  return getSectorNames().find(name => normalizeSearchText(name) === wanted) || null;
+}
+
+// Converte uma linha do CSV no registro de destino; devolve { values, errors }
+function validateImportRow(type, raw) {
+  const errors = [];
+  const values = {};
+  const get = key => (raw[key] || "").trim();
+
+  IMPORT_TARGETS[type].fields.forEach(field => {
+    if (field.required && !get(field.key)) {
+      errors.push(`${field.label} obrigatório`);
+    }
+  });
+
+  if (type === "tickets") {
+    values.title = get("title");
+    values.description = get("description");
+    values.createdBy = get("createdBy") || "Importação";
+
+    ["originSector", "destSector"].forEach(key => {
+      if (!get(key)) return;
+      values[key] = matchImportSector(get(key));
+      if (!values[key]) errors.push(`setor "${get(key)}" não cadastrado`);
+    });
+
+    values.status = get("status") ? matchImportOption(get("status"), TICKET_STATUS_LABELS) : "aberto";
+    if (!values.status) errors.push(`status "${get("status")}" inválido (use ${Object.keys(TICKET_STATUS_LABELS).join(", ")})`);
+
+    const priorityLabels = {};
+    Object.keys(PRIORITY_LEVELS).forEach(key => { priorityLabels[key] = PRIORITY_LEVELS[key].label; });
+    values.priority = get("priority") ? matchImportOption(get("priority"), priorityLabels) : "media";
+    if (!values.priority) errors.push(`prioridade "${get("priority")}" inválida`);
+
+    const createdDate = get("createdDate") ? parseImportDate(get("createdDate")) : new Date();
+    if (!createdDate) errors.push(`data "${get("createdDate")}" inválida`);
+    values.createdDate = createdDate ? createdDate.toISOString() : null;
+
+    values.reasonDevolvido = get("reasonDevolvido") || null;
+    if (values.status === "devolvido" && !values.reasonDevolvido) errors.push("chamado devolvido exige motivo");
+  } else {
+    values.client = get("client");
+    values.ownerName = get("ownerName") || null;
+    values.lossReason = get("lossReason") || null;
+
+    if (get("value")) {
+      values.value = parseImportNumber(get("value"));
+      if (values.value === null || values.value < 0) errors.push(`valor "${get("value")}" inválido`);
+    }
+
+    const statusLabels = {};
+    Object.keys(SALE_STATUS_INFO).forEach(key => { statusLabels[key] = SALE_STATUS_INFO[key].label; });
+    values.status = get("status") ? matchImportOption(get("status"), statusLabels) : "lead";
+    if (!values.status) errors.push(`status "${get("status")}" inválido (use ${Object.keys(SALE_STATUS_INFO).join(", ")})`);
+
+    const date = get("date") ? parseImportDate(get("date")) : new Date();
+    if (!date) errors.push(`data "${get("date")}" inválida`);
+    values.date = date ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}` : null;
+
+    if (values.status === "devolvido" && !values.lossReason) errors.push("venda perdida exige motivo");
+  }
+
+  values.legacyId = get("legacyId") || null;
+  return { values, errors };
+}
+
+function getImportType() {
+  return document.querySelector('input[name="import-type"]:checked').value;
+}
+
+function triggerImportInput() {
+  document.getElementById("import-file").click();
+}
+
+function handleImportFileSelect(e) {
+  const file = e.target.files[0];
+  e.target.value = "";
+  if (!file || !can("data.import")) return;
+
+  const reader = new FileReader();
+  reader.onload = (event) => {
+    const rows = parseCsv(event.target.result);
+    if (rows.length < 2) {
+      showToast("error", "O CSV precisa de uma linha de cabeçalho e ao menos uma linha de dados.");
+      return;
+    }
+
+    importState = {
+      fileName: file.name,
+      headers: rows[0].map(header => header.trim()),
+      rows: rows.slice(1),
+      mapping: {}
+    };
+    handleImportTypeChange();
+  };
+  reader.readAsText(file, "utf-8");
+}
+
+// Troca de tipo (ou novo arquivo): refaz o mapeamento automático pelos nomes das colunas
+function handleImportTypeChange() {
+  if (!importState) return;
+
+  const normalizedHeaders = importState.headers.map(normalizeSearchText);
+  importState.mapping = {};
+  IMPORT_TARGETS[getImportType()].fields.forEach(field => {
+    const candidates = [field.key, field.label].concat(field.aliases).map(normalizeSearchText);
+    const index = normalizedHeaders.findIndex(header => candidates.includes(header));
+    importState.mapping[field.key] = index;
+  });
+
+  renderImportMapping();
+  renderImportPreview();
+}
+
+function renderImportMapping() {
+  const container = document.getElementById("import-mapping");
+  const columnOptions = importState.headers
+    .map((header, index) => `<option value="${index}">${escapeHTML(header || `Coluna ${index + 1}`)}</option>`).join("");
+
+  container.innerHTML = IMPORT_TARGETS[getImportType()].fields.map(field => `
+    <label class="import-mapping-field">
+      <span>${field.label}${field.required ? " *" : ""}</span>
+      <select class="form-select admin-input" data-action="map" data-id="${field.key}">
+        <option value="-1">— Não importar —</option>
+        ${columnOptions}
+      </select>
+    </label>
+  `).join("");
+
+  container.querySelectorAll("select").forEach(select => {
+    select.value = String(importState.mapping[select.dataset.id]);
+  });
+  bindListActions(container, { map: handleImportMappingChange });
+
+  document.getElementById("import-file-info").textContent =
+    `${importState.fileName}: ${importState.rows.length} linha(s) de dados e ${importState.headers.length} coluna(s).`;
+  document.getElementById("import-wizard").style.display = "block";
+}
+
+function handleImportMappingChange(fieldKey, select) {
+  importState.mapping[fieldKey] = parseInt(select.value, 10);
+  renderImportPreview();
+}
+
+const IMPORT_PREVIEW_LIMIT = 200;
+
+function renderImportPreview() {
+  const type = getImportType();
+  const fields = IMPORT_TARGETS[type].fields.filter(field => importState.mapping[field.key] >= 0);
+
+  importState.results = importState.rows.map(row => {
+    const raw = {};
+    Object.keys(importState.mapping).forEach(key => {
+      const index = importState.mapping[key];
+      raw[key] = index >= 0 ? (row[index] || "") : "";
+    });
+    return Object.assign({ raw }, validateImportRow(type, raw));
+  });
+
+  const validCount = importState.results.filter(result => result.errors.length === 0).length;
+  const invalidCount = importState.results.length - validCount;
+
+  document.getElementById("import-preview-head").innerHTML =
+    `<tr><th>Linha</th>${fields.map(field => `<th>${field.label}</th>`).join("")}<th>Validação</th></tr>`;
+  document.getElementById("import-preview-rows").innerHTML = importState.results.slice(0, IMPORT_PREVIEW_LIMIT).map((result, index) => `
+    <tr class="${result.errors.length ? "import-row-invalid" : ""}">
+      <td>${index + 2}</td>
+      ${fields.map(field => `<td>${escapeHTML(result.raw[field.key])}</td>`).join("")}
+      <td>${result.errors.length ? escapeHTML(result.errors.join("; ")) : "OK"}</td>
+    </tr>
+  `).join("");
+
+  document.getElementById("import-preview-summary").textContent =
+    `${validCount} linha(s) válida(s), ${invalidCount} com erro (serão ignoradas).` +
+    (importState.results.length > IMPORT_PREVIEW_LIMIT ? ` Pré-visualização limitada às primeiras ${IMPORT_PREVIEW_LIMIT} linhas.` : "");
+
+  const confirmBtn = document.getElementById("import-confirm-btn");
+  confirmBtn.disabled = validCount === 0;
+  confirmBtn.textContent = `Importar ${validCount} ${IMPORT_TARGETS[type].label.toLowerCase()}`;
+}
+
+function cancelImport() {
+  importState = null;
+  document.getElementById("import-wizard").style.display = "none";
+}
+
+function buildImportedTicket(id, values, note) {
+  const ticket = {
+    id: id,
+    legacyId: values.legacyId,
+    title: values.title,
+    description: values.description,
+    originSector: values.originSector,
+    destSector: values.destSector,
+    status: "aberto",
+    priority: values.priority,
+    sla: computeSlaDueDates(getSlaPolicies(), values.destSector, values.priority, values.createdDate),
+    createdDate: values.createdDate,
+    createdBy: values.createdBy,
+    createdByMatricula: null,
+    assignee: null,
+    assigneeName: null,
+    comments: [],
+    attachments: [],
+    reasonDevolvido: values.status === "devolvido" ? values.reasonDevolvido : null,
+    events: []
+  };
+  recordTicketEvent(ticket, 'criado', note, values.createdDate);
+  // A planilha não traz as transições: o status importado fica registrado num evento próprio
+  if (values.status !== "aberto") {
+    ticket.status = values.status;
+    recordTicketEvent(ticket, 'importado', ticket.reasonDevolvido, values.createdDate);
+  }
+  return ticket;
+}
+
+function buildImportedSale(id, values, note) {
+  const owner = values.ownerName
+    ? loadCollection("users").find(u => normalizeSearchText(u.name) === normalizeSearchText(values.ownerName) || u.matricula === values.ownerName)
+    : null;
+  const sale = {
+    id: id,
+    legacyId: values.legacyId,
+    client: values.client,
+    value: values.value,
+    status: values.status,
+    date: values.date,
+    owner: owner ? owner.matricula : null,
+    ownerName: owner ? owner.name : values.ownerName,
+    lossReason: values.status === "devolvido" ? values.lossReason : null,
+    events: []
+  };
+  recordSaleEvent(sale, 'criado', note);
+  return sale;
+}
+
+async function confirmImport() {
+  if (!importState || !can("data.import")) return;
+
+  const type = getImportType();
+  const target = IMPORT_TARGETS[type];
+  const valid = importState.results.filter(result => result.errors.length === 0);
+  if (valid.length === 0) return;
+  if (!confirm(`Importar ${valid.length} registro(s) de ${importState.fileName}? Linhas com erro serão ignoradas.`)) return;
+
+  // Novos IDs continuam a numeração existente (CH-/VD-), sem reaproveitar números já usados
+  const note = `Importado de ${importState.fileName}`;
+  let ids;
+  try {
+    ids = await reserveRecordIds(target.prefix, valid.length);
+  } catch (err) {
+    showToast("error", `Nada foi importado: ${err.message}`);
+    return;
+  }
+  const items = loadCollection(target.collection);
+  const created = valid.map((result, index) => {
+    const id = ids[index];
+    const record = type === "tickets"
+      ? buildImportedTicket(id, result.values, note)
+      : buildImportedSale(id, result.values, note);
+    items.push(record);
+    return record;
+  });
+  saveCollection(target.collection, items);
+
+  showToast("success", `${created.length} registro(s) importado(s): ${created[0].id} a ${created[created.length - 1].id}.`);
+  cancelImport();
+  refreshDataViews();
+}
+
+// ================= PROCESSAMENTO DE ARQUIVOS (ANEXOS) =================
+function triggerFileInput() {
+  document.getElementById("ticket-file").click();
+}
+
+function handleFileSelect(e) {
+  const file = e.target.files[0];
+  if (file) {
+    processFile(file);
+  }
+}
+
+// Os handlers de arraste são compartilhados por todas as zonas de upload (formulário, comentários e anexos extras)
+function handleDragOver(e) {
+  e.preventDefault();
+  e.currentTarget.classList.add("dragover");
+}
+
+function handleDragLeave(e) {
+  e.preventDefault();
+  e.currentTarget.classList.remove("dragover");
+}
+
+function handleDrop(e) {
+  e.preventDefault();
+  e.currentTarget.classList.remove("dragover");
+  
+  const file = e.dataTransfer.files[0];
+  if (file) {
+    processFile(file);
+  }
+}
+
+// Valida o limite de 5MB e lê o arquivo como Base64 data url, entregando o anexo pronto ao callback
+// Anexo aguardando gravação: metadados + o próprio arquivo (Blob), que só é gravado junto com o chamado/comentário
+function createPendingAttachment(file) {
+  // Limite de 5MB
+  if (file.size > 5 * 1024 * 1024) {
+    alert(`Arquivo "${file.name}" muito grande. Limite máximo permitido: 5MB.`);
+    return null;
+  }
+
+  return {
+    id: generateLocalId("AN"),
+    name: file.name,
+    type: file.type,
+    size: formatFileSize(file.size),
+    sizeBytes: file.size,
+    uploadedBy: currentUser.matricula,
+    uploadedByName: currentUser.name,
+    uploadedAt: new Date().toISOString(),
+    blob: file
+  };
+}
+
+function processFile(file) {
+  const attachment = createPendingAttachment(file);
+  if (!attachment) return;
+  selectedAttachment = attachment;
+
+  // Atualiza preview na UI
+  document.getElementById("preview-filename").textContent = selectedAttachment.name;
+  document.getElementById("preview-filesize").textContent = selectedAttachment.size;
+  document.getElementById("attachment-preview").style.display = "flex";
+  document.getElementById("upload-zone").style.display = "none";
+}
+
+function clearAttachment(e) {
+  if (e) e.stopPropagation();
+  selectedAttachment = null;
+  document.getElementById("ticket-file").value = "";
+  document.getElementById("attachment-preview").style.display = "none";
+  document.getElementById("upload-zone").style.display = "block";
+}
+
+// ================= MODELOS DE CHAMADO (CAMPOS POR SETOR) =================
+// Tipos de solicitação de cada setor destinatário, com campos próprios. O chamado guarda uma cópia
+// dos rótulos e valores preenchidos, então editar ou excluir um modelo não altera chamados antigos.
+const TEMPLATE_FIELD_TYPES = {
+  texto: "Texto",
+  numero: "Número",
+  valor: "Valor (R$)",
+  data: "Data",
+  lista: "Lista de opções"
+};
+
+const DEFAULT_TICKET_TEMPLATES = [
+  {
+    id: "TPL-orcamento",
+    sector: "Admin/Financeiro",
+    name: "Liberação de orçamento",
+    hint: "Informe o valor total e o centro de custo que será debitado.",
+    active: true,
+    fields: [
+      { id: "valor", label: "Valor", type: "valor", required: true },
+      { id: "centro_custo", label: "Centro de custo", type: "texto", required: true },
+      { id: "data_limite", label: "Data limite para pagamento", type: "data", required: false }
+    ]
+  },
+  {
+    id: "TPL-reembolso",
+    sector: "Admin/Financeiro",
+    name: "Reembolso de despesa",
+    hint: "Anexe o comprovante da despesa.",
+    active: true,
+    fields: [
+      { id: "valor", label: "Valor", type: "valor", required: true },
+      { id: "centro_custo", label: "Centro de custo", type: "texto", required: true },
+      { id: "data_despesa", label: "Data da despesa", type: "data", required: true }
+    ]
+  },
+  {
+    id: "TPL-incidente",
+    sector: "TI",
+    name: "Incidente de sistema",
+    hint: "Descreva o erro exibido e o que estava fazendo quando ele aconteceu.",
+    active: true,
+    fields: [
+      { id: "sistema", label: "Sistema afetado", type: "lista", required: true, options: ["ERP", "CRM", "E-mail", "Rede/Internet", "Telefonia", "Outro"] },
+      { id: "severidade", label: "Severidade", type: "lista", required: true, options: ["Baixa", "Média", "Alta", "Crítica"] },
+      { id: "usuarios_afetados", label: "Usuários afetados", type: "numero", required: false }
+    ]
+  },
+  {
+    id: "TPL-acesso",
+    sector: "TI",
+    name: "Solicitação de acesso",
+    hint: "",
+    active: true,
+    fields: [
+      { id: "sistema", label: "Sistema", type: "texto", required: true },
+      { id: "matricula", label: "Matrícula de quem receberá o acesso", type: "texto", required: true }
+    ]
+  },
+  {
+    id: "TPL-peca",
+    sector: "Marketing",
+    name: "Criação de peça",
+    hint: "Inclua referências visuais como anexo.",
+    active: true,
+    fields: [
+      { id: "formato", label: "Formato", type: "lista", required: true, options: ["Post para redes sociais", "Banner", "Folheto", "Vídeo"] },
+      { id: "data_veiculacao", label: "Data de veiculação", type: "data", required: true }
+    ]
+  }
+];
+
+function getTicketTemplates() {
+  return loadSetting("ticket_templates", DEFAULT_TICKET_TEMPLATES);
+}
+
+function getSectorTemplates(sector) {
+  return getTicketTemplates().filter(tpl => tpl.sector === sector && tpl.active);
+}
+
+// Valor exibido no modal e na exportação
+function formatTemplateFieldValue(field) {
+  if (field.type === "valor") return formatBRL(field.value);
+  if (field.type === "data") return formatDateOnly(field.value);
+  return String(field.value);
+}
+
+// --- Campos do modelo no formulário de abertura ---
+// Os campos recebem o id "<prefixo>-<campo>" (formulário de abertura ou editor de recorrências)
+function renderTemplateFieldInput(field, prefix = "ticket-field") {
+  const inputId = `${prefix}-${field.id}`;
+  const required = field.required ? "required" : "";
+  let control;
+
+  if (field.type === "lista") {
+    control = `
+      <select id="${inputId}" class="form-select" data-field-id="${escapeHTML(field.id)}" ${required}>
+        <option value="">Selecione...</option>
+        ${field.options.map(opt => `<option value="${escapeHTML(opt)}">${escapeHTML(opt)}</option>`).join("")}
+      </select>`;
+  } else {
+    const attrs = {
+      texto: `type="text" maxlength="200"`,
+      numero: `type="number" step="any"`,
+      valor: `type="number" min="0" step="0.01" placeholder="0,00"`,
+      data: `type="date"`
+    }[field.type];
+    control = `<input id="${inputId}" class="form-input" data-field-id="${escapeHTML(field.id)}" ${attrs} ${required}>`;
+  }
+
+  return `
+    <div class="form-group">
+      <label class="form-label" for="${inputId}">${escapeHTML(field.label)}${field.required ? ` <span class="form-required">*</span>` : ""}</label>
+      ${control}
+    </div>`;
+}
+
+// Tipos de solicitação do setor escolhido; sem modelos, o seletor some e vale o chamado livre
+function updateTicketTemplateOptions() {
+  const destSector = document.getElementById("ticket-dest").value;
+  const templates = destSector ? getSectorTemplates(destSector) : [];
+  const select = document.getElementById("ticket-template");
+
+  select.innerHTML = `<option value="">Solicitação geral</option>` +
+    templates.map(tpl => `<option value="${escapeHTML(tpl.id)}">${escapeHTML(tpl.name)}</option>`).join("");
+  document.getElementById("ticket-template-group").style.display = templates.length > 0 ? "" : "none";
+  renderTicketTemplateFields();
+}
+
+function renderTicketTemplateFields() {
+  const templateId = document.getElementById("ticket-template").value;
+  const template = getTicketTemplates().find(tpl => tpl.id === templateId);
+  const container = document.getElementById("ticket-template-fields");
+
+  if (!template) {
+    container.innerHTML = "";
+    container.style.display = "none";
+    return;
+  }
+
+  container.innerHTML = `
+    ${template.hint ? `<p class="form-hint">${escapeHTML(template.hint)}</p>` : ""}
+    <div class="form-grid-2">${template.fields.map(field => renderTemplateFieldInput(field)).join("")}</div>`;
+  container.style.display = "";
+}
+
+// Lê e valida os campos do modelo; retorna os valores ou a lista de problemas
+function collectTemplateFields(template, prefix = "ticket-field") {
+  const errors = [];
+  const fields = [];
+
+  template.fields.forEach(field => {
+    const input = document.getElementById(`${prefix}-${field.id}`);
+    // Modelo alterado depois que o formulário foi montado: o campo novo não está na tela
+    if (!input) {
+      errors.push(`${field.label}: campo não encontrado no formulário, escolha o tipo de solicitação novamente`);
+      return;
+    }
+    const raw = input.value.trim();
+    input.classList.remove("input-invalid");
+
+    if (!raw) {
+      if (field.required) {
+        errors.push(`${field.label}: preenchimento obrigatório`);
+        input.classList.add("input-invalid");
+      }
+      return;
+    }
+
+    let value = raw;
+    if (field.type === "numero" || field.type === "valor") {
+      value = Number(raw);
+      if (isNaN(value) || (field.type === "valor" && value < 0)) {
+        errors.push(`${field.label}: informe um ${field.type === "valor" ? "valor em reais" : "número"} válido`);
+        input.classList.add("input-invalid");
+        return;
+      }
+    } else if (field.type === "data" && isNaN(new Date(`${raw}T00:00:00`).getTime())) {
+      errors.push(`${field.label}: data inválida`);
+      input.classList.add("input-invalid");
+      return;
+    } else if (field.type === "lista" && !field.options.includes(raw)) {
+      errors.push(`${field.label}: escolha uma das opções`);
+      input.classList.add("input-invalid");
+      return;
+    }
+
+    fields.push({ id: field.id, label: field.label, type: field.type, value: value });
+  });
+
+  return { errors, fields };
+}
+
+// --- Exibição no modal ---
+function renderTicketTemplateData(ticket) {
+  const box = document.getElementById("modal-template-fields");
+  const fields = ticket.fields || [];
+
+  if (!ticket.templateName && fields.length === 0) {
+    box.style.display = "none";
+    box.innerHTML = "";
+    return;
+  }
+
+  box.innerHTML = `
+    <h4>Dados da Solicitação <span class="modal-template-name">${escapeHTML(ticket.templateName || "")}</span></h4>
+    <dl class="modal-template-grid">
+      ${fields.map(field => `<dt>${escapeHTML(field.label)}</dt><dd>${escapeHTML(formatTemplateFieldValue(field))}</dd>`).join("")}
+    </dl>`;
+  box.style.display = "";
+}
+
+// --- Gestão dos modelos (gestores do setor e administradores, na aba Equipe) ---
+let editingTemplateId = null;
+
+function getManageableTemplateSectors() {
+  return getSectorNames().filter(sector => can("templates.manage", sector));
+}
+
+function renderTemplateAdmin() {
+  const sectors = getManageableTemplateSectors();
+  const templates = getTicketTemplates().filter(tpl => sectors.includes(tpl.sector));
+  const tbody = document.getElementById("template-admin-rows");
+
+  document.getElementById("template-admin-count").textContent = templates.length;
+  tbody.innerHTML = templates.length === 0
+    ? `<tr><td colspan="5" class="my-tickets-empty">Nenhum modelo cadastrado para ${sectors.length === 1 ? escapeHTML(sectors[0]) : "os setores"}.</td></tr>`
+    : templates.map(tpl => `
+      <tr>
+        <td><strong>${escapeHTML(tpl.name)}</strong></td>
+        <td>${escapeHTML(tpl.sector)}</td>
+        <td>${tpl.fields.map(f => escapeHTML(f.label) + (f.required ? "*" : "")).join(", ")}</td>
+        <td>
+          <label class="admin-toggle">
+            <input type="checkbox" ${tpl.active ? "checked" : ""} data-action="toggle" data-id="${escapeHTML(tpl.id)}"> ${tpl.active ? "Ativo" : "Inativo"}
+          </label>
+        </td>
+        <td class="admin-user-actions">
+          <button type="button" class="action-status-btn" data-action="edit" data-id="${escapeHTML(tpl.id)}"><i data-lucide="pencil"></i> Editar</button>
+          <button type="button" class="action-status-btn devolver" data-action="delete" data-id="${escapeHTML(tpl.id)}"><i data-lucide="trash-2"></i> Excluir</button>
+        </td>
+      </tr>`).join("");
+
+  bindListActions(tbody, {
+    toggle: (id, checkbox) => toggleTemplateActive(id, checkbox.checked),
+    edit: openTemplateEditor,
+    delete: deleteTemplate
+  });
+  lucide.createIcons();
+}
+
+function buildTemplateFieldRow(field) {
+  const type = field.type || "texto";
+  const row = document.createElement("tr");
+  row.innerHTML = `
+      <td><input type="text" class="form-input admin-input template-field-label" value="${escapeHTML(field.label || "")}" placeholder="Ex: Centro de custo" maxlength="60"></td>
+      <td>
+        <select class="form-select admin-input template-field-type" data-action="type">
+          ${Object.entries(TEMPLATE_FIELD_TYPES).map(([value, label]) => `<option value="${value}" ${value === type ? "selected" : ""}>${label}</option>`).join("")}
+        </select>
+      </td>
+      <td><input type="text" class="form-input admin-input template-field-options" value="${escapeHTML((field.options || []).join(", "))}" placeholder="Opção 1, Opção 2" ${type === "lista" ? "" : "disabled"}></td>
+      <td><input type="checkbox" class="template-field-required" ${field.required ? "checked" : ""}></td>
+      <td><button type="button" class="remove-attachment-btn" data-action="remove" title="Remover campo"><i data-lucide="trash-2" style="width:14px;height:14px;"></i></button></td>
+  `;
+  bindListActions(row, {
+    // As opções só valem para o tipo lista
+    type: (id, select) => {
+      row.querySelector(".template-field-options").disabled = select.value !== "lista";
+    },
+    remove: () => row.remove()
+  });
+  return row;
+}
+
+function openTemplateEditor(templateId) {
+  const sectors = getManageableTemplateSectors();
+  const template = templateId ? getTicketTemplates().find(tpl => tpl.id === templateId) : null;
+  if (templateId && (!template || !can("templates.manage", template.sector))) {
+    showToast("error", "Você não pode editar este modelo.");
+    return;
+  }
+
+  editingTemplateId = template ? template.id : null;
+  document.getElementById("template-editor-title").textContent = template ? `Editar modelo: ${template.name}` : "Novo modelo de chamado";
+  document.getElementById("template-name").value = template ? template.name : "";
+  document.getElementById("template-hint").value = template ? template.hint || "" : "";
+
+  const sectorSelect = document.getElementById("template-sector");
+  sectorSelect.innerHTML = sectors.map(sec => `<option value="${escapeHTML(sec)}">${escapeHTML(sec)}</option>`).join("");
+  sectorSelect.value = template ? template.sector : (sectors.includes(currentUser.sector) ? currentUser.sector : sectors[0]);
+  sectorSelect.disabled = sectors.length === 1;
+
+  const fields = template ? template.fields : [{ label: "", type: "texto", required: true }];
+  const fieldRows = document.getElementById("template-field-rows");
+  fieldRows.innerHTML = "";
+  fields.forEach(field => fieldRows.appendChild(buildTemplateFieldRow(field)));
+  document.getElementById("template-editor").style.display = "block";
+  lucide.createIcons();
+}
+
+function closeTemplateEditor() {
+  editingTemplateId = null;
+  document.getElementById("template-editor").style.display = "none";
+}
+
+function addTemplateFieldRow() {
+  document.getElementById("template-field-rows").appendChild(buildTemplateFieldRow({ type: "texto", required: false }));
+  lucide.createIcons();
+}
+
+// Identificador do campo a partir do rótulo (ex.: "Centro de custo" → "centro_de_custo"), único no modelo
+function buildTemplateFieldId(label, usedIds) {
+  const base = normalizeSearchText(label).replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "campo";
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) id = `${base}_${n}`;
+  usedIds.add(id);
+  return id;
+}
+
+function saveTemplate() {
+  const name = document.getElementById("template-name").value.trim();
+  const sector = document.getElementById("template-sector").value;
+  const hint = document.getElementById("template-hint").value.trim();
+  const templates = getTicketTemplates();
+  const existing = templates.find(tpl => tpl.id === editingTemplateId);
+
+  if (!can("templates.manage", sector) || (existing && !can("templates.manage", existing.sector))) {
+    showToast("error", "Você só pode gerenciar modelos do seu setor.");
+    return;
+  }
+  if (!name) {
+    showToast("error", "Informe o nome do modelo.");
+    return;
+  }
+  if (templates.some(tpl => tpl.id !== editingTemplateId && tpl.sector === sector && tpl.name.toLowerCase() === name.toLowerCase())) {
+    showToast("error", `Já existe um modelo "${name}" para ${sector}.`);
+    return;
+  }
+
+  const rows = Array.from(document.querySelectorAll("#template-field-rows tr"));
+  const labels = new Set();
+  const usedIds = new Set();
+  const previousFields = existing ? existing.fields : [];
+  const fields = [];
+
+  for (const row of rows) {
+    const label = row.querySelector(".template-field-label").value.trim();
+    const type = row.querySelector(".template-field-type").value;
+    const options = row.querySelector(".template-field-options").value.split(",").map(opt => opt.trim()).filter(Boolean);
+
+    if (!label) {
+      showToast("error", "Todos os campos precisam de um rótulo.");
+      return;
+    }
+    if (labels.has(label.toLowerCase())) {
+      showToast("error", `O campo "${label}" aparece mais de uma vez.`);
+      return;
+    }
+    if (type === "lista" && options.length < 2) {
+      showToast("error", `Informe ao menos duas opções, separadas por vírgula, para "${label}".`);
+      return;
+    }
+    labels.add(label.toLowerCase());
+
+    // Campos que mantêm o rótulo conservam o identificador
+    const previous = previousFields.find(f => f.label.toLowerCase() === label.toLowerCase());
+    const id = previous && !usedIds.has(previous.id) ? (usedIds.add(previous.id), previous.id) : buildTemplateFieldId(label, usedIds);
+    fields.push(Object.assign({ id, label, type, required: row.querySelector(".template-field-required").checked }, type === "lista" ? { options } : {}));
+  }
+
+  if (fields.length === 0) {
+    showToast("error", "O modelo precisa de ao menos um campo.");
+    return;
+  }
+
+  const record = {
+    id: existing ? existing.id : generateLocalId("TPL"),
+    sector, name, hint, fields,
+    active: existing ? existing.active : true,
+    createdBy: existing ? existing.createdBy : currentUser.matricula,
+    updatedAt: new Date().toISOString()
+  };
+
+  saveSetting("ticket_templates", existing
+    ? templates.map(tpl => tpl.id === existing.id ? record : tpl)
+    : templates.concat(record));
+
+  closeTemplateEditor();
+  renderTemplateAdmin();
+  showToast("success", `Modelo "${name}" salvo para ${sector}.`);
+}
+
+function updateTemplate(templateId, mutate, successMsg) {
+  const templates = getTicketTemplates();
+  const template = templates.find(tpl => tpl.id === templateId);
+  if (!template || !can("templates.manage", template.sector)) {
+    showToast("error", "Você só pode gerenciar modelos do seu setor.");
+    renderTemplateAdmin();
+    return;
+  }
+
+  saveSetting("ticket_templates", mutate(templates, template));
+  renderTemplateAdmin();
+  showToast("success", successMsg(template));
+}
+
+function toggleTemplateActive(templateId, active) {
+  updateTemplate(templateId, (templates, template) => {
+    template.active = active;
+    return templates;
+  }, template => `Modelo "${template.name}" ${active ? "ativado" : "desativado"}.`);
+}
+
+function deleteTemplate(templateId) {
+  const template = getTicketTemplates().find(tpl => tpl.id === templateId);
+  if (!template || !confirm(`Excluir o modelo "${template.name}"? Chamados já abertos com ele mantêm os dados preenchidos.`)) return;
+
+  updateTemplate(templateId, templates => templates.filter(tpl => tpl.id !== templateId),
+    tpl => `Modelo "${tpl.name}" excluído.`);
+  if (editingTemplateId === templateId) closeTemplateEditor();
+}
+
+// ================= GESTÃO DE FORMULÁRIO DE TICKET =================
+function setupNewTicketForm() {
+  document.getElementById("create-ticket-form").reset();
+  document.getElementById("ticket-origin").value = currentUser.sector;
+  clearAttachment();
+  updateTicketSlaHint();
+  updateTicketTemplateOptions();
+  setMarkdownPreview("ticket-desc", false);
+}
+
+// Mostra ao solicitante os prazos que serão aplicados ao chamado antes do envio
+function updateTicketSlaHint() {
+  const destSector = document.getElementById("ticket-dest").value;
+  const priority = document.getElementById("ticket-priority").value;
+  const hint = document.getElementById("ticket-sla-hint");
+
+  if (!destSector) {
+    hint.textContent = "Selecione o setor destinatário para ver os prazos de SLA.";
+    return;
+  }
+
+  const targets = getSlaTargets(getSlaPolicies(), destSector, priority);
+  hint.textContent = `SLA: 1ª resposta em até ${formatHours(targets.firstResponseHours)} e resolução em até ${formatHours(targets.resolutionHours)}.`;
+}
+
+async function handleCreateTicket(e) {
+  e.preventDefault();
+  
+  const destSector = document.getElementById("ticket-dest").value;
+  const priority = document.getElementById("ticket-priority").value;
+  const title = document.getElementById("ticket-title").value.trim();
+  const description = document.getElementById("ticket-desc").value.trim();
+  
+  if (!destSector || !title || !description) {
+    alert("Por favor, preencha todos os campos obrigatórios.");
+    return;
+  }
+
+  const templateId = document.getElementById("ticket-template").value;
+  const template = templateId ? getSectorTemplates(destSector).find(tpl => tpl.id === templateId) : null;
+  if (templateId && !template) {
+    alert("O tipo de solicitação escolhido não está mais disponível para este setor. Escolha outro.");
+    updateTicketTemplateOptions();
+    return;
+  }
+  const templateData = template ? collectTemplateFields(template) : { errors: [], fields: [] };
+  if (templateData.errors.length > 0) {
+    alert(`Verifique os dados da solicitação:\n\n${templateData.errors.join("\n")}`);
+    return;
+  }
+
+  let newId;
+  try {
+    newId = await generateRecordId("CH");
+  } catch (err) {
+    showToast("error", `O chamado não foi salvo: ${describeStorageError(err)}`);
+    return;
+  }
+
+  const createdDate = new Date().toISOString();
+
+  const newTicket = {
+    id: newId,
+    title: title,
+    description: description,
+    originSector: currentUser.sector,
+    destSector: destSector,
+    status: 'aberto',
+    priority: priority,
+    sla: computeSlaDueDates(getSlaPolicies(), destSector, priority, createdDate),
+    createdDate: createdDate,
+    createdBy: currentUser.name,
+    createdByMatricula: currentUser.matricula,
+    assignee: null,
+    assigneeName: null,
+    comments: [],
+    attachments: [],
+    mentions: extractMentions(description),
+    events: []
+  };
+  if (template) {
+    newTicket.templateId = template.id;
+    newTicket.templateName = template.name;
+    newTicket.fields = templateData.fields;
+  }
+
+  // Primeiro evento do histórico: a criação do chamado
+  recordTicketEvent(newTicket, 'criado', null, newTicket.createdDate);
+
+  // Sem espaço para o anexo ou para o chamado, nada é gravado e o formulário continua preenchido
+  try {
+    newTicket.attachments = await persistAttachments(newId, selectedAttachment ? [selectedAttachment] : []);
+    const tickets = loadCollection("tickets");
+    tickets.push(newTicket);
+    saveCollection("tickets", tickets);
+  } catch (err) {
+    console.error("[chamados] Falha ao gravar o chamado:", err);
+    showToast("error", `O chamado não foi salvo: ${describeStorageError(err)}`);
+    return;
+  }
+  updateStorageUsageIndicator();
+
+  alert(`Chamado ${newId} criado com sucesso e encaminhado para o setor ${destSector}!`);
+  
+  // Limpa e redireciona para o painel principal
+  setupNewTicketForm();
+  switchTab('dashboard');
+}
+
+// ================= CHAMADOS RECORRENTES =================
+// Definições guardadas em "recurring_tickets" geram chamados CH- comuns quando vencem (ocorrências e chamado
+// gerado em recurring.js). Com o servidor SISMV é ele quem gera os chamados no horário, mesmo sem ninguém com o
+// portal aberto; no modo local o próprio navegador gera, ao abrir e a cada minuto, inclusive as ocorrências
+// perdidas com o app fechado. Só quem gerencia a recorrência (gestores do setor de origem e administradores)
+// gera os chamados dela, e o andamento da geração fica em "recurring_progress:<id>", fora das definições.
+const RECURRING_CHECK_INTERVAL_MS = 60 * 1000;
+const RECURRING_UPCOMING_DAYS = 30;
+
+const RECURRENCE_FREQUENCIES = {
+  diaria: "Diária",
+  semanal: "Semanal",
+  mensal: "Mensal",
+  cron: "Personalizada (cron)"
+};
+
+const WEEKDAY_LABELS = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
+
+let recurringCheckTimer = null;
+let editingRecurringId = null;
+
+function getRecurringDefinitions() {
+  return loadSetting("recurring_tickets", []);
+}
+
+function getUpcomingOccurrences(definition, from, count) {
+  const cron = buildRecurrenceCron(definition.schedule);
+  const occurrences = [];
+  let cursor = from;
+  while (occurrences.length < count) {
+    cursor = getNextCronRun(cron, cursor);
+    if (!cursor) break;
+    occurrences.push(cursor);
+  }
+  return occurrences;
+}
+
+function describeRecurrence(schedule) {
+  if (schedule.frequency === "cron") return `Cron: ${schedule.cron}`;
+  if (schedule.frequency === "diaria") return `Todos os dias às ${schedule.time}`;
+  if (schedule.frequency === "semanal") return `Toda ${schedule.weekdays.map(day => WEEKDAY_LABELS[day]).join(", ")} às ${schedule.time}`;
+  return schedule.monthDay === "ultimo"
+    ? `Último dia do mês às ${schedule.time}`
+    : `Todo dia ${schedule.monthDay} às ${schedule.time}`;
+}
+
+function getRecurringProgress(definition) {
+  return loadSetting(`recurring_progress:${definition.id}`, {});
+}
+
+function getRecurringLastTicketId(definition) {
+  return getRecurringProgress(definition).lastTicketId || definition.lastTicketId || null;
+}
+
+function getGeneratedRecurringDefinitions() {
+  return getRecurringDefinitions().filter(definition => definition.active && can("recurring.manage", definition.originSector));
+}
+
+function countPendingRecurringOccurrences(now) {
+  const existingKeys = getRecurringOccurrenceKeys(loadCollection("tickets"));
+  return getGeneratedRecurringDefinitions().reduce((total, definition) => {
+    try {
+      return total + collectDueOccurrences(definition, getRecurringProgress(definition), existingKeys, now).pending.length;
+    } catch (err) {
+      return total; // Regra inválida: o erro é registrado na geração
+    }
+  }, 0);
+}
+
+// Os IDs são reservados antes de ler chamados e definições, para nenhuma espera separar a leitura da gravação
+async function materializeDueRecurringTickets(now = new Date()) {
+  const needed = countPendingRecurringOccurrences(now);
+  const ids = needed > 0 ? await reserveRecordIds("CH", needed) : [];
+
+  const tickets = loadCollection("tickets");
+  const existingKeys = getRecurringOccurrenceKeys(tickets);
+  const created = [];
+  const progress = [];
+  let skipped = 0;
+
+  getGeneratedRecurringDefinitions().forEach(definition => {
+    let occurrences;
+    try {
+      occurrences = collectDueOccurrences(definition, getRecurringProgress(definition), existingKeys, now);
+    } catch (err) {
+      console.error(`[recorrências] Regra inválida em "${definition.title}":`, err);
+      return;
+    }
+    const { due, pending } = occurrences;
+    // Definição alterada durante a reserva: fica para a próxima verificação, sem pular ocorrências
+    if (due.length === 0 || pending.length > ids.length) return;
+
+    skipped += occurrences.skipped;
+    let lastTicketId = getRecurringLastTicketId(definition);
+    pending.forEach(occurrence => {
+      const createdDate = new Date().toISOString();
+      const ticket = buildRecurringTicket(ids.shift(), definition, occurrence, {
+        createdDate: createdDate,
+        sla: computeSlaDueDates(getSlaPolicies(), definition.destSector, definition.priority, createdDate),
+        mentions: extractMentions(definition.description),
+        eventId: generateLocalId("EV")
+      });
+      tickets.push(ticket);
+      created.push(ticket);
+      existingKeys.add(`${definition.id}|${ticket.occurrenceKey}`);
+      lastTicketId = ticket.id;
+    });
+
+    progress.push({ id: definition.id, lastOccurrenceAt: due[due.length - 1].toISOString(), lastTicketId });
+  });
+
+  if (created.length > 0) saveCollection("tickets", tickets);
+  progress.forEach(({ id, ...state }) => saveSetting(`recurring_progress:${id}`, state));
+  return { created, skipped };
+}
+
+// Abas do mesmo navegador disputam a geração com um lock; com o servidor SISMV quem gera é ele
+async function runRecurringTickets() {
+  if (!currentUser || dataStore.mode === "server" || getGeneratedRecurringDefinitions().length === 0) return;
+
+  const run = () => materializeDueRecurringTickets();
+  let result;
+  try {
+    result = navigator.locks ? await navigator.locks.request("sismv-recurring-tickets", run) : await run();
+  } catch (err) {
+    console.error("[recorrências] Falha ao gerar chamados:", err);
+    return;
+  }
+
+  const { created, skipped } = result;
+  if (created.length > 0) {
+    const ids = created.length <= 3 ? ` (${created.map(t => t.id).join(", ")})` : "";
+    showToast("info", created.length === 1
+      ? `Chamado recorrente ${created[0].id} gerado: ${created[0].title}.`
+      : `${created.length} chamados recorrentes gerados${ids}.`);
+    refreshDataViews();
+  }
+  if (skipped > 0) {
+    showToast("info", `${skipped} ocorrência(s) muito antigas não foram geradas (máximo de ${RECURRING_CATCH_UP_LIMIT} por recorrência ao recuperar atrasos).`);
+  }
+}
+
+function startRecurringTicketsWatch() {
+  if (recurringCheckTimer) clearInterval(recurringCheckTimer);
+  recurringCheckTimer = setInterval(runRecurringTickets, RECURRING_CHECK_INTERVAL_MS);
+  runRecurringTickets();
+}
+
+// --- Tela de gestão (gestores cuidam das recorrências abertas pelo próprio setor) ---
+function renderRecurringTickets() {
+  const definitions = getRecurringDefinitions().filter(def => can("recurring.manage", def.originSector));
+  const now = new Date();
+  const tbody = document.getElementById("recurring-rows");
+
+  document.getElementById("recurring-count").textContent = definitions.length;
+  tbody.innerHTML = definitions.length === 0
+    ? `<tr><td colspan="6" class="my-tickets-empty">Nenhum chamado recorrente cadastrado.</td></tr>`
+    : definitions.map(def => {
+      let next = null;
+      try {
+        next = def.active ? getUpcomingOccurrences(def, now, 1)[0] : null;
+      } catch (err) {
+        next = null;
+      }
+      const id = escapeHTML(def.id);
+      const lastTicketId = getRecurringLastTicketId(def);
+      return `
+        <tr class="${def.active ? "" : "admin-user-inactive"}">
+          <td><strong>${escapeHTML(def.title)}</strong><div class="admin-usage">${escapeHTML(def.originSector)} ➔ ${escapeHTML(def.destSector)}${def.templateName ? ` · ${escapeHTML(def.templateName)}` : ""}</div></td>
+          <td>${escapeHTML(describeRecurrence(def.schedule))}</td>
+          <td>${next ? formatDateTime(next.toISOString()) : "—"}</td>
+          <td>${lastTicketId ? `<a href="#" class="md-ref" data-action="open" data-id="${escapeHTML(lastTicketId)}">${escapeHTML(lastTicketId)}</a>` : "—"}</td>
+          <td><label class="admin-toggle"><input type="checkbox" ${def.active ? "checked" : ""} data-action="toggle" data-id="${id}"> ${def.active ? "Ativa" : "Pausada"}</label></td>
+          <td class="admin-user-actions">
+            <button type="button" class="action-status-btn" data-action="edit" data-id="${id}"><i data-lucide="pencil"></i> Editar</button>
+            <button type="button" class="action-status-btn devolver" data-action="delete" data-id="${id}"><i data-lucide="trash-2"></i> Excluir</button>
+          </td>
+        </tr>`;
+    }).join("");
+
+  bindListActions(tbody, {
+    open: openRecordReference,
+    toggle: (id, checkbox) => toggleRecurringActive(id, checkbox.checked),
+    edit: openRecurringEditor,
+    delete: deleteRecurring
+  });
+
+  renderRecurringUpcoming(definitions.filter(def => def.active), now);
+  lucide.createIcons();
+}
+
+function renderRecurringUpcoming(definitions, now) {
+  const until = new Date(now.getTime() + RECURRING_UPCOMING_DAYS * 24 * 3600000);
+  const items = [];
+
+  definitions.forEach(def => {
+    try {
+      getUpcomingOccurrences(def, now, 31)
+        .filter(date => date <= until)
+        .forEach(date => items.push({ def, date }));
+    } catch (err) {
+      // Regra inválida: a linha da tabela já mostra que não há próxima ocorrência
+    }
+  });
+  items.sort((a, b) => a.date - b.date);
+
+  const container = document.getElementById("recurring-upcoming");
+  container.innerHTML = items.length === 0
+    ? `<p class="my-tickets-empty">Nenhuma ocorrência nos próximos ${RECURRING_UPCOMING_DAYS} dias.</p>`
+    : items.slice(0, 50).map(({ def, date }) => `
+      <div class="recurring-upcoming-item">
+        <span class="recurring-upcoming-date">${formatDateTime(date.toISOString())}</span>
+        <strong>${escapeHTML(def.title)}</strong>
+        <span class="card-sector-tag"><span style="color: ${getSectorColor(def.originSector)}">${escapeHTML(def.originSector)}</span> ➔ <span style="color: ${getSectorColor(def.destSector)}">${escapeHTML(def.destSector)}</span></span>
+      </div>`).join("");
+}
+
+function fillSectorSelect(select, sectors, value) {
+  select.innerHTML = sectors.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join("");
+  select.value = sectors.includes(value) ? value : sectors[0];
+}
+
+function openRecurringEditor(definitionId) {
+  const definition = definitionId ? getRecurringDefinitions().find(def => def.id === definitionId) : null;
+  if (definitionId && (!definition || !can("recurring.manage", definition.originSector))) {
+    showToast("error", "Você não pode editar esta recorrência.");
+    return;
+  }
+
+  const origins = getSectorNames().filter(sector => can("recurring.manage", sector));
+  const schedule = definition ? definition.schedule : { frequency: "mensal", time: "08:00", weekdays: [1], monthDay: "1", cron: "" };
+
+  editingRecurringId = definition ? definition.id : null;
+  document.getElementById("recurring-editor-title").textContent = definition ? `Editar recorrência: ${definition.title}` : "Nova recorrência";
+  document.getElementById("recurring-title").value = definition ? definition.title : "";
+  document.getElementById("recurring-desc").value = definition ? definition.description : "";
+  document.getElementById("recurring-priority").value = definition ? definition.priority : "media";
+
+  const originSelect = document.getElementById("recurring-origin");
+  fillSectorSelect(originSelect, origins, definition ? definition.originSector : currentUser.sector);
+  originSelect.disabled = origins.length === 1;
+  fillSectorSelect(document.getElementById("recurring-dest"), getActiveSectorNames(), definition ? definition.destSector : currentUser.sector);
+
+  document.getElementById("recurring-frequency").value = schedule.frequency;
+  document.getElementById("recurring-time").value = schedule.time || "08:00";
+  document.getElementById("recurring-monthday").value = schedule.monthDay || "1";
+  document.getElementById("recurring-cron").value = schedule.cron || "";
+  document.querySelectorAll("#recurring-weekdays input").forEach(input => {
+    input.checked = (schedule.weekdays || []).includes(Number(input.value));
+  });
+
+  updateRecurringTemplateOptions(definition);
+  updateRecurringScheduleInputs();
+  document.getElementById("recurring-editor").style.display = "block";
+}
+
+function closeRecurringEditor() {
+  editingRecurringId = null;
+  document.getElementById("recurring-editor").style.display = "none";
+}
+
+// Modelos do setor destinatário; ao editar, recupera o modelo e os valores já gravados na definição
+function updateRecurringTemplateOptions(definition) {
+  const destSector = document.getElementById("recurring-dest").value;
+  const templates = getSectorTemplates(destSector);
+  const select = document.getElementById("recurring-template");
+
+  select.innerHTML = `<option value="">Solicitação geral</option>` +
+    templates.map(tpl => `<option value="${escapeHTML(tpl.id)}">${escapeHTML(tpl.name)}</option>`).join("");
+  select.value = definition && templates.some(tpl => tpl.id === definition.templateId) ? definition.templateId : "";
+  document.getElementById("recurring-template-group").style.display = templates.length > 0 ? "" : "none";
+  renderRecurringTemplateFields(definition);
+}
+
+function renderRecurringTemplateFields(definition) {
+  const template = getTicketTemplates().find(tpl => tpl.id === document.getElementById("recurring-template").value);
+  const container = document.getElementById("recurring-template-fields");
+
+  if (!template) {
+    container.innerHTML = "";
+    container.style.display = "none";
+    return;
+  }
+
+  container.innerHTML = `<div class="form-grid-2">${template.fields.map(field => renderTemplateFieldInput(field, "recurring-field")).join("")}</div>`;
+  container.style.display = "";
+  if (definition && definition.templateId === template.id) {
+    (definition.fields || []).forEach(field => {
+      const input = document.getElementById(`recurring-field-${field.id}`);
+      if (input) input.value = String(field.value);
+    });
+  }
+}
+
+function readRecurringSchedule() {
+  return {
+    frequency: document.getElementById("recurring-frequency").value,
+    time: document.getElementById("recurring-time").value,
+    weekdays: Array.from(document.querySelectorAll("#recurring-weekdays input:checked")).map(input => Number(input.value)),
+    monthDay: document.getElementById("recurring-monthday").value,
+    cron: document.getElementById("recurring-cron").value.trim()
+  };
+}
+
+// Valida a regra e devolve a mensagem de erro (ou null)
+function checkRecurringSchedule(schedule) {
+  if (schedule.frequency !== "cron" && !/^\d{2}:\d{2}$/.test(schedule.time)) return "Informe o horário da recorrência.";
+  if (schedule.frequency === "semanal" && schedule.weekdays.length === 0) return "Escolha ao menos um dia da semana.";
+  try {
+    if (!getNextCronRun(buildRecurrenceCron(schedule), new Date())) return "A regra não gera nenhuma ocorrência no próximo ano.";
+  } catch (err) {
+    return `Regra cron inválida: ${err.message}.`;
+  }
+  return null;
+}
+
+function updateRecurringScheduleInputs() {
+  const schedule = readRecurringSchedule();
+  document.getElementById("recurring-time-group").style.display = schedule.frequency === "cron" ? "none" : "";
+  document.getElementById("recurring-weekdays-group").style.display = schedule.frequency === "semanal" ? "" : "none";
+  document.getElementById("recurring-monthday-group").style.display = schedule.frequency === "mensal" ? "" : "none";
+  document.getElementById("recurring-cron-group").style.display = schedule.frequency === "cron" ? "" : "none";
+
+  const preview = document.getElementById("recurring-preview");
+  const problem = checkRecurringSchedule(schedule);
+  preview.textContent = problem || `Próximas: ${getUpcomingOccurrences({ schedule }, new Date(), 3).map(date => formatDateTime(date.toISOString())).join(" · ")}`;
+  preview.classList.toggle("form-hint-error", !!problem);
+}
+
+function saveRecurring() {
+  const definitions = getRecurringDefinitions();
+  const existing = definitions.find(def => def.id === editingRecurringId);
+  const originSector = document.getElementById("recurring-origin").value;
+  const destSector = document.getElementById("recurring-dest").value;
+  const title = document.getElementById("recurring-title").value.trim();
+  const description = document.getElementById("recurring-desc").value.trim();
+  const schedule = readRecurringSchedule();
+
+  if (!can("recurring.manage", originSector) || (existing && !can("recurring.manage", existing.originSector))) {
+    showToast("error", "Você só pode gerenciar recorrências do seu setor.");
+    return;
+  }
+  if (!title || !description || !destSector) {
+    showToast("error", "Preencha título, descrição e setor destinatário.");
+    return;
+  }
+  const problem = checkRecurringSchedule(schedule);
+  if (problem) {
+    showToast("error", problem);
+    return;
+  }
+
+  const template = getSectorTemplates(destSector).find(tpl => tpl.id === document.getElementById("recurring-template").value);
+  const templateData = template ? collectTemplateFields(template, "recurring-field") : { errors: [], fields: [] };
+  if (templateData.errors.length > 0) {
+    showToast("error", `Dados da solicitação: ${templateData.errors.join("; ")}`);
+    return;
+  }
+
+  // Regra nova ou alterada conta a partir de agora (não gera de uma vez as ocorrências que ela teria tido no passado)
+  const scheduleChanged = !existing || JSON.stringify(existing.schedule) !== JSON.stringify(schedule);
+  const record = Object.assign({}, existing, {
+    id: existing ? existing.id : generateLocalId("RC"),
+    title, description, originSector, destSector, schedule,
+    // O servidor gera os chamados sem a lista de usuários: as menções da descrição ficam na definição
+    mentions: extractMentions(description),
+    priority: document.getElementById("recurring-priority").value,
+    templateId: template ? template.id : null,
+    templateName: template ? template.name : null,
+    fields: templateData.fields,
+    active: existing ? existing.active : true,
+    createdBy: existing ? existing.createdBy : currentUser.matricula,
+    createdByName: existing ? existing.createdByName : currentUser.name,
+    createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    lastOccurrenceAt: scheduleChanged ? new Date().toISOString() : existing.lastOccurrenceAt
+  });
+
+  saveSetting("recurring_tickets", existing
+    ? definitions.map(def => def.id === existing.id ? record : def)
+    : definitions.concat(record));
+
+  closeRecurringEditor();
+  renderRecurringTickets();
+  showToast("success", `Recorrência "${title}" salva: ${describeRecurrence(schedule).toLowerCase()}.`);
+}
+
+function updateRecurring(definitionId, mutate, successMsg) {
+  const definitions = getRecurringDefinitions();
+  const definition = definitions.find(def => def.id === definitionId);
+  if (!definition || !can("recurring.manage", definition.originSector)) {
+    showToast("error", "Você só pode gerenciar recorrências do seu setor.");
+    renderRecurringTickets();
+    return;
+  }
+
+  saveSetting("recurring_tickets", mutate(definitions, definition));
+  renderRecurringTickets();
+  showToast("success", successMsg(definition));
+}
+
+// Ao retomar, as ocorrências do período pausado não são geradas
+function toggleRecurringActive(definitionId, active) {
+  updateRecurring(definitionId, (definitions, definition) => {
+    definition.active = active;
+    if (active) definition.lastOccurrenceAt = new Date().toISOString();
+    return definitions;
+  }, definition => `Recorrência "${definition.title}" ${active ? "retomada" : "pausada"}.`);
+}
+
+function deleteRecurring(definitionId) {
+  const definition = getRecurringDefinitions().find(def => def.id === definitionId);
+  if (!definition || !confirm(`Excluir a recorrência "${definition.title}"? Os chamados já gerados continuam abertos.`)) return;
+
+  updateRecurring(definitionId, definitions => definitions.filter(def => def.id !== definitionId),
+    def => `Recorrência "${def.title}" excluída.`);
+  if (editingRecurringId === definitionId) closeRecurringEditor();
+}
+
+// ================= RENDERIZAR DASHBOARD E KANBAN =================
+// Redesenha as telas que exibem dados após qualquer alteração (o Kanban sempre, as demais se estiverem abertas)
+function refreshDataViews() {
+  renderDashboard();
+  updatePendingUsersBadge();
+  if (currentActiveTab === 'meus-chamados') {
+    renderMyTickets();
+  } else if (currentActiveTab === 'equipe') {
+    renderTeam();
+  } else if (currentActiveTab === 'admin') {
+    renderAdminConsole();
+  } else if (currentActiveTab === 'recorrencias') {
+    renderRecurringTickets();
+  } else if (currentActiveTab === 'analytics') {
+    renderBICharts();
+  }
+  refreshOpenTicketModal();
+  updateNotifications();
+}
+
+// Redesenha o modal aberto só se o chamado mudou (ex.: alterado em outra aba), preservando pré-visualizações abertas
+let ticketModalSnapshot = null;
+
+function refreshOpenTicketModal() {
+  if (!currentSelectedTicketId) return;
+  const ticket = loadCollection("tickets").find(t => t.id === currentSelectedTicketId);
+  if (!ticket) {
+    closeTicketModal();
+  } else if (JSON.stringify(ticket) !== ticketModalSnapshot) {
+    openTicketModal(ticket.id);
+  }
+}
+
+function renderDashboard() {
+  const allTickets = getVisibleTickets();
+  const canViewSales = can("sales.view");
+  const sales = canViewSales ? loadCollection("sales") : [];
+
+  // Busca e filtros ativos valem para o Kanban e para os KPIs de chamados
+  populateTicketFilterOptions(allTickets);
+  const tickets = applyTicketFilters(allTickets);
+  renderFilterSummary(tickets.length, allTickets.length);
+
+  // --- 1. Calcular KPIs ---
+  const openCount = tickets.filter(t => t.status === 'aberto').length;
+  const inProgressCount = tickets.filter(t => t.status === 'andamento').length;
+  const completedCount = tickets.filter(t => t.status === 'concluido').length;
+  const returnedCount = tickets.filter(t => t.status === 'devolvido').length;
+
+  const totalTickets = tickets.length;
+  const completionRate = totalTickets > 0 ? Math.round((completedCount / totalTickets) * 100) : 0;
+
+  // KPIs de Vendas
+  const salesWon = sales.filter(s => s.status === 'ganho');
+  const totalSalesVal = salesWon.reduce((sum, s) => sum + s.value, 0);
+  const salesCount = salesWon.length;
+
+  // Atualizar DOM KPIs
+  document.getElementById("kpi-tickets-open").textContent = openCount;
+  document.getElementById("kpi-tickets-closed").textContent = completedCount;
+  document.getElementById("kpi-tickets-completion-rate").textContent = `${completionRate}% resolução`;
+  document.getElementById("kpi-tickets-returned").textContent = returnedCount;
+  document.getElementById("kpi-sales-value").textContent = formatBRL(totalSalesVal);
+  document.getElementById("kpi-sales-count").textContent = `${salesCount} vendas realizadas`;
+
+  // Números de vendas só aparecem para Vendas, gestores e administradores
+  document.getElementById("kpi-sales-card").style.display = canViewSales ? "" : "none";
+  document.getElementById("sales-pipeline-section").style.display = canViewSales ? "" : "none";
+
+  // --- 2. Renderizar Colunas de Chamados ---
+  const cols = {
+    aberto: document.getElementById("col-aberto"),
+    andamento: document.getElementById("col-andamento"),
+    concluido: document.getElementById("col-concluido"),
+    devolvido: document.getElementById("col-devolvido")
+  };
+
+  // Limpa colunas
+  Object.keys(cols).forEach(key => {
+    cols[key].innerHTML = "";
+  });
+
+  // Popula colunas
+  tickets.forEach(ticket => {
+    const card = buildTicketCard(ticket);
+
+    // Cards podem ser arrastados entre colunas; a validação acontece na tabela de transições ao soltar
+    card.draggable = true;
+    card.ondragstart = (e) => handleTicketDragStart(e, ticket.id);
+    card.ondragend = handleTicketDragEnd;
+    
+    if (cols[ticket.status]) {
+      cols[ticket.status].appendChild(card);
+    }
+  });
+
+  // Atualiza contadores dos títulos das colunas
+  document.getElementById("count-aberto").textContent = openCount;
+  document.getElementById("count-andamento").textContent = inProgressCount;
+  document.getElementById("count-concluido").textContent = completedCount;
+  document.getElementById("count-devolvido").textContent = returnedCount;
+
+  // --- 3. Renderizar Colunas de Vendas ---
+  const salesCols = {
+    lead: document.getElementById("vendas-col-lead"),
+    negociacao: document.getElementById("vendas-col-negociacao"),
+    proposta: document.getElementById("vendas-col-proposta"),
+    ganho: document.getElementById("vendas-col-ganho")
+  };
+
+  // Limpa colunas de vendas
+  Object.keys(salesCols).forEach(key => {
+    salesCols[key].innerHTML = "";
+  });
+
+  const salesCounts = { lead: 0, negociacao: 0, proposta: 0, ganho: 0 };
+
+  sales.forEach(sale => {
+    const card = document.createElement("div");
+    card.className = "sale-card";
+    card.onclick = () => openSaleModal(sale.id);
+    card.draggable = true;
+    card.ondragstart = (e) => handleSaleDragStart(e, sale.id);
+    card.ondragend = handleSaleDragEnd;
+    
+    // Formata o status para a coluna correspondente (caso de devolvido ou ganho vão pra última coluna)
+    const statusInfo = SALE_STATUS_INFO[sale.status] || SALE_STATUS_INFO.lead;
+    const colKey = statusInfo.column;
+
+    const owner = sale.ownerName
+      ? `<div class="card-meta-row"><div class="card-user"><div class="card-user-avatar">${escapeHTML(sale.ownerName[0].toUpperCase())}</div><span>${escapeHTML(sale.ownerName.split(" ")[0])}</span></div></div>`
+      : "";
+
+    card.innerHTML = `
+      <div class="card-tag-row">
+        <span class="card-id" style="background: rgba(255, 255, 255, 0.05); color: #fff; border-color: rgba(255,255,255,0.1)">${escapeHTML(sale.id)}</span>
+        <span class="card-sector-tag" style="color: ${statusInfo.color}; background: rgba(255,255,255,0.02)">${statusInfo.label}</span>
+      </div>
+      <div class="sale-card-value">${formatBRL(sale.value)}</div>
+      <div class="sale-card-client">${escapeHTML(sale.client)}</div>
+      ${owner}
+    `;
+
+    if (salesCols[colKey]) {
+      salesCols[colKey].appendChild(card);
+      salesCounts[colKey]++;
+    }
+  });
+
+  document.getElementById("btn-new-sale").style.display = can("sales.manage") ? "flex" : "none";
+
+  // Atualiza contadores das colunas de vendas
+  document.getElementById("vendas-count-lead").textContent = salesCounts.lead;
+  document.getElementById("vendas-count-negociacao").textContent = salesCounts.negociacao;
+  document.getElementById("vendas-count-proposta").textContent = salesCounts.proposta;
+  document.getElementById("vendas-count-ganho").textContent = salesCounts.ganho;
+
+  // Reinicializa ícones do lucide inseridos dinamicamente
+  lucide.createIcons();
+}
+
+// Monta o card de um chamado (usado no Kanban e na aba Meus Chamados)
+function buildTicketCard(ticket) {
+  const card = document.createElement("div");
+  card.className = "ticket-card";
+  card.onclick = () => openTicketModal(ticket.id);
+  
+  // Mostra indicador se houver anexo
+  const attachmentCount = getTicketAttachments(ticket).length;
+  const attachmentIcon = attachmentCount > 0
+    ? `<div class="card-attachment-indicator"><i data-lucide="paperclip" style="width:12px;height:12px;"></i>${attachmentCount > 1 ? attachmentCount : ""}</div>` 
+    : "";
+
+  // Prioridade e situação do SLA do chamado
+  const sla = computeTicketSlaStatus(ticket);
+  const priorityInfo = PRIORITY_LEVELS[sla.priority];
+  const slaAlertState = getWorstSlaState(sla);
+  const slaBadge = (slaAlertState === 'violado' || slaAlertState === 'em_risco')
+    ? `<div class="card-sla-indicator ${slaAlertState}" title="${SLA_STATE_LABELS[slaAlertState]}"><i data-lucide="timer" style="width:12px;height:12px;"></i>${slaAlertState === 'violado' ? 'SLA' : 'Risco'}</div>`
+    : "";
+  if (slaAlertState === 'violado' || slaAlertState === 'em_risco') {
+    card.classList.add(`sla-${slaAlertState}`);
+  }
+
+  const commentCount = (ticket.comments || []).length;
+  const commentIcon = commentCount > 0
+    ? `<div class="card-comment-indicator"><i data-lucide="message-square" style="width:12px;height:12px;"></i>${commentCount}</div>`
+    : "";
+
+  // Mostra quantas vezes o chamado já foi devolvido
+  const returnCount = countTicketReturns(ticket);
+  const returnIcon = returnCount > 0
+    ? `<div class="card-return-indicator" title="Devolvido ${returnCount}x"><i data-lucide="corner-up-left" style="width:12px;height:12px;"></i>${returnCount}</div>`
+    : "";
+
+  // Progresso das subtarefas e bloqueios ainda abertos
+  let relationIcons = "";
+  if (getTicketRelations(ticket).some(rel => rel.type === "pai_de" || rel.type === "bloqueado_por")) {
+    const tickets = loadCollection("tickets");
+    const progress = getTicketChildrenProgress(ticket, tickets);
+    const blockers = ticket.status === 'concluido' ? [] : getOpenBlockers(ticket, tickets);
+    if (progress) {
+      relationIcons += `<div class="card-children-indicator${progress.done === progress.total ? " complete" : ""}" title="Subtarefas concluídas: ${progress.done} de ${progress.total}"><i data-lucide="list-checks" style="width:12px;height:12px;"></i>${progress.done}/${progress.total}</div>`;
+    }
+    if (blockers.length > 0) {
+      relationIcons += `<div class="card-blocked-indicator" title="Bloqueado por ${blockers.map(b => b.id).join(", ")}"><i data-lucide="lock" style="width:12px;height:12px;"></i></div>`;
+    }
+  }
+
+  // Avatar do responsável pelo atendimento
+  const assigneeAvatar = ticket.assignee
+    ? `<div class="card-assignee-avatar" title="Responsável: ${escapeHTML(ticket.assigneeName)}">${escapeHTML(getInitials(ticket.assigneeName))}</div>`
+    : `<div class="card-assignee-avatar unassigned" title="Sem responsável"><i data-lucide="user" style="width:10px;height:10px;"></i></div>`;
+
+  // Registros importados de fontes antigas podem não ter autor
+  const creator = ticket.createdBy || "?";
+
+  card.innerHTML = `
+    <div class="card-tag-row">
+      <span class="card-id">${escapeHTML(ticket.id)}</span>
+      <span class="card-sector-tag"><span style="color: ${getSectorColor(ticket.originSector)}">${escapeHTML(ticket.originSector)}</span> ➔ <span style="color: ${getSectorColor(ticket.destSector)}">${escapeHTML(ticket.destSector)}</span></span>
+    </div>
+    <div class="card-title">${escapeHTML(ticket.title)}</div>
+    <span class="card-priority-tag ${sla.priority}">${priorityInfo.label}</span>
+    <div class="card-meta-row">
+      <div class="card-user" title="Criado por ${escapeHTML(creator)}">
+        <div class="card-user-avatar">${escapeHTML(creator[0].toUpperCase())}</div>
+        <span>${escapeHTML(creator.split(" ")[0])}</span>
+      </div>
+      <div class="card-indicators">
+        ${slaBadge}
+        ${relationIcons}
+        ${returnIcon}
+        ${commentIcon}
+        ${attachmentIcon}
+        ${assigneeAvatar}
+      </div>
+    </div>
+  `;
+
+  return card;
+}
+
+// ================= BUSCA, FILTROS E VISÕES SALVAS =================
+const EMPTY_TICKET_FILTERS = {
+  search: "",
+  originSector: "",
+  destSector: "",
+  createdBy: "",
+  dateFrom: "",
+  dateTo: "",
+  hasAttachment: false
+};
+
+let ticketFilters = Object.assign({}, EMPTY_TICKET_FILTERS);
+
+// Campos do formulário de filtros e a chave correspondente no objeto ticketFilters
+const TICKET_FILTER_FIELDS = {
+  search: "filter-search",
+  originSector: "filter-origin",
+  destSector: "filter-dest",
+  createdBy: "filter-creator",
+  dateFrom: "filter-date-from",
+  dateTo: "filter-date-to",
+  hasAttachment: "filter-has-attachment"
+};
+
+// Remove acentos e caixa para a busca textual ("Liberação" encontra "liberacao")
+function normalizeSearchText(str) {
+  return String(str || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function applyTicketFilters(tickets) {
+  const f = ticketFilters;
+  const terms = normalizeSearchText(f.search).split(/\s+/).filter(Boolean);
+  const from = f.dateFrom ? new Date(`${f.dateFrom}T00:00:00`) : null;
+  const to = f.dateTo ? new Date(`${f.dateTo}T23:59:59.999`) : null;
+
+  return tickets.filter(ticket => {
+    if (f.originSector && ticket.originSector !== f.originSector) return false;
+    if (f.destSector && ticket.destSector !== f.destSector) return false;
+    if (f.createdBy && ticket.createdBy !== f.createdBy) return false;
+    if (f.hasAttachment && getTicketAttachments(ticket).length === 0) return false;
+
+    const created = new Date(ticket.createdDate);
+    if (from && created < from) return false;
+    if (to && created > to) return false;
+
+    if (terms.length > 0) {
+      const fieldValues = (ticket.fields || []).map(field => field.value);
+      const haystack = normalizeSearchText([ticket.id, ticket.title, ticket.description, ticket.createdBy, ticket.templateName || ""].concat(fieldValues).join(" "));
+      if (!terms.every(term => haystack.includes(term))) return false;
+    }
+
+    return true;
+  });
+}
+
+function hasActiveTicketFilters() {
+  return Object.keys(EMPTY_TICKET_FILTERS).some(key => ticketFilters[key] !== EMPTY_TICKET_FILTERS[key]);
+}
+
+// Preenche os selects de setor e criador mantendo a opção escolhida
+function populateTicketFilterOptions(tickets) {
+  const fillSelect = (id, placeholder, values) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.innerHTML = `<option value="">${placeholder}</option>` +
+      values.map(v => `<option value="${escapeHTML(v)}">${escapeHTML(v)}</option>`).join("");
+    select.value = values.includes(current) ? current : "";
+  };
+
+  const creators = [...new Set(tickets.map(t => t.createdBy).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+  // Setores desativados continuam filtráveis por causa dos chamados antigos
+  const sectors = getSectorNames();
+  fillSelect("filter-origin", "Origem: todas", sectors);
+  fillSelect("filter-dest", "Destino: todos", sectors);
+  fillSelect("filter-creator", "Criador: todos", creators);
+  writeTicketFiltersToForm();
+}
+
+function readTicketFiltersFromForm() {
+  const filters = {};
+  Object.entries(TICKET_FILTER_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    filters[key] = el.type === "checkbox" ? el.checked : el.value.trim();
+  });
+  return filters;
+}
+
+function writeTicketFiltersToForm() {
+  Object.entries(TICKET_FILTER_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el.type === "checkbox") {
+      el.checked = !!ticketFilters[key];
+    } else if (document.activeElement !== el) {
+      el.value = ticketFilters[key] || "";
+    }
+  });
+}
+
+function handleTicketFilterChange() {
+  ticketFilters = readTicketFiltersFromForm();
+  document.getElementById("filter-saved-views").value = "";
+  document.getElementById("filter-delete-view-btn").style.display = "none";
+  renderDashboard();
+}
+
+function clearTicketFilters() {
+  ticketFilters = Object.assign({}, EMPTY_TICKET_FILTERS);
+  document.getElementById("filter-search").value = "";
+  document.getElementById("filter-saved-views").value = "";
+  document.getElementById("filter-delete-view-btn").style.display = "none";
+  renderDashboard();
+}
+
+function renderFilterSummary(visibleCount, totalCount) {
+  const summary = document.getElementById("filter-summary");
+  const active = hasActiveTicketFilters();
+  summary.textContent = active ? `Exibindo ${visibleCount} de ${totalCount} chamados com os filtros ativos.` : "";
+  summary.style.display = active ? "block" : "none";
+  document.getElementById("filter-clear-btn").style.display = active ? "flex" : "none";
+}
+
+// --- Visões salvas (uma configuração por usuário, como o estado das notificações) ---
+// Versões anteriores guardavam as visões de todos num único "saved_views"
+function getSavedViews(matricula = currentUser.matricula) {
+  const legacy = loadSetting("saved_views", {});
+  return loadSetting(`saved_views:${matricula}`, null) || legacy[matricula] || [];
+}
+
+function storeSavedViews(views, matricula = currentUser.matricula) {
+  saveSetting(`saved_views:${matricula}`, views);
+}
+
+function renderSavedViewsSelect(selectedId) {
+  const select = document.getElementById("filter-saved-views");
+  const views = getSavedViews();
+  select.innerHTML = `<option value="">Visões salvas (${views.length})</option>` +
+    views.map(v => `<option value="${escapeHTML(v.id)}">${escapeHTML(v.name)}</option>`).join("");
+  select.value = selectedId || "";
+  document.getElementById("filter-delete-view-btn").style.display = selectedId ? "flex" : "none";
+}
+
+function saveCurrentView() {
+  ticketFilters = readTicketFiltersFromForm();
+  if (!hasActiveTicketFilters()) {
+    showToast("error", "Defina ao menos um filtro antes de salvar a visão.");
+    return;
+  }
+
+  const name = (prompt("Nome da visão (ex: Chamados do TI com anexo):") || "").trim();
+  if (!name) return;
+
+  const views = getSavedViews();
+  const existing = views.find(v => v.name.toLowerCase() === name.toLowerCase());
+  if (existing) {
+    existing.filters = Object.assign({}, ticketFilters);
+  } else {
+    views.push({ id: generateLocalId("VW"), name: name, filters: Object.assign({}, ticketFilters) });
+  }
+  storeSavedViews(views);
+
+  renderSavedViewsSelect((existing || views[views.length - 1]).id);
+  showToast("success", `Visão "${name}" salva.`);
+}
+
+function applySavedView(viewId) {
+  const view = getSavedViews().find(v => v.id === viewId);
+  if (!view) {
+    clearTicketFilters();
+    return;
+  }
+
+  ticketFilters = Object.assign({}, EMPTY_TICKET_FILTERS, view.filters);
+  document.getElementById("filter-search").value = ticketFilters.search;
+  document.getElementById("filter-delete-view-btn").style.display = "flex";
+  renderDashboard();
+}
+
+function deleteSelectedView() {
+  const select = document.getElementById("filter-saved-views");
+  const view = getSavedViews().find(v => v.id === select.value);
+  if (!view || !confirm(`Excluir a visão "${view.name}"?`)) return;
+
+  storeSavedViews(getSavedViews().filter(v => v.id !== view.id));
+  renderSavedViewsSelect();
+  showToast("success", `Visão "${view.name}" excluída.`);
+}
+
+// ================= MEUS CHAMADOS =================
+function isTicketAssignedToMe(ticket) {
+  return ticket.assignee === currentUser.matricula;
+}
+
+function renderMyTickets() {
+  const tickets = getVisibleTickets();
+  const created = tickets.filter(t => isTicketCreator(t));
+  const assigned = tickets.filter(isTicketAssignedToMe);
+
+  // Chamados ativos primeiro, concluídos por último
+  const byActivity = (a, b) => (a.status === 'concluido') - (b.status === 'concluido') ||
+    new Date(b.createdDate) - new Date(a.createdDate);
+
+  const fillList = (containerId, countId, list, emptyMsg) => {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
+    if (list.length === 0) {
+      container.innerHTML = `<p class="my-tickets-empty">${emptyMsg}</p>`;
+    }
+    list.sort(byActivity).forEach(ticket => {
+      const card = buildTicketCard(ticket);
+      const status = document.createElement("span");
+      status.className = `modal-status-badge ${ticket.status} my-ticket-status`;
+      status.textContent = TICKET_STATUS_LABELS[ticket.status] || ticket.status;
+      card.appendChild(status);
+      container.appendChild(card);
+    });
+    document.getElementById(countId).textContent = list.length;
+  };
+
+  fillList("my-tickets-assigned", "my-tickets-assigned-count", assigned, "Nenhum chamado atribuído a você no momento.");
+  fillList("my-tickets-created", "my-tickets-created-count", created, "Você ainda não abriu nenhum chamado.");
+
+  lucide.createIcons();
+}
+
+// ================= MODAL DE DETALHES DO TICKET =================
+function openTicketModal(ticketId) {
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === ticketId);
+
+  if (!ticket) return;
+  if (!can("ticket.view", ticket)) {
+    showToast("error", `Você não tem acesso ao chamado ${ticket.id}.`);
+    return;
+  }
+
+  currentSelectedTicketId = ticketId;
+  ticketModalSnapshot = JSON.stringify(ticket);
+
+  // Popula dados no modal
+  document.getElementById("modal-ticket-id").textContent = ticket.id;
+  document.getElementById("modal-title").textContent = ticket.title;
+  const description = document.getElementById("modal-desc");
+  description.innerHTML = renderMarkdown(ticket.description);
+  bindMarkdownLinks(description);
+  renderTicketTemplateData(ticket);
+  document.getElementById("modal-origin").textContent = ticket.originSector;
+  document.getElementById("modal-destination").textContent = ticket.destSector;
+  document.getElementById("modal-creator").textContent = ticket.createdBy;
+  
+  // Data formatada
+  document.getElementById("modal-date").textContent = formatDateTime(ticket.createdDate);
+
+  // Prioridade e prazos de SLA
+  const sla = computeTicketSlaStatus(ticket);
+  const priorityEl = document.getElementById("modal-priority");
+  priorityEl.textContent = PRIORITY_LEVELS[sla.priority].label;
+  priorityEl.className = `meta-item-value priority-text ${sla.priority}`;
+  renderSlaMeta(document.getElementById("modal-sla-response"), sla.firstResponse);
+  renderSlaMeta(document.getElementById("modal-sla-resolution"), sla.resolution);
+
+  // Responsável pelo atendimento (o setor destino pode reatribuir entre seus membros)
+  renderTicketAssignee(ticket);
+
+  // Badge Status
+  const statusBadge = document.getElementById("modal-status");
+  statusBadge.className = `modal-status-badge ${ticket.status}`;
+  
+  statusBadge.textContent = TICKET_STATUS_LABELS[ticket.status] || ticket.status;
+
+  // Caixa de justificativa de devolução
+  const devBox = document.getElementById("modal-devolucao-reason-box");
+  if (ticket.status === 'devolvido' && ticket.reasonDevolvido) {
+    document.getElementById("modal-devolucao-reason").textContent = ticket.reasonDevolvido;
+    devBox.style.display = "block";
+  } else {
+    devBox.style.display = "none";
+  }
+
+  // Área de anexos (anexo original + arquivos adicionados depois pelo criador)
+  const attachmentArea = document.getElementById("modal-attachment-area");
+  const attachments = getTicketAttachments(ticket);
+  const canAddFiles = can("ticket.addFiles", ticket);
+  renderAttachmentList(document.getElementById("modal-attachment-list"), attachments);
+  document.getElementById("modal-add-files-btn").style.display = canAddFiles ? "flex" : "none";
+  attachmentArea.style.display = (attachments.length > 0 || canAddFiles) ? "block" : "none";
+
+  // Chamados relacionados, bloqueios, subtarefas e duplicados
+  renderTicketRelations(ticket);
+
+  // Conversa entre os setores de origem e destino
+  renderTicketComments(ticket);
+
+  // Linha do tempo com todas as transições do chamado
+  renderTicketTimeline(ticket);
+
+  // Área de ações (Botões de transição de status)
+  // Os botões exibidos vêm da mesma tabela de transições usada pelo arrastar-e-soltar do Kanban
+  const actionRow = document.getElementById("modal-action-row");
+  const allowedTransitions = getAllowedTicketTransitions(ticket);
+  
+  // Reseta estado da área de inputs de devolução
+  cancelDevolucao();
+
+  Object.entries(TICKET_ACTION_BUTTONS).forEach(([status, buttonId]) => {
+    document.getElementById(buttonId).style.display = allowedTransitions.includes(status) ? "flex" : "none";
+  });
+  actionRow.style.display = allowedTransitions.length > 0 ? "flex" : "none";
+
+  // Abre Modal
+  document.getElementById("ticket-modal").classList.add("active");
+  lucide.createIcons();
+}
+
+function closeTicketModal(e) {
+  if (e) e.stopPropagation();
+  document.getElementById("ticket-modal").classList.remove("active");
+  currentSelectedTicketId = null;
+  resetCommentComposer();
+  closeAttachmentViewer();
+  releaseAttachmentPreviews();
+}
+
+function updateTicketStatus(newStatus) {
+  if (!currentSelectedTicketId) return;
+  applyTicketTransition(currentSelectedTicketId, newStatus);
+}
+
+// Fluxo de devolução com justificativa
+function showDevolucaoInput() {
+  document.getElementById("devolucao-input-area").classList.add("active");
+  document.getElementById("modal-action-row").style.display = "none";
+  document.getElementById("devolucao-reason-text").focus();
+}
+
+function cancelDevolucao() {
+  document.getElementById("devolucao-input-area").classList.remove("active");
+  document.getElementById("devolucao-reason-text").value = "";
+  
+  // Volta a mostrar a fileira de ações se o modal ainda estiver ativo e configurado
+  if (currentSelectedTicketId) {
+    const tickets = loadCollection("tickets");
+    const ticket = tickets.find(t => t.id === currentSelectedTicketId);
+    if (ticket && getAllowedTicketTransitions(ticket).length > 0) {
+      document.getElementById("modal-action-row").style.display = "flex";
+    }
+  }
+}
+
+function submitDevolucao() {
+  const reason = document.getElementById("devolucao-reason-text").value.trim();
+  if (!reason) {
+    alert("Insira uma justificativa para a devolução.");
+    return;
+  }
+
+  if (applyTicketTransition(currentSelectedTicketId, 'devolvido', reason)) {
+    cancelDevolucao();
+  }
+}
+
+// ================= MÁQUINA DE ESTADOS DO CHAMADO =================
+// A tabela de transições (TICKET_TRANSITIONS) fica em workflow.js, compartilhada com o servidor
+
+const TICKET_STATUS_LABELS = {
+  aberto: "Processo Aberto",
+  andamento: "Em Andamento",
+  concluido: "Processo Concluído",
+  devolvido: "Processo Devolvido"
+};
+
+// Botão do modal responsável por cada status de destino
+const TICKET_ACTION_BUTTONS = {
+  andamento: "btn-action-start",
+  concluido: "btn-action-complete",
+  devolvido: "btn-action-return"
+};
+
+function getAllowedTicketTransitions(ticket) {
+  if (!can("ticket.transition", ticket)) return [];
+  return Object.keys(TICKET_TRANSITIONS[ticket.status] || {});
+}
+
+// Valida uma transição e devolve a explicação quando ela não é permitida
+function checkTicketTransition(ticket, toStatus) {
+  if (!can("ticket.transition", ticket)) {
+    return { allowed: false, reason: `Somente o setor ${ticket.destSector} (destino do chamado) pode movimentar o ${ticket.id}.` };
+  }
+
+  const transition = (TICKET_TRANSITIONS[ticket.status] || {})[toStatus];
+  if (!transition) {
+    const from = TICKET_STATUS_LABELS[ticket.status] || ticket.status;
+    const to = TICKET_STATUS_LABELS[toStatus] || toStatus;
+    const options = Object.keys(TICKET_TRANSITIONS[ticket.status] || {}).map(st => TICKET_STATUS_LABELS[st]);
+    const hint = options.length > 0 ? ` Caminhos possíveis: ${options.join(", ")}.` : " Chamados concluídos não podem mais ser movimentados.";
+    return { allowed: false, reason: `Não é possível mover de "${from}" para "${to}".${hint}` };
+  }
+
+  return { allowed: true, transition: transition };
+}
+
+// Valida a transição (inclusive a justificativa e a confirmação dos bloqueios em aberto) sem alterar o chamado;
+// devolve a entrada da tabela ou null, depois de avisar o motivo
+function confirmTicketTransition(ticket, newStatus, note, tickets) {
+  const check = checkTicketTransition(ticket, newStatus);
+  if (!check.allowed) {
+    showToast("error", check.reason);
+    return null;
+  }
+
+  if (check.transition.requiresReason && !note) {
+    showToast("error", "Insira uma justificativa para a devolução.");
+    return null;
+  }
+
+  const openBlockers = newStatus === 'concluido' ? getOpenBlockers(ticket, tickets) : [];
+  if (openBlockers.length > 0) {
+    const list = openBlockers.map(b => `${b.id} · ${b.title} (${TICKET_STATUS_LABELS[b.status] || b.status})`).join("\n");
+    if (!confirm(`${ticket.id} ainda está bloqueado por:\n\n${list}\n\nConcluir mesmo assim?`)) return null;
+  }
+  return check.transition;
+}
+
+function performTicketTransition(ticket, newStatus, transition, note) {
+  ensureTicketEvents(ticket);
+  ticket.status = newStatus;
+  if (newStatus === 'devolvido') {
+    ticket.reasonDevolvido = note;
+  }
+
+  // Registra a transição no histórico (a justificativa anterior continua preservada nos eventos)
+  recordTicketEvent(ticket, transition.event, note);
+
+  // Quem inicia um chamado sem responsável assume o atendimento
+  if (newStatus === 'andamento' && !ticket.assignee) {
+    assignTicket(ticket, currentUser);
+  }
+}
+
+// Único ponto de alteração de status: valida na tabela, grava o evento e atualiza as telas
+function applyTicketTransition(ticketId, newStatus, note) {
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === ticketId);
+  if (!ticket) return false;
+
+  const transition = confirmTicketTransition(ticket, newStatus, note, tickets);
+  if (!transition) return false;
+
+  performTicketTransition(ticket, newStatus, transition, note);
+  saveCollection("tickets", tickets);
+
+  // Atualiza modal com novos dados, se estiver aberto neste chamado
+  if (currentSelectedTicketId === ticketId) {
+    openTicketModal(ticketId);
+  }
+
+  // Re-renderiza dashboard
+  refreshDataViews();
+  return true;
+}
+
+// ================= RESPONSÁVEL PELO CHAMADO =================
+// Membros cadastrados no setor de destino (candidatos a responsável)
+function getSectorUsers(sector) {
+  const users = loadCollection("users");
+  return users.filter(u => u.sector === sector && getUserStatus(u) === "ativo");
+}
+
+function assignTicket(ticket, user) {
+  const previous = ticket.assigneeName || "Sem responsável";
+  ticket.assignee = user ? user.matricula : null;
+  ticket.assigneeName = user ? user.name : null;
+  recordTicketEvent(ticket, 'atribuido', `${previous} → ${user ? user.name : "Sem responsável"}`);
+}
+
+// Gestores do setor destino (e administradores) atribuem a qualquer membro; os demais apenas assumem ou largam o chamado
+function canAssignTicketTo(ticket, matricula) {
+  if (can("ticket.assign", ticket)) return true;
+  if (!can("ticket.transition", ticket)) return false;
+  return matricula === currentUser.matricula || (!matricula && ticket.assignee === currentUser.matricula);
+}
+
+function renderTicketAssignee(ticket) {
+  const label = document.getElementById("modal-assignee");
+  const select = document.getElementById("modal-assignee-select");
+
+  label.textContent = ticket.assigneeName || "Sem responsável";
+  label.style.display = "block";
+
+  if (!can("ticket.transition", ticket) || ticket.status === 'concluido') {
+    select.style.display = "none";
+    return;
+  }
+
+  const candidates = can("ticket.assign", ticket) ? getSectorUsers(ticket.destSector) : [];
+  // Mantém na lista o responsável atual, mesmo que seja de outro setor (ex.: Admin TI)
+  if (ticket.assignee && !candidates.some(u => u.matricula === ticket.assignee)) {
+    candidates.unshift({ matricula: ticket.assignee, name: ticket.assigneeName });
+  }
+  if (!candidates.some(u => u.matricula === currentUser.matricula)) {
+    candidates.push(currentUser);
+  }
+
+  const canUnassign = canAssignTicketTo(ticket, "");
+  select.innerHTML = (canUnassign || !ticket.assignee ? `<option value="">Sem responsável</option>` : "") + candidates
+    .map(u => `<option value="${escapeHTML(u.matricula)}">${escapeHTML(u.name)} (${escapeHTML(u.matricula)})</option>`)
+    .join("");
+  select.value = ticket.assignee || "";
+  select.style.display = "block";
+  label.style.display = "none";
+}
+
+function handleAssigneeChange(e) {
+  const matricula = e.target.value;
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === currentSelectedTicketId);
+  if (!ticket || (ticket.assignee || "") === matricula) return;
+
+  if (!canAssignTicketTo(ticket, matricula)) {
+    showToast("error", `Somente o gestor do setor ${ticket.destSector} pode atribuir o chamado a outra pessoa.`);
+    openTicketModal(ticket.id);
+    return;
+  }
+
+  let user = null;
+  if (matricula) {
+    user = matricula === currentUser.matricula
+      ? currentUser
+      : getSectorUsers(ticket.destSector).find(u => u.matricula === matricula);
+    if (!user) {
+      showToast("error", "O responsável precisa pertencer ao setor destino do chamado.");
+      openTicketModal(ticket.id);
+      return;
+    }
+  }
+
+  assignTicket(ticket, user);
+  saveCollection("tickets", tickets);
+  showToast("success", user ? `${ticket.id} atribuído a ${user.name}.` : `${ticket.id} ficou sem responsável.`);
+
+  openTicketModal(ticket.id);
+  refreshDataViews();
+}
+
+// ================= ARRASTAR E SOLTAR NO KANBAN =================
+let draggedTicketId = null;
+
+function handleTicketDragStart(e, ticketId) {
+  draggedTicketId = ticketId;
+  e.dataTransfer.setData("text/plain", ticketId);
+  e.dataTransfer.effectAllowed = "move";
+  e.currentTarget.classList.add("dragging");
+
+  // Destaca as colunas de destino válidas para o chamado arrastado
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === ticketId);
+  const allowed = ticket ? getAllowedTicketTransitions(ticket) : [];
+
+  document.querySelectorAll(".kanban-column[data-ticket-status]").forEach(col => {
+    const status = col.dataset.ticketStatus;
+    if (ticket && status !== ticket.status) {
+      col.classList.add(allowed.includes(status) ? "drop-allowed" : "drop-denied");
+    }
+  });
+}
+
+function handleTicketDragEnd(e) {
+  draggedTicketId = null;
+  e.currentTarget.classList.remove("dragging");
+  document.querySelectorAll(".kanban-column[data-ticket-status]").forEach(col => {
+    col.classList.remove("drop-allowed", "drop-denied", "drop-hover");
+  });
+}
+
+function handleTicketColumnDragOver(e) {
+  if (!draggedTicketId) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = e.currentTarget.classList.contains("drop-denied") ? "none" : "move";
+  e.currentTarget.classList.add("drop-hover");
+}
+
+function handleKanbanColumnDragLeave(e) {
+  if (!e.currentTarget.contains(e.relatedTarget)) {
+    e.currentTarget.classList.remove("drop-hover");
+  }
+}
+
+function handleTicketColumnDrop(e) {
+  e.preventDefault();
+  const targetStatus = e.currentTarget.dataset.ticketStatus;
+  const ticketId = e.dataTransfer.getData("text/plain") || draggedTicketId;
+  e.currentTarget.classList.remove("drop-hover");
+  if (!ticketId) return;
+
+  moveTicketToStatus(ticketId, targetStatus);
+}
+
+// Como o Kanban é sempre redesenhado a partir dos dados salvos, um movimento recusado faz o card voltar à coluna original
+function moveTicketToStatus(ticketId, targetStatus) {
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === ticketId);
+  if (!ticket || ticket.status === targetStatus) return;
+
+  const check = checkTicketTransition(ticket, targetStatus);
+  if (!check.allowed) {
+    showToast("error", check.reason);
+    refreshDataViews();
+    return;
+  }
+
+  // Devolução exige justificativa: abre o modal já no campo de motivo
+  if (check.transition.requiresReason) {
+    openTicketModal(ticketId);
+    showDevolucaoInput();
+    showToast("info", `Informe a justificativa para devolver o ${ticketId}.`);
+    return;
+  }
+
+  if (applyTicketTransition(ticketId, targetStatus)) {
+    showToast("success", `${ticketId} movido para "${TICKET_STATUS_LABELS[targetStatus]}".`);
+  }
+}
+
+// ================= PIPELINE DE VENDAS (CRM) =================
+// Rótulo, cor e coluna do Kanban de cada etapa (ganhas e perdidas dividem a última coluna)
+const SALE_STATUS_INFO = {
+  lead: { label: "Lead", color: "var(--text-muted)", column: "lead", badge: "lead" },
+  negociacao: { label: "Negociação", color: "var(--status-andamento)", column: "negociacao", badge: "andamento" },
+  proposta: { label: "Proposta", color: "var(--status-aberto)", column: "proposta", badge: "aberto" },
+  ganho: { label: "Concluída", color: "var(--status-concluido)", column: "ganho", badge: "concluido" },
+  devolvido: { label: "Devolvida", color: "var(--status-devolvido)", column: "ganho", badge: "devolvido" }
+};
+
+// A tabela de transições do funil (SALE_TRANSITIONS) fica em workflow.js, compartilhada com o servidor
+
+const SALE_EVENT_LABELS = {
+  criado: "Oportunidade criada",
+  editado: "Dados atualizados",
+  responsavel: "Responsável alterado",
+  lead: "Voltou para Lead",
+  negociacao: "Em negociação",
+  proposta: "Proposta enviada",
+  ganho: "Venda ganha",
+  devolvido: "Oportunidade perdida"
+};
+
+function recordSaleEvent(sale, type, note) {
+  if (!Array.isArray(sale.events)) {
+    sale.events = [];
+  }
+  sale.events.push({
+    id: generateLocalId("EV"),
+    type: type,
+    status: sale.status,
+    actor: currentUser.matricula,
+    actorName: currentUser.name,
+    actorSector: currentUser.sector,
+    timestamp: new Date().toISOString(),
+    note: note || null
+  });
+}
+
+function openSaleModal(saleId) {
+  const sales = loadCollection("sales");
+  const sale = saleId ? sales.find(s => s.id === saleId) : null;
+  if (saleId && !sale) return;
+
+  if (sale && !can("sales.view")) {
+    showToast("error", "Você não tem acesso ao pipeline de vendas.");
+    return;
+  }
+  if (!sale && !can("sales.manage")) {
+    showToast("error", `Somente o setor ${getSalesSector()} pode cadastrar oportunidades.`);
+    return;
+  }
+
+  currentSelectedSaleId = sale ? sale.id : null;
+  const editable = can("sales.manage") && (!sale || sale.status !== 'ganho');
+  const statusKey = sale ? sale.status : 'lead';
+  const statusInfo = SALE_STATUS_INFO[statusKey] || SALE_STATUS_INFO.lead;
+
+  document.getElementById("sale-modal-id").textContent = sale ? sale.id : peekNextRecordId("VD");
+  const statusBadge = document.getElementById("sale-modal-status");
+  statusBadge.className = `modal-status-badge ${statusInfo.badge}`;
+  statusBadge.textContent = statusInfo.label;
+  document.getElementById("sale-modal-title").textContent = sale ? sale.client : "Nova Oportunidade";
+
+  // Formulário de dados (novo cadastro ou edição)
+  document.getElementById("sale-client").value = sale ? sale.client : "";
+  document.getElementById("sale-value").value = sale ? sale.value : "";
+  document.getElementById("sale-date").value = sale ? sale.date : new Date().toISOString().split("T")[0];
+  ["sale-client", "sale-value", "sale-date"].forEach(id => {
+    document.getElementById(id).disabled = !editable;
+  });
+  document.getElementById("sale-save-btn").style.display = editable ? "block" : "none";
+  document.getElementById("sale-save-btn").textContent = sale ? "Salvar Alterações" : "Cadastrar Oportunidade";
+
+  // Responsável: novas oportunidades ficam com quem cadastrou
+  const ownerName = sale ? (sale.ownerName || "Sem responsável") : currentUser.name;
+  document.getElementById("sale-owner").textContent = ownerName;
+  const canTakeOwnership = sale && editable && sale.owner !== currentUser.matricula;
+  document.getElementById("sale-take-ownership-btn").style.display = canTakeOwnership ? "flex" : "none";
+
+  // Motivo da perda
+  const lossBox = document.getElementById("sale-loss-reason-box");
+  if (sale && sale.status === 'devolvido' && sale.lossReason) {
+    document.getElementById("sale-loss-reason").textContent = sale.lossReason;
+    lossBox.style.display = "block";
+  } else {
+    lossBox.style.display = "none";
+  }
+
+  renderSaleTimeline(sale);
+  renderSaleActions(sale);
+  cancelSaleLoss();
+
+  document.getElementById("sale-modal").classList.add("active");
+  lucide.createIcons();
+}
+
+function closeSaleModal(e) {
+  if (e) e.stopPropagation();
+  document.getElementById("sale-modal").classList.remove("active");
+  currentSelectedSaleId = null;
+}
+
+function renderSaleTimeline(sale) {
+  const section = document.getElementById("sale-history-section");
+  const events = sale ? (sale.events || []) : [];
+  section.style.display = events.length > 0 ? "block" : "none";
+
+  const timeline = document.getElementById("sale-timeline");
+  timeline.innerHTML = "";
+  events.forEach(ev => {
+    const item = document.createElement("li");
+    item.className = `timeline-item ${(SALE_STATUS_INFO[ev.status] || SALE_STATUS_INFO.lead).badge}`;
+    const note = ev.note ? `<p class="timeline-note">${escapeHTML(ev.note)}</p>` : "";
+    item.innerHTML = `
+      <div class="timeline-dot"></div>
+      <div class="timeline-content">
+        <div class="timeline-title-row">
+          <span class="timeline-title">${SALE_EVENT_LABELS[ev.type] || escapeHTML(String(ev.type))}</span>
+          <span class="timeline-date">${formatDateTime(ev.timestamp)}</span>
+        </div>
+        <div class="timeline-actor">${escapeHTML(ev.actorName)} (${escapeHTML(ev.actor)})</div>
+        ${note}
+      </div>
+    `;
+    timeline.appendChild(item);
+  });
+}
+
+function renderSaleActions(sale) {
+  const actionRow = document.getElementById("sale-action-row");
+  actionRow.innerHTML = "";
+
+  if (!sale || !can("sales.manage")) {
+    actionRow.style.display = "none";
+    return;
+  }
+
+  Object.entries(SALE_TRANSITIONS[sale.status] || {}).forEach(([toStatus, transition]) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `action-status-btn ${transition.style}`;
+    btn.innerHTML = `<i data-lucide="${transition.icon}" style="width:16px;height:16px;"></i> ${transition.label}`;
+    btn.onclick = () => transition.requiresReason ? showSaleLossInput() : applySaleTransition(sale.id, toStatus);
+    actionRow.appendChild(btn);
+  });
+
+  actionRow.style.display = actionRow.children.length > 0 ? "flex" : "none";
+}
+
+async function handleSaveSale(e) {
+  e.preventDefault();
+  if (!can("sales.manage")) return;
+
+  const client = document.getElementById("sale-client").value.trim();
+  const value = parseFloat(document.getElementById("sale-value").value);
+  const date = document.getElementById("sale-date").value;
+
+  if (!client || !(value >= 0) || !date) {
+    alert("Informe cliente, valor e data da oportunidade.");
+    return;
+  }
+
+  // O ID da nova oportunidade é reservado antes de ler as vendas, para nenhuma espera separar a leitura da gravação
+  let newId = null;
+  if (!currentSelectedSaleId) {
+    try {
+      newId = await generateRecordId("VD");
+    } catch (err) {
+      showToast("error", `A oportunidade não foi salva: ${err.message}`);
+      return;
+    }
+  }
+
+  const sales = loadCollection("sales");
+  let sale;
+
+  if (currentSelectedSaleId) {
+    sale = sales.find(s => s.id === currentSelectedSaleId);
+    if (!sale) return;
+
+    const changes = [];
+    if (sale.client !== client) changes.push(`cliente: ${sale.client} → ${client}`);
+    if (sale.value !== value) changes.push(`valor: ${formatBRL(sale.value)} → ${formatBRL(value)}`);
+    if (sale.date !== date) changes.push(`data: ${formatDateString(sale.date)} → ${formatDateString(date)}`);
+    if (changes.length === 0) {
+      closeSaleModal();
+      return;
+    }
+
+    sale.client = client;
+    sale.value = value;
+    sale.date = date;
+    recordSaleEvent(sale, 'editado', changes.join("; "));
+  } else {
+    sale = {
+      id: newId,
+      client: client,
+      value: value,
+      status: 'lead',
+      date: date,
+      owner: currentUser.matricula,
+      ownerName: currentUser.name,
+      events: []
+    };
+    recordSaleEvent(sale, 'criado');
+    sales.push(sale);
+  }
+
+  saveCollection("sales", sales);
+  showToast("success", currentSelectedSaleId ? `${sale.id} atualizada.` : `Oportunidade ${sale.id} cadastrada no funil.`);
+
+  openSaleModal(sale.id);
+  refreshDataViews();
+}
+
+function takeSaleOwnership() {
+  const sales = loadCollection("sales");
+  const sale = sales.find(s => s.id === currentSelectedSaleId);
+  if (!sale || !can("sales.manage")) return;
+
+  const previousOwner = sale.ownerName || "Sem responsável";
+  sale.owner = currentUser.matricula;
+  sale.ownerName = currentUser.name;
+  recordSaleEvent(sale, 'responsavel', `${previousOwner} → ${currentUser.name}`);
+
+  saveCollection("sales", sales);
+  openSaleModal(sale.id);
+  refreshDataViews();
+}
+
+function checkSaleTransition(sale, toStatus) {
+  if (!can("sales.manage")) {
+    return { allowed: false, reason: `Somente o setor ${getSalesSector()} pode movimentar o pipeline.` };
+  }
+
+  // Status fora do pipeline (dados antigos ou importados) também só geram a recusa, nunca um erro
+  const transition = (SALE_TRANSITIONS[sale.status] || {})[toStatus];
+  if (!transition) {
+    const from = (SALE_STATUS_INFO[sale.status] || {}).label || sale.status;
+    const to = (SALE_STATUS_INFO[toStatus] || {}).label || toStatus;
+    return { allowed: false, reason: `Não é possível mover ${sale.id} de "${from}" para "${to}".` };
+  }
+
+  return { allowed: true, transition: transition };
+}
+
+function applySaleTransition(saleId, toStatus, note) {
+  const sales = loadCollection("sales");
+  const sale = sales.find(s => s.id === saleId);
+  if (!sale) return false;
+
+  const check = checkSaleTransition(sale, toStatus);
+  if (!check.allowed) {
+    showToast("error", check.reason);
+    return false;
+  }
+
+  if (check.transition.requiresReason && !note) {
+    showToast("error", "Informe o motivo da perda.");
+    return false;
+  }
+
+  sale.status = toStatus;
+  if (toStatus === 'devolvido') {
+    sale.lossReason = note;
+  }
+  recordSaleEvent(sale, toStatus, note);
+
+  saveCollection("sales", sales);
+
+  if (currentSelectedSaleId === saleId) {
+    openSaleModal(saleId);
+  }
+  refreshDataViews();
+  return true;
+}
+
+// Fluxo de perda com motivo
+function showSaleLossInput() {
+  document.getElementById("sale-loss-input-area").classList.add("active");
+  document.getElementById("sale-action-row").style.display = "none";
+  document.getElementById("sale-loss-reason-text").focus();
+}
+
+function cancelSaleLoss() {
+  document.getElementById("sale-loss-input-area").classList.remove("active");
+  document.getElementById("sale-loss-reason-text").value = "";
+  const actionRow = document.getElementById("sale-action-row");
+  actionRow.style.display = actionRow.children.length > 0 ? "flex" : "none";
+}
+
+function submitSaleLoss() {
+  const reason = document.getElementById("sale-loss-reason-text").value.trim();
+  if (!reason) {
+    alert("Insira o motivo da perda da oportunidade.");
+    return;
+  }
+
+  if (applySaleTransition(currentSelectedSaleId, 'devolvido', reason)) {
+    cancelSaleLoss();
+  }
+}
+
+// --- Arrastar e soltar no Kanban de vendas ---
+let draggedSaleId = null;
+
+function handleSaleDragStart(e, saleId) {
+  draggedSaleId = saleId;
+  e.dataTransfer.setData("text/plain", saleId);
+  e.dataTransfer.effectAllowed = "move";
+  e.currentTarget.classList.add("dragging");
+
+  const sales = loadCollection("sales");
+  const sale = sales.find(s => s.id === saleId);
+  const allowed = sale && can("sales.manage") ? Object.keys(SALE_TRANSITIONS[sale.status] || {}) : [];
+
+  document.querySelectorAll(".kanban-column[data-sale-status]").forEach(col => {
+    const column = col.dataset.saleStatus;
+    if (!sale || column === SALE_STATUS_INFO[sale.status].column) return;
+    // A última coluna aceita tanto "ganho" quanto "perdido"
+    const accepts = allowed.some(st => SALE_STATUS_INFO[st].column === column);
+    col.classList.add(accepts ? "drop-allowed" : "drop-denied");
+  });
+}
+
+function handleSaleDragEnd(e) {
+  draggedSaleId = null;
+  e.currentTarget.classList.remove("dragging");
+  document.querySelectorAll(".kanban-column[data-sale-status]").forEach(col => {
+    col.classList.remove("drop-allowed", "drop-denied", "drop-hover");
+  });
+}
+
+function handleSaleColumnDragOver(e) {
+  if (!draggedSaleId) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = e.currentTarget.classList.contains("drop-denied") ? "none" : "move";
+  e.currentTarget.classList.add("drop-hover");
+}
+
+function handleSaleColumnDrop(e) {
+  e.preventDefault();
+  const column = e.currentTarget.dataset.saleStatus;
+  const saleId = e.dataTransfer.getData("text/plain") || draggedSaleId;
+  e.currentTarget.classList.remove("drop-hover");
+  if (!saleId) return;
+
+  moveSaleToColumn(saleId, column);
+}
+
+function moveSaleToColumn(saleId, column) {
+  const sales = loadCollection("sales");
+  const sale = sales.find(s => s.id === saleId);
+  if (!sale || SALE_STATUS_INFO[sale.status].column === column) return;
+
+  // A coluna final encerra a oportunidade como ganha ou perdida
+  const candidates = column === 'ganho' ? ['ganho', 'devolvido'] : [column];
+  const allowedTargets = candidates.filter(st => checkSaleTransition(sale, st).allowed);
+
+  if (allowedTargets.length === 0) {
+    showToast("error", checkSaleTransition(sale, candidates[0]).reason);
+    refreshDataViews();
+    return;
+  }
+
+  // Ganho ou perda? Quem decide é o usuário, pelos botões do modal
+  if (allowedTargets.length > 1) {
+    openSaleModal(saleId);
+    showToast("info", `Escolha como encerrar ${saleId}: ganha ou perdida.`);
+    return;
+  }
+
+  const target = allowedTargets[0];
+  if (SALE_TRANSITIONS[sale.status][target].requiresReason) {
+    openSaleModal(saleId);
+    showSaleLossInput();
+    showToast("info", `Informe o motivo da perda de ${saleId}.`);
+    return;
+  }
+
+  if (applySaleTransition(saleId, target)) {
+    showToast("success", `${saleId} movida para "${SALE_STATUS_INFO[target].label}".`);
+  }
+}
+
+// ================= ANEXOS MÚLTIPLOS E CONVERSA DO CHAMADO =================
+// O anexo enviado na abertura fica junto dos arquivos adicionados depois (o formato legado é convertido pela migração 2)
+function getTicketAttachments(ticket) {
+  return ticket.attachments || [];
+}
+
+function isTicketCreator(ticket, user = currentUser) {
+  if (ticket.createdByMatricula) {
+    return ticket.createdByMatricula === user.matricula;
+  }
+  // Chamados antigos só guardam o nome do criador
+  return ticket.createdBy === user.name;
+}
+
+function renderAttachmentList(container, attachments, onRemove) {
+  container.innerHTML = "";
+
+  attachments.forEach((att, idx) => {
+    const card = document.createElement("div");
+    card.className = "modal-attachment-card";
+
+    const meta = [att.size, att.uploadedByName].filter(Boolean).map(escapeHTML).join(" · ");
+    card.innerHTML = `
+      <div class="attachment-info">
+        <i data-lucide="file" class="attachment-file-icon"></i>
+        <div>
+          <span class="attachment-name">${escapeHTML(att.name)}</span>
+          <span class="attachment-size">${meta}</span>
+        </div>
+      </div>
+    `;
+
+    if (onRemove) {
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-attachment-btn";
+      removeBtn.innerHTML = `<i data-lucide="trash-2" style="width:16px;height:16px;"></i>`;
+      removeBtn.onclick = () => onRemove(idx);
+      card.appendChild(removeBtn);
+    } else {
+      // O arquivo só é lido do armazenamento quando a pré-visualização ou o download são pedidos
+      const actions = document.createElement("div");
+      actions.className = "modal-attachment-actions";
+
+      const previewBtn = document.createElement("button");
+      previewBtn.type = "button";
+      previewBtn.className = "action-status-btn modal-small-btn";
+      previewBtn.innerHTML = `<i data-lucide="eye" style="width:14px;height:14px;"></i> Visualizar`;
+      previewBtn.onclick = () => toggleAttachmentPreview(card, att);
+      actions.appendChild(previewBtn);
+
+      const downloadBtn = document.createElement("button");
+      downloadBtn.type = "button";
+      downloadBtn.className = "glow-btn modal-attachment-btn";
+      downloadBtn.style.cssText = "padding: 6px 12px; border-radius:4px;";
+      downloadBtn.innerHTML = `<i data-lucide="download" style="width:14px;height:14px;"></i> Baixar`;
+      downloadBtn.onclick = () => downloadAttachment(att);
+      actions.appendChild(downloadBtn);
+
+      card.appendChild(actions);
+    }
+
+    container.appendChild(card);
+  });
+}
+
+// --- Pré-visualização de anexos (no modal e em tela cheia) ---
+const PREVIEW_TEXT_LIMIT = 200 * 1024; // Arquivos de texto maiores são mostrados só até aqui
+const PREVIEW_TABLE_ROWS = 200;
+const PREVIEW_IMAGE_EXTENSIONS = ["png", "jpg", "jpeg", "gif", "webp", "bmp", "svg"];
+const PREVIEW_TEXT_EXTENSIONS = ["txt", "log", "json", "xml", "md"];
+
+let attachmentPreviewUrls = []; // Object URLs das pré-visualizações abertas no modal do chamado
+let attachmentViewerUrl = null;
+let attachmentViewerItem = null;
+
+function getAttachmentPreviewKind(att) {
+  const type = (att.type || "").toLowerCase();
+  const extension = att.name.includes(".") ? att.name.split(".").pop().toLowerCase() : "";
+
+  if (type.startsWith("image/") || PREVIEW_IMAGE_EXTENSIONS.includes(extension)) return "image";
+  if (type === "application/pdf" || extension === "pdf") return "pdf";
+  if (type === "text/csv" || extension === "csv") return "csv";
+  if (type.startsWith("text/") || type === "application/json" || PREVIEW_TEXT_EXTENSIONS.includes(extension)) return "text";
+  return null;
+}
+
+function readBlobText(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+}
+
+// O cabeçalho "%PDF-" aparece no primeiro 1 KB de todo PDF
+async function isPdfBlob(blob) {
+  return (await readBlobText(blob.slice(0, 1024))).includes("%PDF-");
+}
+
+function buildCsvPreviewTable(text, truncated) {
+  const rows = parseCsv(text);
+  const [header, ...body] = rows;
+  if (!header) return `<p class="attachment-preview-status">Arquivo CSV vazio.</p>`;
+
+  const shown = body.slice(0, PREVIEW_TABLE_ROWS);
+  const note = body.length > shown.length || truncated
+    ? `<p class="attachment-preview-status">Exibindo as primeiras ${shown.length} linhas. Baixe o arquivo para ver tudo.</p>`
+    : "";
+
+  return `
+    <div class="attachment-preview-table-wrap">
+      <table class="attachment-preview-table">
+        <thead><tr>${header.map(cell => `<th>${escapeHTML(cell)}</th>`).join("")}</tr></thead>
+        <tbody>${shown.map(row => `<tr>${header.map((_, i) => `<td>${escapeHTML(row[i] || "")}</td>`).join("")}</tr>`).join("")}</tbody>
+      </table>
+    </div>
+    ${note}
+  `;
+}
+
+// Preenche o elemento com a visualização do anexo; retorna o Object URL criado (para ser liberado depois) ou null
+async function renderAttachmentPreview(target, att) {
+  target.innerHTML = `<p class="attachment-preview-status">Carregando pré-visualização...</p>`;
+
+  let blob = null;
+  try {
+    blob = await loadAttachmentBlob(att.id);
+  } catch (err) {
+    console.error("[anexos] Falha ao carregar a pré-visualização:", err);
+    target.innerHTML = `<p class="attachment-preview-status">Não foi possível carregar o arquivo: ${escapeHTML(err.message)}</p>`;
+    return null;
+  }
+  if (!blob) {
+    target.innerHTML = `<p class="attachment-preview-status">O conteúdo deste anexo não está disponível neste armazenamento.</p>`;
+    return null;
+  }
+
+  const kind = getAttachmentPreviewKind(att);
+  if (kind === "pdf" && !(await isPdfBlob(blob))) {
+    target.innerHTML = `<p class="attachment-preview-status">O conteúdo não é um PDF válido. Use "Baixar" para abrir no seu computador.</p>`;
+    return null;
+  }
+  if (kind === "image" || kind === "pdf") {
+    // Só PDFs de verdade chegam aqui, e sempre como application/pdf: o navegador os abre no visualizador de PDF,
+    // nunca como página do portal (um iframe com sandbox bloquearia o próprio visualizador)
+    const typed = kind === "pdf"
+      ? new Blob([blob], { type: "application/pdf" })
+      : (blob.type ? blob : new Blob([blob], { type: att.type || "" }));
+    const url = URL.createObjectURL(typed);
+    target.innerHTML = kind === "image"
+      ? `<img class="attachment-preview-image" src="${url}" alt="${escapeHTML(att.name)}">`
+      : `<object class="attachment-preview-pdf" data="${url}" type="application/pdf" title="${escapeHTML(att.name)}">
+          <p class="attachment-preview-status">Este navegador não exibe PDFs embutidos. Use "Baixar" para abrir o arquivo.</p>
+        </object>`;
+    return url;
+  }
+
+  if (kind === "csv" || kind === "text") {
+    const truncated = blob.size > PREVIEW_TEXT_LIMIT;
+    const text = await readBlobText(blob.slice(0, PREVIEW_TEXT_LIMIT));
+    target.innerHTML = kind === "csv"
+      ? buildCsvPreviewTable(text, truncated)
+      : `<pre class="attachment-preview-text">${escapeHTML(text)}</pre>` +
+        (truncated ? `<p class="attachment-preview-status">Exibindo os primeiros ${formatFileSize(PREVIEW_TEXT_LIMIT)}. Baixe o arquivo para ver tudo.</p>` : "");
+    return null;
+  }
+
+  target.innerHTML = `
+    <div class="attachment-preview-fallback">
+      <i data-lucide="file-question" style="width:28px;height:28px;"></i>
+      <p>Pré-visualização indisponível para arquivos do tipo ${escapeHTML(att.type || "desconhecido")}. Use "Baixar" para abrir no seu computador.</p>
+    </div>
+  `;
+  lucide.createIcons();
+  return null;
+}
+
+// Abre/fecha a visualização logo abaixo do card do anexo
+function toggleAttachmentPreview(card, att) {
+  const existing = card.nextElementSibling;
+  if (existing && existing.classList.contains("attachment-preview")) {
+    existing.remove();
+    return;
+  }
+
+  const preview = document.createElement("div");
+  preview.className = "attachment-preview";
+  preview.innerHTML = `
+    <div class="attachment-preview-toolbar">
+      <button type="button" class="action-status-btn modal-small-btn">
+        <i data-lucide="maximize-2" style="width:14px;height:14px;"></i> Tela cheia
+      </button>
+    </div>
+    <div class="attachment-preview-body"></div>
+  `;
+  preview.querySelector("button").onclick = () => openAttachmentViewer(att);
+  card.after(preview);
+  lucide.createIcons();
+
+  renderAttachmentPreview(preview.querySelector(".attachment-preview-body"), att).then(url => {
+    if (url) attachmentPreviewUrls.push(url);
+  });
+}
+
+function releaseAttachmentPreviews() {
+  attachmentPreviewUrls.forEach(url => URL.revokeObjectURL(url));
+  attachmentPreviewUrls = [];
+}
+
+function openAttachmentViewer(att) {
+  closeAttachmentViewer();
+  attachmentViewerItem = att;
+  document.getElementById("attachment-viewer-name").textContent = att.name;
+  document.getElementById("attachment-viewer-meta").textContent = [att.size, att.uploadedByName].filter(Boolean).join(" · ");
+  document.getElementById("attachment-viewer").classList.add("active");
+
+  renderAttachmentPreview(document.getElementById("attachment-viewer-body"), att).then(url => {
+    // O visualizador pode ter sido fechado (ou trocado de arquivo) enquanto o conteúdo carregava
+    if (attachmentViewerItem === att) {
+      attachmentViewerUrl = url;
+    } else if (url) {
+      URL.revokeObjectURL(url);
+    }
+  });
+}
+
+function closeAttachmentViewer(e) {
+  if (e) e.stopPropagation();
+  document.getElementById("attachment-viewer").classList.remove("active");
+  document.getElementById("attachment-viewer-body").innerHTML = "";
+  if (attachmentViewerUrl) URL.revokeObjectURL(attachmentViewerUrl);
+  attachmentViewerUrl = null;
+  attachmentViewerItem = null;
+}
+
+function downloadViewerAttachment() {
+  if (attachmentViewerItem) downloadAttachment(attachmentViewerItem);
+}
+
+function renderTicketComments(ticket) {
+  const comments = ticket.comments || [];
+  const list = document.getElementById("modal-comments-list");
+  list.innerHTML = "";
+
+  if (comments.length === 0) {
+    list.innerHTML = `<p class="modal-comments-empty">Nenhum comentário ainda.</p>`;
+  }
+
+  comments.forEach(comment => {
+    const item = document.createElement("div");
+    item.className = "comment-item";
+    if (comment.author === currentUser.matricula) {
+      item.classList.add("own");
+    }
+
+    // Comentários importados ou de versões antigas podem não ter autor
+    const authorName = comment.authorName || "?";
+    item.innerHTML = `
+      <div class="comment-header">
+        <div class="card-user">
+          <div class="card-user-avatar">${escapeHTML(authorName.charAt(0).toUpperCase())}</div>
+          <span class="comment-author">${escapeHTML(authorName)}</span>
+          <span class="timeline-sector">${escapeHTML(comment.authorSector || "")}</span>
+        </div>
+        <span class="timeline-date">${formatDateTime(comment.timestamp)}</span>
+      </div>
+      <div class="comment-text markdown-body">${renderMarkdown(comment.text)}</div>
+    `;
+
+    bindMarkdownLinks(item.querySelector(".comment-text"));
+
+    if (comment.attachments && comment.attachments.length > 0) {
+      const attachmentList = document.createElement("div");
+      attachmentList.className = "modal-attachment-list";
+      renderAttachmentList(attachmentList, comment.attachments);
+      item.appendChild(attachmentList);
+    }
+
+    list.appendChild(item);
+  });
+
+  document.getElementById("modal-comments-count").textContent = comments.length;
+  document.getElementById("comment-composer").style.display = can("ticket.comment", ticket) ? "block" : "none";
+}
+
+// --- Anexos pendentes do comentário ---
+function triggerCommentFileInput() {
+  document.getElementById("comment-file").click();
+}
+
+function handleCommentFileSelect(e) {
+  Array.from(e.target.files).forEach(addPendingCommentFile);
+  e.target.value = "";
+}
+
+function handleCommentDrop(e) {
+  e.preventDefault();
+  e.currentTarget.classList.remove("dragover");
+  Array.from(e.dataTransfer.files).forEach(addPendingCommentFile);
+}
+
+function addPendingCommentFile(file) {
+  const attachment = createPendingAttachment(file);
+  if (!attachment) return;
+  pendingCommentAttachments.push(attachment);
+  renderPendingCommentAttachments();
+}
+
+function renderPendingCommentAttachments() {
+  const container = document.getElementById("comment-pending-attachments");
+  renderAttachmentList(container, pendingCommentAttachments, idx => {
+    pendingCommentAttachments.splice(idx, 1);
+    renderPendingCommentAttachments();
+  });
+  lucide.createIcons();
+}
+
+function resetCommentComposer() {
+  pendingCommentAttachments = [];
+  document.getElementById("comment-text").value = "";
+  document.getElementById("comment-file").value = "";
+  renderPendingCommentAttachments();
+}
+
+async function submitComment() {
+  const ticketId = currentSelectedTicketId;
+  if (!ticketId) return;
+
+  const text = document.getElementById("comment-text").value.trim();
+  if (!text && pendingCommentAttachments.length === 0) {
+    alert("Escreva um comentário ou anexe ao menos um arquivo.");
+    return;
+  }
+
+  const ticketForCheck = loadCollection("tickets").find(t => t.id === ticketId);
+  if (!ticketForCheck || !can("ticket.comment", ticketForCheck)) return;
+
+  // Os arquivos são gravados antes do comentário; se faltar espaço, o texto e os anexos continuam no editor
+  try {
+    const attachments = await persistAttachments(ticketId, pendingCommentAttachments);
+    const tickets = loadCollection("tickets");
+    const ticket = tickets.find(t => t.id === ticketId);
+    if (!ticket) return;
+    if (!Array.isArray(ticket.comments)) {
+      ticket.comments = [];
+    }
+
+    ticket.comments.push({
+      id: generateLocalId("CM"),
+      author: currentUser.matricula,
+      authorName: currentUser.name,
+      authorSector: currentUser.sector,
+      timestamp: new Date().toISOString(),
+      text: text,
+      mentions: extractMentions(text),
+      attachments: attachments
+    });
+
+    saveCollection("tickets", tickets);
+  } catch (err) {
+    console.error("[comentários] Falha ao gravar o comentário:", err);
+    showToast("error", `O comentário não foi enviado: ${describeStorageError(err)}`);
+    return;
+  }
+
+  resetCommentComposer();
+  if (currentSelectedTicketId === ticketId) {
+    openTicketModal(ticketId);
+  }
+  refreshDataViews();
+  updateStorageUsageIndicator();
+}
+
+// --- Arquivos adicionais enviados pelo criador após a abertura ---
+function triggerTicketFilesInput() {
+  document.getElementById("modal-ticket-files").click();
+}
+
+function handleTicketFilesSelect(e) {
+  Array.from(e.target.files).forEach(addTicketFile);
+  e.target.value = "";
+}
+
+function handleTicketFilesDrop(e) {
+  e.preventDefault();
+  e.currentTarget.classList.remove("dragover");
+  Array.from(e.dataTransfer.files).forEach(addTicketFile);
+}
+
+function addTicketFile(file) {
+  const ticketId = currentSelectedTicketId;
+  if (!ticketId) return;
+
+  const attachment = createPendingAttachment(file);
+  if (!attachment) return;
+
+  persistAttachments(ticketId, [attachment])
+    .then(([stored]) => {
+      const tickets = loadCollection("tickets");
+      const ticket = tickets.find(t => t.id === ticketId);
+      if (!ticket) return;
+
+      if (!Array.isArray(ticket.attachments)) {
+        ticket.attachments = [];
+      }
+      ticket.attachments.push(stored);
+      saveCollection("tickets", tickets);
+
+      if (currentSelectedTicketId === ticketId) {
+        openTicketModal(ticketId);
+      }
+      refreshDataViews();
+      updateStorageUsageIndicator();
+    })
+    .catch(err => {
+      console.error("[anexos] Falha ao gravar o arquivo:", err);
+      showToast("error", `"${attachment.name}" não foi anexado: ${describeStorageError(err)}`);
+    });
+}
+
+// ================= VÍNCULOS ENTRE CHAMADOS =================
+// Cada vínculo é gravado nos dois chamados, com o tipo inverso do outro lado (ex.: CH-001 "bloqueia" CH-002
+// e CH-002 "bloqueado_por" CH-001), para que qualquer um deles mostre a relação sem varrer a coleção inteira
+const TICKET_RELATION_TYPES = {
+  relacionado: { label: "Relacionado a", inverse: "relacionado" },
+  bloqueia: { label: "Bloqueia", inverse: "bloqueado_por" },
+  bloqueado_por: { label: "Bloqueado por", inverse: "bloqueia" },
+  pai_de: { label: "Subtarefa", inverse: "filho_de" },
+  filho_de: { label: "Subtarefa de", inverse: "pai_de" },
+  duplicado_de: { label: "Duplicado de", inverse: "duplicado_por" },
+  duplicado_por: { label: "Possui duplicado", inverse: "duplicado_de" }
+};
+
+function getTicketRelations(ticket, type) {
+  const relations = ticket.relations || [];
+  return type ? relations.filter(rel => rel.type === type) : relations;
+}
+
+// Subtarefas concluídas / total (null quando o chamado não tem subtarefas)
+function getTicketChildrenProgress(ticket, tickets) {
+  const children = getTicketRelations(ticket, "pai_de");
+  if (children.length === 0) return null;
+
+  const done = children.filter(rel => {
+    const child = tickets.find(t => t.id === rel.ticketId);
+    return child && child.status === 'concluido';
+  }).length;
+  return { done: done, total: children.length };
+}
+
+function getOpenBlockers(ticket, tickets) {
+  return getTicketRelations(ticket, "bloqueado_por")
+    .map(rel => tickets.find(t => t.id === rel.ticketId))
+    .filter(blocker => blocker && blocker.status !== 'concluido');
+}
+
+// Evita ciclos de subtarefas (o pai não pode ser descendente do próprio filho)
+function isTicketDescendant(tickets, ticketId, ancestorId) {
+  const visited = new Set();
+  let current = tickets.find(t => t.id === ticketId);
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    const parent = getTicketRelations(current, "filho_de")[0];
+    if (!parent) return false;
+    if (parent.ticketId === ancestorId) return true;
+    current = tickets.find(t => t.id === parent.ticketId);
+  }
+  return false;
+}
+
+// Valida um novo vínculo de "ticket" com "target"; devolve a explicação quando ele não é permitido
+function checkTicketRelation(ticket, target, type, tickets) {
+  if (!can("ticket.relate", ticket)) {
+    return `Somente os setores ${ticket.originSector} e ${ticket.destSector} podem vincular o ${ticket.id}.`;
+  }
+  if (!target || !can("ticket.view", target)) {
+    return "Chamado não encontrado ou sem acesso.";
+  }
+  if (target.id === ticket.id) {
+    return "Um chamado não pode ser vinculado a ele mesmo.";
+  }
+  // O vínculo é gravado nos dois chamados, então exige permissão nos dois lados
+  if (!can("ticket.relate", target)) {
+    return `Somente os setores ${target.originSector} e ${target.destSector} podem vincular o ${target.id}.`;
+  }
+
+  const existing = getTicketRelations(ticket).find(rel => rel.ticketId === target.id);
+  if (existing) {
+    return `${ticket.id} já está vinculado ao ${target.id} (${TICKET_RELATION_TYPES[existing.type].label.toLowerCase()}).`;
+  }
+
+  const child = type === "pai_de" ? target : type === "filho_de" ? ticket : null;
+  const parent = type === "pai_de" ? ticket : type === "filho_de" ? target : null;
+  if (child && getTicketRelations(child, "filho_de").length > 0) {
+    return `${child.id} já é subtarefa de ${getTicketRelations(child, "filho_de")[0].ticketId}.`;
+  }
+  if (child && isTicketDescendant(tickets, parent.id, child.id)) {
+    return `${parent.id} já é subtarefa (direta ou indireta) de ${child.id}.`;
+  }
+
+  // O chamado marcado como duplicado é concluído, então exige permissão para movimentá-lo
+  const duplicate = type === "duplicado_de" ? ticket : type === "duplicado_por" ? target : null;
+  if (duplicate && duplicate.status !== 'concluido' && !can("ticket.transition", duplicate)) {
+    return `Somente o setor ${duplicate.destSector} pode fechar o ${duplicate.id} como duplicado.`;
+  }
+  return null;
+}
+
+// O duplicado é concluído pela máquina de estados: aberto/devolvido passam por "andamento" antes de concluir
+function getDuplicateClosingSteps(ticket) {
+  if (ticket.status === 'concluido') return [];
+  return ticket.status === 'andamento' ? ['concluido'] : ['andamento', 'concluido'];
+}
+
+// Valida cada etapa (numa cópia do chamado) antes de gravar qualquer coisa; null se alguma for recusada
+function planDuplicateClosing(duplicate, note, tickets) {
+  const probe = Object.assign({}, duplicate);
+  const plan = [];
+  for (const status of getDuplicateClosingSteps(duplicate)) {
+    const transition = confirmTicketTransition(probe, status, note, tickets);
+    if (!transition) return null;
+    plan.push({ status, transition });
+    probe.status = status;
+  }
+  return plan;
+}
+
+function addTicketRelation() {
+  const type = document.getElementById("relation-type").value;
+  const targetId = document.getElementById("relation-target").value.trim().toUpperCase();
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === currentSelectedTicketId);
+  const target = tickets.find(t => t.id === targetId);
+  if (!ticket) return;
+
+  if (!targetId) {
+    showToast("error", "Informe o número do chamado a vincular (ex.: CH-002).");
+    return;
+  }
+  const problem = checkTicketRelation(ticket, target, type, tickets);
+  if (problem) {
+    showToast("error", problem);
+    return;
+  }
+
+  // Marcar como duplicado encerra o chamado repetido
+  const duplicate = type === "duplicado_de" ? ticket : type === "duplicado_por" ? target : null;
+  const original = duplicate === ticket ? target : ticket;
+  const closingNote = duplicate ? `Fechado como duplicado de ${original.id}` : null;
+  const closingPlan = duplicate ? planDuplicateClosing(duplicate, closingNote, tickets) : [];
+  if (!closingPlan) return;
+
+  const inverse = TICKET_RELATION_TYPES[type].inverse;
+  const stamp = { createdBy: currentUser.matricula, createdAt: new Date().toISOString() };
+  ticket.relations = getTicketRelations(ticket).concat(Object.assign({ type: type, ticketId: target.id }, stamp));
+  target.relations = getTicketRelations(target).concat(Object.assign({ type: inverse, ticketId: ticket.id }, stamp));
+  recordTicketEvent(ticket, 'vinculado', `${TICKET_RELATION_TYPES[type].label} ${target.id}`);
+  recordTicketEvent(target, 'vinculado', `${TICKET_RELATION_TYPES[inverse].label} ${ticket.id}`);
+
+  closingPlan.forEach(step => performTicketTransition(duplicate, step.status, step.transition, closingNote));
 
-  // Busca usuários existentes
-  let users = JSON.parse(localStorage.getItem("rocket_users")) || [];
+  saveCollection("tickets", tickets);
+  showToast("success", duplicate
+    ? `${duplicate.id} marcado como duplicado de ${original.id} e concluído.`
+    : `${ticket.id} vinculado ao ${target.id}.`);
+  openTicketModal(ticket.id);
+  refreshDataViews();
+}
+
+function removeTicketRelation(targetId) {
+  const tickets = loadCollection("tickets");
+  const ticket = tickets.find(t => t.id === currentSelectedTicketId);
+  if (!ticket || !can("ticket.relate", ticket)) return;
 
-  // Verifica se matrícula já existe
-  const exists = users.find(u => u.matricula === matricula);
-  if (exists) {
-    showAlert("error", "Esta matrícula já está cadastrada no sistema.");
+  const relation = getTicketRelations(ticket).find(rel => rel.ticketId === targetId);
+  if (!relation) return;
+  const target = tickets.find(t => t.id === targetId);
+  if (target && !can("ticket.relate", target)) {
+    showToast("error", `Somente os setores ${target.originSector} e ${target.destSector} podem remover vínculos do ${target.id}.`);
     return;
   }
+  if (!confirm(`Remover o vínculo "${TICKET_RELATION_TYPES[relation.type].label} ${targetId}"?`)) return;
 
-  // Adiciona novo usuário
-  const newUser = { matricula, name, sector, password };
-  users.push(newUser);
-  localStorage.setItem("rocket_users", JSON.stringify(users));
+  ticket.relations = getTicketRelations(ticket).filter(rel => rel.ticketId !== targetId);
+  recordTicketEvent(ticket, 'desvinculado', `${TICKET_RELATION_TYPES[relation.type].label} ${targetId}`);
+  if (target) {
+    target.relations = getTicketRelations(target).filter(rel => rel.ticketId !== ticket.id);
+    const inverse = TICKET_RELATION_TYPES[relation.type].inverse;
+    recordTicketEvent(target, 'desvinculado', `${TICKET_RELATION_TYPES[inverse].label} ${ticket.id}`);
+  }
 
-  showAlert("success", "Cadastro realizado com sucesso! Faça login para prosseguir.");
-  
-  // Limpa formulário e muda para login após delay
-  e.target.reset();
-  setTimeout(() => {
-    switchAuthTab('login');
-    document.getElementById("login-matricula").value = matricula;
-  }, 1500);
+  saveCollection("tickets", tickets);
+  openTicketModal(ticket.id);
+  refreshDataViews();
 }
 
-function handleLogin(e) {
-  e.preventDefault();
-  const matricula = document.getElementById("login-matricula").value.trim();
-  const password = document.getElementById("login-senha").value;
+function renderTicketRelations(ticket) {
+  const tickets = loadCollection("tickets");
+  const relations = getTicketRelations(ticket);
+  const editable = can("ticket.relate", ticket);
+  const list = document.getElementById("modal-relations-list");
 
-  let users = JSON.parse(localStorage.getItem("rocket_users")) || [];
-  
-  // Usuário administrador padrão de TI caso não existam cadastros
-  if (users.length === 0 && matricula === "admin" && password === "admin") {
-    const defaultAdmin = { matricula: "admin", name: "Administrador Geral TI", sector: "TI", password: "admin" };
-    users.push(defaultAdmin);
-    localStorage.setItem("rocket_users", JSON.stringify(users));
+  document.getElementById("modal-relations-count").textContent = relations.length;
+
+  const progress = getTicketChildrenProgress(ticket, tickets);
+  const progressBox = document.getElementById("modal-children-progress");
+  if (progress) {
+    progressBox.innerHTML = `
+      <div class="relation-progress-label">Subtarefas concluídas: <strong>${progress.done} de ${progress.total}</strong></div>
+      <div class="relation-progress-bar"><div style="width: ${Math.round((progress.done / progress.total) * 100)}%"></div></div>`;
+    progressBox.style.display = "";
+  } else {
+    progressBox.style.display = "none";
   }
 
-  const user = users.find(u => u.matricula === matricula && u.password === password);
+  // Agrupa na ordem da tabela de tipos (subtarefas juntas, bloqueios juntos...)
+  const order = Object.keys(TICKET_RELATION_TYPES);
+  list.innerHTML = relations.length === 0
+    ? `<p class="modal-comments-empty">Nenhum chamado vinculado.</p>`
+    : relations.slice().sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type)).map(rel => {
+      const other = tickets.find(t => t.id === rel.ticketId);
+      const visible = other && can("ticket.view", other);
+      return `
+        <div class="relation-item">
+          <span class="relation-type ${rel.type}">${TICKET_RELATION_TYPES[rel.type].label}</span>
+          <a href="#" class="md-ref" data-action="open" data-id="${escapeHTML(rel.ticketId)}">${escapeHTML(rel.ticketId)}</a>
+          <span class="relation-title">${visible ? escapeHTML(other.title) : "Sem acesso aos detalhes"}</span>
+          ${visible ? `<span class="modal-status-badge relation-status ${escapeHTML(String(other.status))}">${TICKET_STATUS_LABELS[other.status] || escapeHTML(String(other.status))}</span>` : ""}
+          ${editable && (!other || can("ticket.relate", other)) ? `<button type="button" class="remove-attachment-btn" data-action="remove" data-id="${escapeHTML(rel.ticketId)}" title="Remover vínculo"><i data-lucide="x" style="width:14px;height:14px;"></i></button>` : ""}
+        </div>`;
+    }).join("");
+  bindListActions(list, { open: openRecordReference, remove: removeTicketRelation });
 
-  if (!user) {
-    showAlert("error", "Matrícula ou senha inválidas. Tente novamente.");
-    return;
+  const form = document.getElementById("modal-relation-form");
+  form.style.display = editable ? "flex" : "none";
+  if (editable) {
+    document.getElementById("relation-target").value = "";
+    document.getElementById("relation-target-options").innerHTML = tickets
+      .filter(t => t.id !== ticket.id && !relations.some(rel => rel.ticketId === t.id) && can("ticket.view", t) && can("ticket.relate", t))
+      .map(t => `<option value="${escapeHTML(t.id)}">${escapeHTML(t.title)}</option>`).join("");
   }
+}
 
-  // Login bem sucedido
-  currentUser = user;
-  sessionStorage.setItem("current_rocket_user", JSON.stringify(user));
-  
-  showAlert("success", `✅ Bem-vindo ao SISMV, ${user.name}!`);
-  
-  setTimeout(() => {
-    e.target.reset();
-    showPlatform();
-  }, 1000);
+// ================= HISTÓRICO DO CHAMADO (LINHA DO TEMPO) =================
+const TICKET_EVENT_LABELS = {
+  criado: "Chamado criado",
+  iniciado: "Atendimento iniciado",
+  concluido: "Processo concluído",
+  devolvido: "Chamado devolvido",
+  reaberto: "Chamado reaberto",
+  atribuido: "Responsável definido",
+  vinculado: "Chamado vinculado",
+  desvinculado: "Vínculo removido",
+  importado: "Status importado da planilha"
+};
+
+// Adiciona um evento ao histórico do ticket (append-only, nunca sobrescreve eventos anteriores)
+function recordTicketEvent(ticket, type, note, timestamp) {
+  ensureTicketEvents(ticket);
+
+  const event = {
+    id: generateLocalId("EV"),
+    type: type,
+    status: ticket.status,
+    actor: currentUser.matricula,
+    actorName: currentUser.name,
+    actorSector: currentUser.sector,
+    timestamp: timestamp || new Date().toISOString(),
+    note: note || null
+  };
+
+  ticket.events.push(event);
+  return event;
 }
 
-function handleLogout() {
-  currentUser = null;
-  sessionStorage.removeItem("current_rocket_user");
-  showAuthScreen();
+// Materializa o histórico sintético de chamados antigos antes de qualquer alteração de status
+function ensureTicketEvents(ticket) {
+  if (!Array.isArray(ticket.events)) {
+    ticket.events = getTicketEvents(ticket).slice();
+  }
+  return ticket.events;
 }
 
-function showAuthScreen() {
-  document.getElementById("auth-screen").style.display = "flex";
-  document.getElementById("main-platform").style.display = "none";
+// Retorna os eventos do ticket; chamados antigos (sem histórico) recebem um evento de criação sintético
+function getTicketEvents(ticket) {
+  if (Array.isArray(ticket.events) && ticket.events.length > 0) {
+    return ticket.events;
+  }
+
+  const legacyEvents = [{
+    id: `EV-${ticket.id}-criado`,
+    type: 'criado',
+    status: 'aberto',
+    actor: ticket.createdByMatricula || null,
+    actorName: ticket.createdBy,
+    actorSector: ticket.originSector,
+    timestamp: ticket.createdDate,
+    note: null
+  }];
+
+  if (ticket.status === 'devolvido' && ticket.reasonDevolvido) {
+    legacyEvents.push({
+      id: `EV-${ticket.id}-devolvido`,
+      type: 'devolvido',
+      status: 'devolvido',
+      actor: null,
+      actorName: null,
+      actorSector: ticket.destSector,
+      timestamp: null,
+      note: ticket.reasonDevolvido
+    });
+  }
+
+  return legacyEvents;
 }
 
-function showPlatform() {
-  document.getElementById("auth-screen").style.display = "none";
-  document.getElementById("main-platform").style.display = "grid";
-  
-  // Atualiza painel do usuário na barra lateral
-  document.getElementById("user-name-lbl").textContent = currentUser.name;
-  document.getElementById("user-matricula-lbl").textContent = `Matrícula: ${currentUser.matricula}`;
-  document.getElementById("user-sector-badge").textContent = currentUser.sector;
-  
-  // Iniciais do Avatar
-  const initials = currentUser.name.split(" ").map(n => n[0]).join("").substring(0, 2).toUpperCase();
-  document.getElementById("user-avatar-lbl").textContent = initials;
-  
-  // Vai para a página padrão
-  switchTab('dashboard');
+function countTicketReturns(ticket) {
+  return getTicketEvents(ticket).filter(ev => ev.type === 'devolvido').length;
 }
 
-function showAlert(type, msg) {
-  const alertBox = document.getElementById("auth-alert");
-  alertBox.className = `auth-alert ${type}`;
-  alertBox.textContent = msg;
+function renderTicketTimeline(ticket) {
+  const events = getTicketEvents(ticket);
+  const timeline = document.getElementById("modal-timeline");
+  timeline.innerHTML = "";
+
+  events.forEach(ev => {
+    const item = document.createElement("li");
+    item.className = `timeline-item ${ev.type}`;
+
+    const actor = ev.actorName
+      ? `${escapeHTML(ev.actorName)}${ev.actor ? ` (${escapeHTML(ev.actor)})` : ""}`
+      : "Registro anterior ao histórico";
+    const sector = ev.actorSector ? `<span class="timeline-sector">${escapeHTML(ev.actorSector)}</span>` : "";
+    const when = ev.timestamp ? formatDateTime(ev.timestamp) : "Data não registrada";
+    const note = ev.note ? `<p class="timeline-note">${escapeHTML(ev.note)}</p>` : "";
+
+    item.innerHTML = `
+      <div class="timeline-dot"></div>
+      <div class="timeline-content">
+        <div class="timeline-title-row">
+          <span class="timeline-title">${TICKET_EVENT_LABELS[ev.type] || escapeHTML(String(ev.type))}</span>
+          <span class="timeline-date">${when}</span>
+        </div>
+        <div class="timeline-actor">${actor} ${sector}</div>
+        ${note}
+      </div>
+    `;
+    timeline.appendChild(item);
+  });
+
+  // Resumo para auditoria: quantas vezes o chamado voltou para a origem
+  const returns = events.filter(ev => ev.type === 'devolvido').length;
+  const reopens = events.filter(ev => ev.type === 'reaberto').length;
+  document.getElementById("modal-timeline-summary").textContent =
+    `${events.length} evento(s) · ${returns} devolução(ões) · ${reopens} reabertura(s)`;
 }
 
-// ================= PROCESSAMENTO DE ARQUIVOS (ANEXOS) =================
-function triggerFileInput() {
-  document.getElementById("ticket-file").click();
+// ================= SLA E PRIORIDADES =================
+// Prioridades, metas padrão e o cálculo dos prazos ficam em sla.js (compartilhado com o servidor e o auto-reporter)
+const SLA_STATE_LABELS = {
+  no_prazo: "No prazo",
+  em_risco: "Em risco",
+  violado: "Violado",
+  cumprido: "Cumprido",
+  cumprido_atraso: "Cumprido com atraso",
+  sem_registro: "Sem registro"
+};
+
+function getSlaPolicies() {
+  return mergeSlaPolicies(loadSetting("sla_policies", {}));
 }
 
-function handleFileSelect(e) {
-  const file = e.target.files[0];
-  if (file) {
-    processFile(file);
-  }
+function computeTicketSlaStatus(ticket, now) {
+  return getTicketSlaStatus(ticket, getTicketEvents(ticket), getSlaPolicies(), now || Date.now());
 }
 
-function handleDragOver(e) {
-  e.preventDefault();
-  document.getElementById("upload-zone").classList.add("dragover");
+function getWorstSlaState(sla) {
+  const states = [sla.firstResponse.state, sla.resolution.state];
+  if (states.includes('violado')) return 'violado';
+  if (states.includes('em_risco')) return 'em_risco';
+  if (states.includes('no_prazo')) return 'no_prazo';
+  return states.includes('sem_registro') ? 'sem_registro' : 'cumprido';
 }
 
-function handleDragLeave(e) {
-  e.preventDefault();
-  document.getElementById("upload-zone").classList.remove("dragover");
+function renderSlaMeta(el, target) {
+  const when = target.metAt
+    ? `atendido em ${formatDateTime(target.metAt)}`
+    : target.state === 'sem_registro' ? "data de atendimento não registrada" : `até ${formatDateTime(target.due)}`;
+  el.innerHTML = `
+    <span class="sla-state-badge ${target.state}">${SLA_STATE_LABELS[target.state]}</span>
+    <span class="sla-due-text">${when}</span>
+  `;
 }
 
-function handleDrop(e) {
-  e.preventDefault();
-  document.getElementById("upload-zone").classList.remove("dragover");
-  
-  const file = e.dataTransfer.files[0];
-  if (file) {
-    processFile(file);
-  }
+// --- Configuração das políticas (editável apenas por administradores) ---
+function renderSlaPolicyEditor() {
+  const policies = getSlaPolicies();
+  const canEdit = can("sla.edit");
+  const tbody = document.getElementById("sla-policy-rows");
+  tbody.innerHTML = "";
+
+  // Setores inativos continuam listados: chamados antigos ainda seguem as metas deles
+  getSectors().forEach(({ name: sector, active }) => {
+    const policy = policies[sector] || DEFAULT_SLA_POLICY;
+    const row = document.createElement("tr");
+    row.dataset.sector = sector;
+    row.innerHTML = `
+      <td>${escapeHTML(sector)}${active ? "" : ` <span class="admin-usage">(inativo)</span>`}</td>
+      <td><input type="number" min="0.5" step="0.5" class="form-input sla-input" data-field="firstResponseHours" value="${policy.firstResponseHours}" ${canEdit ? "" : "disabled"}></td>
+      <td><input type="number" min="0.5" step="0.5" class="form-input sla-input" data-field="resolutionHours" value="${policy.resolutionHours}" ${canEdit ? "" : "disabled"}></td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  document.getElementById("sla-policy-save-btn").style.display = canEdit ? "flex" : "none";
 }
 
-function processFile(file) {
-  // Limite de 5MB
-  if (file.size > 5 * 1024 * 1024) {
-    alert("Arquivo muito grande. Limite máximo permitido: 5MB.");
+function saveSlaPolicies() {
+  if (!can("sla.edit")) return;
+
+  // Parte das políticas gravadas, para não perder a meta de um setor que não esteja na tabela
+  const policies = loadSetting("sla_policies", {});
+  let valid = true;
+
+  document.querySelectorAll("#sla-policy-rows tr").forEach(row => {
+    const firstResponseHours = parseFloat(row.querySelector('[data-field="firstResponseHours"]').value);
+    const resolutionHours = parseFloat(row.querySelector('[data-field="resolutionHours"]').value);
+
+    if (!(firstResponseHours > 0) || !(resolutionHours > 0) || firstResponseHours > resolutionHours) {
+      valid = false;
+    }
+    policies[row.dataset.sector] = { firstResponseHours, resolutionHours };
+  });
+
+  if (!valid) {
+    alert("Informe prazos positivos e com a 1ª resposta menor ou igual à resolução.");
     return;
   }
 
-  const reader = new FileReader();
-  reader.onload = function(event) {
-    selectedAttachment = {
-      name: file.name,
-      type: file.type,
-      size: (file.size / 1024).toFixed(1) + " KB",
-      data: event.target.result // Base64 data url
-    };
-    
-    // Atualiza preview na UI
-    document.getElementById("preview-filename").textContent = selectedAttachment.name;
-    document.getElementById("preview-filesize").textContent = selectedAttachment.size;
-    document.getElementById("attachment-preview").style.display = "flex";
-    document.getElementById("upload-zone").style.display = "none";
-  };
-  reader.readAsDataURL(file);
+  saveSetting("sla_policies", policies);
+  alert("Políticas de SLA atualizadas. Os novos prazos valem para chamados abertos a partir de agora.");
+  renderBICharts();
 }
 
-function clearAttachment(e) {
-  if (e) e.stopPropagation();
-  selectedAttachment = null;
-  document.getElementById("ticket-file").value = "";
-  document.getElementById("attachment-preview").style.display = "none";
-  document.getElementById("upload-zone").style.display = "block";
-}
+// ================= DASHBOARDS & BI (CHART.JS) =================
+// Filtros globais da aba de BI: período (com comparação ao período anterior), setor e agrupamento das séries
+const BI_PERIODS = {
+  semana: "Esta semana",
+  mes: "Este mês",
+  trimestre: "Este trimestre",
+  ano: "Este ano",
+  tudo: "Todo o histórico",
+  personalizado: "Personalizado"
+};
 
-// ================= GESTÃO DE FORMULÁRIO DE TICKET =================
-function setupNewTicketForm() {
-  document.getElementById("create-ticket-form").reset();
-  document.getElementById("ticket-origin").value = currentUser.sector;
-  clearAttachment();
+const BI_BUCKETS = {
+  dia: "Diário",
+  semana: "Semanal",
+  mes: "Mensal"
+};
+
+let biFilters = { period: "mes", from: "", to: "", sector: "", bucket: "auto" };
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
 }
 
-function handleCreateTicket(e) {
-  e.preventDefault();
-  
-  const destSector = document.getElementById("ticket-dest").value;
-  const title = document.getElementById("ticket-title").value.trim();
-  const description = document.getElementById("ticket-desc").value.trim();
-  
-  if (!destSector || !title || !description) {
-    alert("Por favor, preencha todos os campos obrigatórios.");
-    return;
-  }
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
 
-  const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-  
-  // Gerar ID sequencial
-  const lastId = tickets.length > 0 ? parseInt(tickets[tickets.length - 1].id.split("-")[1]) : 0;
-  const newId = `CH-${String(lastId + 1).padStart(3, '0')}`;
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + months);
+  return d;
+}
 
-  const newTicket = {
-    id: newId,
-    title: title,
-    description: description,
-    originSector: currentUser.sector,
-    destSector: destSector,
-    status: 'aberto',
-    createdDate: new Date().toISOString(),
-    createdBy: currentUser.name,
-    attachmentName: selectedAttachment ? selectedAttachment.name : null,
-    attachmentType: selectedAttachment ? selectedAttachment.type : null,
-    attachmentData: selectedAttachment ? selectedAttachment.data : null
-  };
+// Semanas começam na segunda-feira
+function startOfWeek(date) {
+  const d = startOfDay(date);
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
 
-  tickets.push(newTicket);
-  localStorage.setItem("rocket_tickets", JSON.stringify(tickets));
+function startOfMonth(date) {
+  const d = startOfDay(date);
+  d.setDate(1);
+  return d;
+}
 
-  alert(`Chamado ${newId} criado com sucesso e encaminhado para o setor ${destSector}!`);
-  
-  // Limpa e redireciona para o painel principal
-  setupNewTicketForm();
-  switchTab('dashboard');
+// "YYYY-MM-DD" de um <input type="date"> no fuso local
+function parseLocalDate(value) {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day);
 }
 
-// ================= RENDERIZAR DASHBOARD E KANBAN =================
-function renderDashboard() {
-  const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-  const sales = JSON.parse(localStorage.getItem("rocket_sales")) || [];
+// Intervalo [start, end) do período escolhido e o período anterior equivalente (null em "todo o histórico")
+function getBiDateRange(filters = biFilters, now = new Date()) {
+  const today = startOfDay(now);
+  let start;
+  let end;
+  let previousStart;
 
-  // --- 1. Calcular KPIs ---
-  const openCount = tickets.filter(t => t.status === 'aberto').length;
-  const inProgressCount = tickets.filter(t => t.status === 'andamento').length;
-  const completedCount = tickets.filter(t => t.status === 'concluido').length;
-  const returnedCount = tickets.filter(t => t.status === 'devolvido').length;
+  if (filters.period === "semana") {
+    start = startOfWeek(today);
+    end = addDays(start, 7);
+    previousStart = addDays(start, -7);
+  } else if (filters.period === "mes") {
+    start = startOfMonth(today);
+    end = addMonths(start, 1);
+    previousStart = addMonths(start, -1);
+  } else if (filters.period === "trimestre") {
+    start = new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1);
+    end = addMonths(start, 3);
+    previousStart = addMonths(start, -3);
+  } else if (filters.period === "ano") {
+    start = new Date(today.getFullYear(), 0, 1);
+    end = new Date(today.getFullYear() + 1, 0, 1);
+    previousStart = new Date(today.getFullYear() - 1, 0, 1);
+  } else if (filters.period === "personalizado" && filters.from && filters.to) {
+    start = parseLocalDate(filters.from);
+    end = addDays(parseLocalDate(filters.to), 1);
+    if (end <= start) [start, end] = [addDays(end, -1), addDays(start, 1)];
+    previousStart = new Date(start.getTime() - (end - start));
+  } else {
+    return { start: null, end: null, previous: null };
+  }
 
-  const totalTickets = tickets.length;
-  const completionRate = totalTickets > 0 ? Math.round((completedCount / totalTickets) * 100) : 0;
+  return { start, end, previous: { start: previousStart, end: start } };
+}
 
-  // KPIs de Vendas
-  const salesWon = sales.filter(s => s.status === 'ganho');
-  const totalSalesVal = salesWon.reduce((sum, s) => sum + s.value, 0);
-  const salesCount = salesWon.length;
+function isInBiRange(iso, range) {
+  if (!iso) return false;
+  if (!range.start) return true;
+  const time = new Date(iso).getTime();
+  return time >= range.start.getTime() && time < range.end.getTime();
+}
 
-  // Atualizar DOM KPIs
-  document.getElementById("kpi-tickets-open").textContent = openCount;
-  document.getElementById("kpi-tickets-closed").textContent = completedCount;
-  document.getElementById("kpi-tickets-completion-rate").textContent = `${completionRate}% resolução`;
-  document.getElementById("kpi-tickets-returned").textContent = returnedCount;
-  document.getElementById("kpi-sales-value").textContent = formatBRL(totalSalesVal);
-  document.getElementById("kpi-sales-count").textContent = `${salesCount} vendas realizadas`;
+// Chamados do setor filtrado (como origem ou destino)
+function matchesBiSector(ticket, sector = biFilters.sector) {
+  return !sector || ticket.originSector === sector || ticket.destSector === sector;
+}
 
-  // --- 2. Renderizar Colunas de Chamados ---
-  const cols = {
-    aberto: document.getElementById("col-aberto"),
-    andamento: document.getElementById("col-andamento"),
-    concluido: document.getElementById("col-concluido"),
-    devolvido: document.getElementById("col-devolvido")
-  };
+// Momento da última ocorrência de um tipo de evento no histórico do chamado/venda
+function getLastEventTime(record, type) {
+  const events = (record.events || []).filter(ev => ev.type === type);
+  return events.length > 0 ? events[events.length - 1].timestamp : null;
+}
 
-  // Limpa colunas
-  Object.keys(cols).forEach(key => {
-    cols[key].innerHTML = "";
-  });
+function getTicketResolvedAt(ticket) {
+  if (ticket.status !== 'concluido') return null;
+  return getLastEventTime(ticket, 'concluido') || ticket.createdDate;
+}
 
-  // Popula colunas
-  tickets.forEach(ticket => {
-    const card = document.createElement("div");
-    card.className = "ticket-card";
-    card.onclick = () => openTicketModal(ticket.id);
-    
-    // Mostra indicador se houver anexo
-    const attachmentIcon = ticket.attachmentName 
-      ? `<div class="card-attachment-indicator"><i data-lucide="paperclip" style="width:12px;height:12px;"></i></div>` 
-      : "";
+// Vendas fechadas (ganhas ou perdidas): data do evento de fechamento ou, em registros antigos, a data da venda
+function getSaleClosedAt(sale) {
+  if (sale.status !== 'ganho' && sale.status !== 'devolvido') return null;
+  return getLastEventTime(sale, sale.status) || `${sale.date}T12:00:00`;
+}
 
-    card.innerHTML = `
-      <div class="card-tag-row">
-        <span class="card-id">${ticket.id}</span>
-        <span class="card-sector-tag">${ticket.originSector} ➔ ${ticket.destSector}</span>
-      </div>
-      <div class="card-title">${escapeHTML(ticket.title)}</div>
-      <div class="card-meta-row">
-        <div class="card-user">
-          <div class="card-user-avatar">${ticket.createdBy[0].toUpperCase()}</div>
-          <span>${escapeHTML(ticket.createdBy.split(" ")[0])}</span>
-        </div>
-        ${attachmentIcon}
-      </div>
-    `;
-    
-    if (cols[ticket.status]) {
-      cols[ticket.status].appendChild(card);
-    }
-  });
+// Indicadores comparáveis entre períodos
+function computeBiKpis(tickets, sales, range) {
+  const resolved = tickets.filter(t => isInBiRange(getTicketResolvedAt(t), range)).length;
+  const returned = tickets.filter(t => getTicketEvents(t).some(ev => ev.type === 'devolvido' && isInBiRange(ev.timestamp, range))).length;
 
-  // Atualiza contadores dos títulos das colunas
-  document.getElementById("count-aberto").textContent = openCount;
-  document.getElementById("count-andamento").textContent = inProgressCount;
-  document.getElementById("count-concluido").textContent = completedCount;
-  document.getElementById("count-devolvido").textContent = returnedCount;
+  const closedSales = sales.filter(s => isInBiRange(getSaleClosedAt(s), range));
+  const won = closedSales.filter(s => s.status === 'ganho').length;
+  const conversion = closedSales.length > 0 ? (won / closedSales.length) * 100 : null;
 
-  // --- 3. Renderizar Colunas de Vendas ---
-  const salesCols = {
-    lead: document.getElementById("vendas-col-lead"),
-    negociacao: document.getElementById("vendas-col-negociacao"),
-    proposta: document.getElementById("vendas-col-proposta"),
-    ganho: document.getElementById("vendas-col-ganho")
-  };
+  return { resolved, returned, conversion };
+}
 
-  // Limpa colunas de vendas
-  Object.keys(salesCols).forEach(key => {
-    salesCols[key].innerHTML = "";
-  });
+function renderBiDelta(elementId, current, previous, options = {}) {
+  const el = document.getElementById(elementId);
+  el.classList.remove("positive", "negative");
 
-  const salesCounts = { lead: 0, negociacao: 0, proposta: 0, ganho: 0 };
+  if (!previous) {
+    el.textContent = options.noComparisonText || "Todo o histórico";
+    return;
+  }
 
-  sales.forEach(sale => {
-    const card = document.createElement("div");
-    card.className = "sale-card";
-    
-    // Formata o status para a coluna correspondente (caso de devolvido ou ganho vão pra última coluna)
-    let colKey = sale.status;
-    let badgeColor = "var(--text-muted)";
-    let badgeLabel = "Lead";
-
-    if (sale.status === 'devolvido') {
-      colKey = 'ganho'; // Renderiza na última coluna
-      badgeColor = "var(--status-devolvido)";
-      badgeLabel = "Devolvida";
-    } else if (sale.status === 'ganho') {
-      badgeColor = "var(--status-concluido)";
-      badgeLabel = "Concluída";
-    } else if (sale.status === 'negociacao') {
-      badgeColor = "var(--status-andamento)";
-      badgeLabel = "Negociação";
-    } else if (sale.status === 'proposta') {
-      badgeColor = "var(--status-aberto)";
-      badgeLabel = "Proposta";
-    }
+  const prev = previous.value;
+  const curr = current;
+  if (curr === null || prev === null) {
+    el.textContent = "Sem dados para comparar";
+    return;
+  }
 
-    card.innerHTML = `
-      <div class="card-tag-row">
-        <span class="card-id" style="background: rgba(255, 255, 255, 0.05); color: #fff; border-color: rgba(255,255,255,0.1)">${sale.id}</span>
-        <span class="card-sector-tag" style="color: ${badgeColor}; background: rgba(255,255,255,0.02)">${badgeLabel}</span>
-      </div>
-      <div class="sale-card-value">${formatBRL(sale.value)}</div>
-      <div class="sale-card-client">${escapeHTML(sale.client)}</div>
-    `;
+  const diff = curr - prev;
+  if (diff === 0) {
+    el.textContent = "Igual ao período anterior";
+    return;
+  }
 
-    if (salesCols[colKey]) {
-      salesCols[colKey].appendChild(card);
-      salesCounts[colKey]++;
-    }
-  });
+  // Taxas comparam em pontos percentuais; contagens, em variação relativa
+  const text = options.percentagePoints
+    ? `${Math.abs(diff).toFixed(1)} p.p.`
+    : prev === 0 ? `${Math.abs(diff)}` : `${Math.round(Math.abs(diff / prev) * 100)}%`;
+  const improved = options.higherIsBetter === false ? diff < 0 : diff > 0;
 
-  // Atualiza contadores das colunas de vendas
-  document.getElementById("vendas-count-lead").textContent = salesCounts.lead;
-  document.getElementById("vendas-count-negociacao").textContent = salesCounts.negociacao;
-  document.getElementById("vendas-count-proposta").textContent = salesCounts.proposta;
-  document.getElementById("vendas-count-ganho").textContent = salesCounts.ganho;
+  el.textContent = `${diff > 0 ? "▲" : "▼"} ${text} vs período anterior (${options.format ? options.format(prev) : prev})`;
+  el.classList.add(improved ? "positive" : "negative");
+}
+
+// Agrupamento automático: diário até ~1 mês, semanal até ~4 meses, mensal acima disso
+function resolveBiBucket(range) {
+  if (biFilters.bucket !== "auto") return biFilters.bucket;
+  const days = (range.end - range.start) / 86400000;
+  if (days <= 31) return "dia";
+  if (days <= 124) return "semana";
+  return "mes";
+}
 
-  // Reinicializa ícones do lucide inseridos dinamicamente
-  lucide.createIcons();
+function getBucketStart(date, bucket) {
+  if (bucket === "semana") return startOfWeek(date);
+  if (bucket === "mes") return startOfMonth(date);
+  return startOfDay(date);
 }
 
-// ================= MODAL DE DETALHES DO TICKET =================
-function openTicketModal(ticketId) {
-  const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-  const ticket = tickets.find(t => t.id === ticketId);
+function nextBucketStart(date, bucket) {
+  if (bucket === "semana") return addDays(date, 7);
+  if (bucket === "mes") return addMonths(date, 1);
+  return addDays(date, 1);
+}
 
-  if (!ticket) return;
+function formatBucketLabel(date, bucket) {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  if (bucket === "mes") return `${month}/${date.getFullYear()}`;
+  return bucket === "semana" ? `Sem. ${day}/${month}` : `${day}/${month}`;
+}
 
-  currentSelectedTicketId = ticketId;
+// Série por intervalo de tempo: [{ label, start, end }] cobrindo todo o período
+function buildTimeBuckets(range, bucket) {
+  const buckets = [];
+  for (let cursor = getBucketStart(range.start, bucket); cursor < range.end; cursor = nextBucketStart(cursor, bucket)) {
+    buckets.push({ label: formatBucketLabel(cursor, bucket), start: cursor, end: nextBucketStart(cursor, bucket) });
+  }
+  return buckets;
+}
 
-  // Popula dados no modal
-  document.getElementById("modal-ticket-id").textContent = ticket.id;
-  document.getElementById("modal-title").textContent = ticket.title;
-  document.getElementById("modal-desc").textContent = ticket.description;
-  document.getElementById("modal-origin").textContent = ticket.originSector;
-  document.getElementById("modal-destination").textContent = ticket.destSector;
-  document.getElementById("modal-creator").textContent = ticket.createdBy;
-  
-  // Data formatada
-  const dateObj = new Date(ticket.createdDate);
-  document.getElementById("modal-date").textContent = dateObj.toLocaleDateString('pt-BR') + ' às ' + dateObj.toLocaleTimeString('pt-BR', {hour: '2-digit', minute:'2-digit'});
+// "Todo o histórico" vai da data mais antiga dos registros até hoje
+function resolveBiChartRange(range, tickets, sales) {
+  if (range.start) return range;
+  const times = tickets.map(t => new Date(t.createdDate).getTime())
+    .concat(sales.map(s => new Date(`${s.date}T12:00:00`).getTime()))
+    .filter(time => !isNaN(time));
+  const start = times.length > 0 ? startOfDay(new Date(Math.min(...times))) : startOfMonth(new Date());
+  return { start, end: addDays(startOfDay(new Date()), 1) };
+}
 
-  // Badge Status
-  const statusBadge = document.getElementById("modal-status");
-  statusBadge.className = `modal-status-badge ${ticket.status}`;
-  
-  const statusLabels = {
-    aberto: "Processo Aberto",
-    andamento: "Em Andamento",
-    concluido: "Processo Concluído",
-    devolvido: "Processo Devolvido"
-  };
-  statusBadge.textContent = statusLabels[ticket.status] || ticket.status;
+function renderBiFilterOptions() {
+  const sectorSelect = document.getElementById("bi-filter-sector");
+  sectorSelect.innerHTML = `<option value="">Setor: todos</option>` +
+    getSectorNames().map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join("");
+  sectorSelect.value = getSectorNames().includes(biFilters.sector) ? biFilters.sector : "";
 
-  // Caixa de justificativa de devolução
-  const devBox = document.getElementById("modal-devolucao-reason-box");
-  if (ticket.status === 'devolvido' && ticket.reasonDevolvido) {
-    document.getElementById("modal-devolucao-reason").textContent = ticket.reasonDevolvido;
-    devBox.style.display = "block";
-  } else {
-    devBox.style.display = "none";
-  }
+  document.getElementById("bi-filter-period").value = biFilters.period;
+  document.getElementById("bi-filter-bucket").value = biFilters.bucket;
+  document.getElementById("bi-filter-from").value = biFilters.from;
+  document.getElementById("bi-filter-to").value = biFilters.to;
+  document.getElementById("bi-filter-custom").style.display = biFilters.period === "personalizado" ? "flex" : "none";
+}
 
-  // Área de anexos
-  const attachmentArea = document.getElementById("modal-attachment-area");
-  if (ticket.attachmentName && ticket.attachmentData) {
-    document.getElementById("modal-attachment-name").textContent = ticket.attachmentName;
-    const downloadBtn = document.getElementById("modal-attachment-download");
-    downloadBtn.href = ticket.attachmentData;
-    downloadBtn.download = ticket.attachmentName;
-    attachmentArea.style.display = "block";
-  } else {
-    attachmentArea.style.display = "none";
-  }
+function handleBiFilterChange() {
+  biFilters = {
+    period: document.getElementById("bi-filter-period").value,
+    from: document.getElementById("bi-filter-from").value,
+    to: document.getElementById("bi-filter-to").value,
+    sector: document.getElementById("bi-filter-sector").value,
+    bucket: document.getElementById("bi-filter-bucket").value
+  };
+  renderBICharts();
+}
 
-  // Área de ações (Botões de transição de status)
-  // O usuário só pode alterar o status se pertencer ao setor de DESTINO do chamado (ou se for o Admin TI)
-  const actionRow = document.getElementById("modal-action-row");
-  const btnStart = document.getElementById("btn-action-start");
-  const btnComplete = document.getElementById("btn-action-complete");
-  const btnReturn = document.getElementById("btn-action-return");
-  
-  // Reseta estado da área de inputs de devolução
-  cancelDevolucao();
+function formatBiRange(range) {
+  return `${startOfDay(range.start).toLocaleDateString('pt-BR')} a ${addDays(range.end, -1).toLocaleDateString('pt-BR')}`;
+}
 
-  const isDestUser = currentUser.sector === ticket.destSector || currentUser.matricula === "admin";
-  
-  if (isDestUser && ticket.status !== 'concluido') {
-    actionRow.style.display = "flex";
-    
-    // Ajusta quais botões aparecem com base no status atual
-    if (ticket.status === 'aberto') {
-      btnStart.style.display = "flex";
-      btnComplete.style.display = "none";
-      btnReturn.style.display = "flex";
-    } else if (ticket.status === 'andamento') {
-      btnStart.style.display = "none";
-      btnComplete.style.display = "flex";
-      btnReturn.style.display = "flex";
-    } else if (ticket.status === 'devolvido') {
-      // Se já está devolvido, o setor de destino (origem inicial) pode reabrir / reiniciar
-      btnStart.style.display = "flex";
-      btnComplete.style.display = "none";
-      btnReturn.style.display = "none";
-    }
-  } else {
-    actionRow.style.display = "none";
-  }
+// --- Métricas operacionais (a partir dos horários de cada transição no histórico) ---
+const TICKET_STATUS_CHART_COLORS = {
+  aberto: '#38bdf8',
+  andamento: '#fbbf24',
+  devolvido: '#f87171',
+  concluido: '#34d399'
+};
 
-  // Abre Modal
-  document.getElementById("ticket-modal").classList.add("active");
-  lucide.createIcons();
+// Idade dos chamados em aberto, em horas: [mínimo, máximo)
+const BACKLOG_AGE_BUCKETS = [
+  { label: "< 1 dia", min: 0, max: 24 },
+  { label: "1–3 dias", min: 24, max: 72 },
+  { label: "3–7 dias", min: 72, max: 168 },
+  { label: "1–2 semanas", min: 168, max: 336 },
+  { label: "2–4 semanas", min: 336, max: 720 },
+  { label: "> 30 dias", min: 720, max: Infinity }
+];
+
+function hoursBetween(fromIso, toIso) {
+  return (new Date(toIso) - new Date(fromIso)) / 3600000;
 }
 
-function closeTicketModal(e) {
-  if (e) e.stopPropagation();
-  document.getElementById("ticket-modal").classList.remove("active");
-  currentSelectedTicketId = null;
+// Primeiro início de atendimento (reaberturas não reiniciam o relógio)
+function getTicketStartedAt(ticket) {
+  const started = getTicketEvents(ticket).find(ev => ev.type === 'iniciado');
+  return started ? started.timestamp : null;
 }
 
-function updateTicketStatus(newStatus) {
-  if (!currentSelectedTicketId) return;
+function summarizeDurations(hours) {
+  if (hours.length === 0) return { count: 0, avg: null, median: null };
+  const sorted = [...hours].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    avg: sorted.reduce((sum, h) => sum + h, 0) / sorted.length,
+    median: sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  };
+}
 
-  const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-  const index = tickets.findIndex(t => t.id === currentSelectedTicketId);
+// Tempo até o início (iniciados no período) e até a resolução (concluídos no período)
+function computeTicketDurations(tickets, range) {
+  const toStart = [];
+  const toResolve = [];
+  tickets.forEach(ticket => {
+    const startedAt = getTicketStartedAt(ticket);
+    if (isInBiRange(startedAt, range)) toStart.push(hoursBetween(ticket.createdDate, startedAt));
 
-  if (index !== -1) {
-    tickets[index].status = newStatus;
-    
-    // Se mudou de devolvido para outro status, limpa a justificativa anterior
-    if (newStatus !== 'devolvido') {
-      delete tickets[index].reasonDevolvido;
-    }
+    const resolvedAt = getTicketResolvedAt(ticket);
+    if (isInBiRange(resolvedAt, range)) toResolve.push(hoursBetween(ticket.createdDate, resolvedAt));
+  });
+  return { start: summarizeDurations(toStart), resolve: summarizeDurations(toResolve) };
+}
 
-    localStorage.setItem("rocket_tickets", JSON.stringify(tickets));
-    
-    // Atualiza modal com novos dados
-    openTicketModal(currentSelectedTicketId);
-    
-    // Re-renderiza dashboard
-    renderDashboard();
-  }
+function formatDurationHours(hours) {
+  if (hours === null) return "-";
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} horas`;
+  return `${(hours / 24).toFixed(1)} dias`;
 }
 
-// Fluxo de devolução com justificativa
-function showDevolucaoInput() {
-  document.getElementById("devolucao-input-area").classList.add("active");
-  document.getElementById("modal-action-row").style.display = "none";
+function wasTicketReturned(ticket) {
+  return getTicketEvents(ticket).some(ev => ev.type === 'devolvido');
 }
 
-function cancelDevolucao() {
-  document.getElementById("devolucao-input-area").classList.remove("active");
-  document.getElementById("devolucao-reason-text").value = "";
-  
-  // Volta a mostrar a fileira de ações se o modal ainda estiver ativo e configurado
-  if (currentSelectedTicketId) {
-    const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-    const ticket = tickets.find(t => t.id === currentSelectedTicketId);
-    if (ticket && ticket.status !== 'concluido') {
-      document.getElementById("modal-action-row").style.display = "flex";
-    }
-  }
+// Status do chamado num instante, reconstruído pelo último evento até ali (null se ainda não existia)
+function getTicketStatusAt(ticket, time) {
+  let status = null;
+  getTicketEvents(ticket).forEach(ev => {
+    if (new Date(ev.timestamp).getTime() <= time) status = ev.status || status;
+  });
+  return status;
 }
 
-function submitDevolucao() {
-  const reason = document.getElementById("devolucao-reason-text").value.trim();
-  if (!reason) {
-    alert("Insira uma justificativa para a devolução.");
+// Taxa de devolução por par origem → destino (chamados abertos no período que foram devolvidos ao menos uma vez)
+function renderReturnRateMatrix(tickets) {
+  const container = document.getElementById("bi-return-rate-matrix");
+  const origins = [...new Set(tickets.map(t => t.originSector))].sort();
+  const dests = [...new Set(tickets.map(t => t.destSector))].sort();
+
+  if (tickets.length === 0) {
+    container.innerHTML = `<p class="sla-policy-hint">Nenhum chamado aberto no período.</p>`;
     return;
   }
 
-  const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-  const index = tickets.findIndex(t => t.id === currentSelectedTicketId);
+  const cell = (origin, dest) => {
+    const pair = tickets.filter(t => t.originSector === origin && t.destSector === dest);
+    if (pair.length === 0) return `<td class="return-rate-empty">–</td>`;
+    const returned = pair.filter(wasTicketReturned).length;
+    const rate = returned / pair.length;
+    return `<td style="background:${hexToRgba('#f87171', 0.08 + rate * 0.5)}" title="${returned} de ${pair.length} chamado(s) devolvido(s)">${Math.round(rate * 100)}% <span>(${returned}/${pair.length})</span></td>`;
+  };
 
-  if (index !== -1) {
-    tickets[index].status = 'devolvido';
-    tickets[index].reasonDevolvido = reason;
-    localStorage.setItem("rocket_tickets", JSON.stringify(tickets));
+  // Destino que mais devolve, considerando todos os chamados recebidos
+  const byDest = dests.map(dest => {
+    const received = tickets.filter(t => t.destSector === dest);
+    return { dest, rate: received.filter(wasTicketReturned).length / received.length };
+  }).sort((a, b) => b.rate - a.rate);
+  const top = byDest[0];
 
-    cancelDevolucao();
-    openTicketModal(currentSelectedTicketId);
-    renderDashboard();
-  }
+  container.innerHTML = `
+    <table class="return-rate-table">
+      <thead><tr><th>Origem ↓ / Destino →</th>${dests.map(dest => `<th>${escapeHTML(dest)}</th>`).join("")}</tr></thead>
+      <tbody>${origins.map(origin => `<tr><th>${escapeHTML(origin)}</th>${dests.map(dest => cell(origin, dest)).join("")}</tr>`).join("")}</tbody>
+    </table>
+    <p class="sla-policy-hint">${top.rate > 0 ? `Setor que mais devolve: <strong>${escapeHTML(top.dest)}</strong> (${Math.round(top.rate * 100)}% dos chamados recebidos).` : "Nenhuma devolução no período."}</p>
+  `;
+}
+
+function renderOperationalMetrics(tickets, sectorTickets, range, chartRange, bucket) {
+  if (chartResolutionTimeInstance) chartResolutionTimeInstance.destroy();
+  if (chartBacklogAgingInstance) chartBacklogAgingInstance.destroy();
+  if (chartCumulativeFlowInstance) chartCumulativeFlowInstance.destroy();
+
+  const chartTextColor = '#a0a0ab';
+  const gridColor = 'rgba(255,255,255,0.05)';
+
+  // --- Tempo até início e até resolução por setor destinatário (média e mediana, em horas) ---
+  const destSectors = getSectorNames().filter(sec => sectorTickets.some(t => t.destSector === sec));
+  const durationsBySector = destSectors.map(sec => computeTicketDurations(sectorTickets.filter(t => t.destSector === sec), range));
+  const toChartHours = value => value === null ? null : Number(value.toFixed(1));
+
+  chartResolutionTimeInstance = new Chart(document.getElementById("chart-resolution-time").getContext("2d"), {
+    type: 'bar',
+    data: {
+      labels: destSectors,
+      datasets: [
+        { label: 'Início - média (h)', data: durationsBySector.map(d => toChartHours(d.start.avg)), backgroundColor: 'rgba(56, 189, 248, 0.6)', borderColor: '#38bdf8', borderWidth: 1 },
+        { label: 'Início - mediana (h)', data: durationsBySector.map(d => toChartHours(d.start.median)), backgroundColor: 'rgba(56, 189, 248, 0.25)', borderColor: '#38bdf8', borderWidth: 1 },
+        { label: 'Resolução - média (h)', data: durationsBySector.map(d => toChartHours(d.resolve.avg)), backgroundColor: 'rgba(52, 211, 153, 0.6)', borderColor: '#34d399', borderWidth: 1 },
+        { label: 'Resolução - mediana (h)', data: durationsBySector.map(d => toChartHours(d.resolve.median)), backgroundColor: 'rgba(52, 211, 153, 0.25)', borderColor: '#34d399', borderWidth: 1 }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: chartTextColor, font: { family: 'Inter' } } },
+        tooltip: {
+          callbacks: {
+            label: ctx => {
+              const d = durationsBySector[ctx.dataIndex][ctx.datasetIndex < 2 ? 'start' : 'resolve'];
+              return `${ctx.dataset.label}: ${formatDurationHours(ctx.raw)} (${d.count} chamado(s))`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: { grid: { color: gridColor }, ticks: { color: chartTextColor } },
+        y: { grid: { color: gridColor }, ticks: { color: chartTextColor } }
+      }
+    }
+  });
+
+  // --- Envelhecimento do backlog: chamados não concluídos por idade (situação atual) ---
+  const now = Date.now();
+  const openTickets = sectorTickets.filter(t => t.status !== 'concluido');
+  const openStatuses = ['aberto', 'andamento', 'devolvido'];
+
+  chartBacklogAgingInstance = new Chart(document.getElementById("chart-backlog-aging").getContext("2d"), {
+    type: 'bar',
+    data: {
+      labels: BACKLOG_AGE_BUCKETS.map(b => b.label),
+      datasets: openStatuses.map(status => ({
+        label: TICKET_STATUS_LABELS[status],
+        data: BACKLOG_AGE_BUCKETS.map(b => openTickets.filter(t => {
+          const age = (now - new Date(t.createdDate)) / 3600000;
+          return t.status === status && age >= b.min && age < b.max;
+        }).length),
+        backgroundColor: hexToRgba(TICKET_STATUS_CHART_COLORS[status], 0.6),
+        borderColor: TICKET_STATUS_CHART_COLORS[status],
+        borderWidth: 1
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: chartTextColor, font: { family: 'Inter' } } }
+      },
+      scales: {
+        x: { stacked: true, grid: { color: gridColor }, ticks: { color: chartTextColor } },
+        y: { stacked: true, grid: { color: gridColor }, ticks: { color: chartTextColor, stepSize: 1 } }
+      }
+    }
+  });
+
+  // --- Fluxo cumulativo: quantos chamados estavam em cada status ao fim de cada intervalo ---
+  const buckets = buildTimeBuckets(chartRange, bucket);
+  const flowStatuses = ['concluido', 'devolvido', 'andamento', 'aberto'];
+  const snapshots = buckets.map(b => {
+    const time = Math.min(b.end.getTime(), now);
+    const counts = { aberto: 0, andamento: 0, devolvido: 0, concluido: 0 };
+    sectorTickets.forEach(ticket => {
+      const status = getTicketStatusAt(ticket, time);
+      if (status) counts[status]++;
+    });
+    return counts;
+  });
+
+  chartCumulativeFlowInstance = new Chart(document.getElementById("chart-cumulative-flow").getContext("2d"), {
+    type: 'line',
+    data: {
+      labels: buckets.map(b => b.label),
+      datasets: flowStatuses.map((status, index) => ({
+        label: TICKET_STATUS_LABELS[status],
+        data: snapshots.map(counts => counts[status]),
+        fill: index === 0 ? 'origin' : '-1',
+        backgroundColor: hexToRgba(TICKET_STATUS_CHART_COLORS[status], 0.35),
+        borderColor: TICKET_STATUS_CHART_COLORS[status],
+        borderWidth: 1,
+        pointRadius: 0,
+        tension: 0.2
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: chartTextColor, font: { family: 'Inter' } } }
+      },
+      scales: {
+        x: { grid: { display: false }, ticks: { color: chartTextColor } },
+        y: { stacked: true, grid: { color: gridColor }, ticks: { color: chartTextColor, stepSize: 1 } }
+      }
+    }
+  });
+
+  renderReturnRateMatrix(tickets);
 }
 
-// ================= DASHBOARDS & BI (CHART.JS) =================
 function renderBICharts() {
-  const tickets = JSON.parse(localStorage.getItem("rocket_tickets")) || [];
-  const sales = JSON.parse(localStorage.getItem("rocket_sales")) || [];
+  renderBiFilterOptions();
+  const range = getBiDateRange();
+  const canViewSales = can("sales.view");
+  const sales = canViewSales ? loadCollection("sales") : [];
+
+  // Chamados do setor filtrado; os gráficos por setor e o SLA consideram os abertos dentro do período
+  const sectorTickets = getVisibleTickets().filter(t => matchesBiSector(t));
+  const tickets = sectorTickets.filter(t => isInBiRange(t.createdDate, range));
+  const chartRange = resolveBiChartRange(range, tickets, sales);
+
+  document.getElementById("bi-filter-summary").textContent =
+    `${range.start ? formatBiRange(range) : "Todo o histórico"}` +
+    (range.previous ? ` · comparado a ${formatBiRange(range.previous)}` : "") +
+    (biFilters.sector ? ` · chamados com origem ou destino em ${biFilters.sector}` : "");
+
+  // KPIs de BI: resolvidos, devolvidos e vendas fechadas dentro do período, comparados ao período anterior
+  const kpis = computeBiKpis(sectorTickets, sales, range);
+  const previousKpis = range.previous ? computeBiKpis(sectorTickets, sales, range.previous) : null;
 
-  // KPIs de BI
-  const completedCount = tickets.filter(t => t.status === 'concluido').length;
-  const returnedCount = tickets.filter(t => t.status === 'devolvido').length;
-  
-  const salesWon = sales.filter(s => s.status === 'ganho');
-  const salesReturned = sales.filter(s => s.status === 'devolvido');
-  const totalSalesCount = sales.length;
   // Conversão de vendas = (ganhas / total de leads processados terminados)
-  const totalFinalizedSales = salesWon.length + salesReturned.length;
-  const salesConversion = totalFinalizedSales > 0 ? ((salesWon.length / totalFinalizedSales) * 100).toFixed(1) : "0.0";
+  document.getElementById("bi-conversion-rate").textContent = `${kpis.conversion === null ? "0.0" : kpis.conversion.toFixed(1)}%`;
+  document.getElementById("bi-conversion-card").style.display = canViewSales ? "" : "none";
+  document.getElementById("chart-sales-trend-card").style.display = canViewSales ? "" : "none";
+  document.getElementById("bi-resolved-count").textContent = kpis.resolved;
+  document.getElementById("bi-returned-count").textContent = kpis.returned;
+
+  renderBiDelta("bi-conversion-delta", kpis.conversion, previousKpis && { value: previousKpis.conversion }, {
+    percentagePoints: true,
+    format: value => `${value.toFixed(1)}%`
+  });
+  renderBiDelta("bi-resolved-delta", kpis.resolved, previousKpis && { value: previousKpis.resolved });
+  renderBiDelta("bi-returned-delta", kpis.returned, previousKpis && { value: previousKpis.returned }, { higherIsBetter: false });
+
+  const resolution = computeTicketDurations(sectorTickets, range).resolve;
+  const previousResolution = range.previous ? computeTicketDurations(sectorTickets, range.previous).resolve : null;
+  document.getElementById("bi-avg-resolution").textContent = formatDurationHours(resolution.avg);
+  renderBiDelta("bi-avg-resolution-delta", resolution.avg, previousResolution && { value: previousResolution.avg }, {
+    higherIsBetter: false,
+    format: formatDurationHours
+  });
+
+  // KPIs de SLA (chamados cujo prazo de resolução já foi decidido: concluídos ou vencidos)
+  const now = Date.now();
+  const slaByTicket = tickets.map(t => ({ ticket: t, sla: computeTicketSlaStatus(t, now) }));
+  const resolutionDecided = slaByTicket.filter(x => ['cumprido', 'cumprido_atraso', 'violado'].includes(x.sla.resolution.state));
+  const resolutionMet = resolutionDecided.filter(x => x.sla.resolution.state === 'cumprido');
+  const slaCompliance = resolutionDecided.length > 0 ? Math.round((resolutionMet.length / resolutionDecided.length) * 100) : 100;
+  const breachedCount = slaByTicket.filter(x => getWorstSlaState(x.sla) === 'violado' && x.ticket.status !== 'concluido').length;
+  const atRiskCount = slaByTicket.filter(x => getWorstSlaState(x.sla) === 'em_risco').length;
 
-  document.getElementById("bi-conversion-rate").textContent = `${salesConversion}%`;
-  document.getElementById("bi-resolved-count").textContent = completedCount;
-  document.getElementById("bi-returned-count").textContent = returnedCount;
+  document.getElementById("bi-sla-compliance").textContent = `${slaCompliance}%`;
+  document.getElementById("bi-sla-compliance-detail").textContent = `${resolutionMet.length} de ${resolutionDecided.length} chamados`;
+  document.getElementById("bi-sla-breached-count").textContent = breachedCount;
+  document.getElementById("bi-sla-at-risk-detail").textContent = `${atRiskCount} em risco`;
+
+  renderSlaPolicyEditor();
 
   // --- Destruir gráficos antigos se existirem ---
   if (chartSectorDestInstance) chartSectorDestInstance.destroy();
   if (chartFlowIOInstance) chartFlowIOInstance.destroy();
   if (chartSalesTrendInstance) chartSalesTrendInstance.destroy();
+  if (chartSlaComplianceInstance) chartSlaComplianceInstance.destroy();
 
   // --- Gráfico 1: Volume de Chamados por Setor Destino (Pizza/Doughnut) ---
-  const sectors = ["Vendas", "Admin/Financeiro", "TI", "Marketing"];
+  const sectors = getSectorNames();
   const sectorDestCounts = sectors.map(sec => tickets.filter(t => t.destSector === sec).length);
 
   const ctxSector = document.getElementById("chart-sector-dest").getContext("2d");
@@ -641,12 +6835,7 @@ function renderBICharts() {
       labels: sectors,
       datasets: [{
         data: sectorDestCounts,
-        backgroundColor: [
-          'rgba(255, 210, 0, 0.75)',  // Yellow Primary
-          'rgba(255, 255, 255, 0.75)', // White
-          'rgba(56, 189, 248, 0.75)',  // Blue
-          'rgba(248, 113, 113, 0.75)'  // Red/Coral
-        ],
+        backgroundColor: sectors.map(sec => hexToRgba(getSectorColor(sec), 0.75)),
         borderColor: '#121216',
         borderWidth: 2,
         hoverOffset: 6
@@ -703,37 +6892,49 @@ function renderBICharts() {
     }
   });
 
-  // --- Gráfico 3: Desempenho Financeiro de Vendas (Line Area Chart) ---
-  // Agrupa valores acumulados de vendas por data nos últimos 7 dias/vendas
-  const sortedSales = [...sales].sort((a, b) => new Date(a.date) - new Date(b.date));
-  const salesLabels = sortedSales.map(s => formatDateString(s.date));
-  
-  // Valores acumulados de vendas concluidas (ganhas)
+  // --- Gráfico 3: Desempenho Financeiro de Vendas (barras por intervalo + linha acumulada) ---
+  // Vendas ganhas somadas por dia/semana/mês conforme o agrupamento escolhido
+  const bucket = resolveBiBucket(chartRange);
+  const buckets = buildTimeBuckets(chartRange, bucket);
+  const wonSales = sales.filter(s => s.status === 'ganho');
+  const salesPerBucket = buckets.map(b => wonSales
+    .filter(s => isInBiRange(getSaleClosedAt(s), b))
+    .reduce((sum, s) => sum + s.value, 0));
+
   let runningSum = 0;
-  const salesTrendValues = sortedSales.map(s => {
-    if (s.status === 'ganho') {
-      runningSum += s.value;
-    }
+  const salesTrendValues = salesPerBucket.map(value => {
+    runningSum += value;
     return runningSum;
   });
+  document.getElementById("chart-sales-trend-bucket").textContent = BI_BUCKETS[bucket];
 
   const ctxSales = document.getElementById("chart-sales-trend").getContext("2d");
   chartSalesTrendInstance = new Chart(ctxSales, {
-    type: 'line',
+    type: 'bar',
     data: {
-      labels: salesLabels,
-      datasets: [{
-        label: 'Faturamento Acumulado (R$)',
-        data: salesTrendValues,
-        fill: true,
-        backgroundColor: 'rgba(255, 210, 0, 0.12)',
-        borderColor: '#FFD200',
-        borderWidth: 2,
-        tension: 0.35,
-        pointBackgroundColor: '#FFD200',
-        pointBorderColor: '#0a0a0c',
-        pointHoverRadius: 6
-      }]
+      labels: buckets.map(b => b.label),
+      datasets: [
+        {
+          type: 'line',
+          label: 'Faturamento Acumulado no Período (R$)',
+          data: salesTrendValues,
+          fill: true,
+          backgroundColor: 'rgba(255, 210, 0, 0.12)',
+          borderColor: '#FFD200',
+          borderWidth: 2,
+          tension: 0.35,
+          pointBackgroundColor: '#FFD200',
+          pointBorderColor: '#0a0a0c',
+          pointHoverRadius: 6
+        },
+        {
+          label: 'Faturamento no Intervalo (R$)',
+          data: salesPerBucket,
+          backgroundColor: 'rgba(255, 255, 255, 0.25)',
+          borderColor: 'rgba(255, 255, 255, 0.6)',
+          borderWidth: 1
+        }
+      ]
     },
     options: {
       responsive: true,
@@ -747,6 +6948,195 @@ function renderBICharts() {
       }
     }
   });
+
+  // --- Gráfico 4: Cumprimento de SLA por Setor Destino (Bar) ---
+  const complianceBySector = (sector, target) => {
+    const decided = slaByTicket.filter(x => x.ticket.destSector === sector &&
+      ['cumprido', 'cumprido_atraso', 'violado'].includes(x.sla[target].state));
+    if (decided.length === 0) return null;
+    const met = decided.filter(x => x.sla[target].state === 'cumprido').length;
+    return Math.round((met / decided.length) * 100);
+  };
+
+  const ctxSla = document.getElementById("chart-sla-compliance").getContext("2d");
+  chartSlaComplianceInstance = new Chart(ctxSla, {
+    type: 'bar',
+    data: {
+      labels: sectors,
+      datasets: [
+        {
+          label: '1ª Resposta no Prazo (%)',
+          data: sectors.map(sec => complianceBySector(sec, 'firstResponse')),
+          backgroundColor: 'rgba(56, 189, 248, 0.6)',
+          borderColor: '#38bdf8',
+          borderWidth: 1
+        },
+        {
+          label: 'Resolução no Prazo (%)',
+          data: sectors.map(sec => complianceBySector(sec, 'resolution')),
+          backgroundColor: 'rgba(52, 211, 153, 0.6)',
+          borderColor: '#34d399',
+          borderWidth: 1
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { labels: { color: '#a0a0ab', font: { family: 'Inter' } } }
+      },
+      scales: {
+        x: { grid: { color: 'rgba(255,255,255,0.05)' }, ticks: { color: '#a0a0ab' } },
+        y: { min: 0, max: 100, grid: { color: 'rgba(255,255,255,0.05)' }, ticks: { color: '#a0a0ab' } }
+      }
+    }
+  });
+
+  // --- Métricas operacionais: tempos, devoluções, envelhecimento e fluxo cumulativo ---
+  renderOperationalMetrics(tickets, sectorTickets, range, chartRange, bucket);
+}
+
+// ================= MARKDOWN, MENÇÕES E REFERÊNCIAS =================
+// Descrições e comentários aceitam um Markdown enxuto. O texto é escapado ANTES de qualquer marcação,
+// então só as tags geradas aqui chegam ao HTML; links aceitam apenas http(s) e mailto.
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*)/g;
+const RECORD_REFERENCE_PATTERN = /\b(CH|VD)-(\d{3,})\b/g;
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+// Matrículas de usuários existentes citadas no texto (sem repetição)
+function extractMentions(text, users = loadCollection("users")) {
+  const known = new Set(users.map(u => u.matricula));
+  const found = [];
+  String(text || "").replace(MENTION_PATTERN, (match, before, matricula) => {
+    if (known.has(matricula) && !found.includes(matricula)) found.push(matricula);
+    return match;
+  });
+  return found;
+}
+
+// Todos os usuários citados na descrição e nos comentários do chamado
+function getTicketMentions(ticket) {
+  return (ticket.mentions || []).concat(...(ticket.comments || []).map(c => c.mentions || []));
+}
+
+function renderMarkdownInline(escaped, context) {
+  const tokens = [];
+  const keep = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let out = escaped
+    .replace(/`([^`]+)`/g, (m, code) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => SAFE_LINK_PATTERN.test(url)
+      ? keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`)
+      : m)
+    .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,;:!?)]/g, url => keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`))
+    .replace(RECORD_REFERENCE_PATTERN, ref => keep(`<a href="#" class="md-ref" data-action="open" data-id="${ref}">${ref}</a>`))
+    .replace(MENTION_PATTERN, (m, before, matricula) => {
+      const user = context.usersByMatricula[matricula];
+      return user
+        ? before + keep(`<span class="md-mention" title="Matrícula ${escapeHTML(user.matricula)}">@${escapeHTML(user.name)}</span>`)
+        : m;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*/g, "$1<em>$2</em>")
+    .replace(/(^|[^_\w])_([^_\s][^_]*)_(?!\w)/g, "$1<em>$2</em>");
+
+  return out.replace(/\u0000(\d+)\u0000/g, (m, index) => tokens[index]);
+}
+
+// Blocos: ```código```, títulos (#), listas (- ou 1.), citações (>) e parágrafos
+function renderMarkdown(text) {
+  const users = loadCollection("users");
+  const context = { usersByMatricula: Object.fromEntries(users.map(u => [u.matricula, u])) };
+  const lines = escapeHTML(String(text || "")).split(/\r?\n/);
+  const html = [];
+  let i = 0;
+
+  const inline = line => renderMarkdownInline(line, context);
+  const collect = pattern => {
+    const items = [];
+    while (i < lines.length && pattern.test(lines[i])) {
+      items.push(lines[i].replace(pattern, ""));
+      i++;
+    }
+    return items;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++;
+      html.push(`<pre class="md-code"><code>${code.join("\n")}</code></pre>`);
+    } else if (/^#{1,3}\s/.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      html.push(`<${level === 1 ? "h5" : "h6"} class="md-heading">${inline(line.replace(/^#+\s+/, ""))}</${level === 1 ? "h5" : "h6"}>`);
+      i++;
+    } else if (/^\s*[-*]\s+/.test(line)) {
+      html.push(`<ul>${collect(/^\s*[-*]\s+/).map(item => `<li>${inline(item)}</li>`).join("")}</ul>`);
+    } else if (/^\s*\d+[.)]\s+/.test(line)) {
+      html.push(`<ol>${collect(/^\s*\d+[.)]\s+/).map(item => `<li>${inline(item)}</li>`).join("")}</ol>`);
+    } else if (/^&gt;\s?/.test(line)) {
+      html.push(`<blockquote>${collect(/^&gt;\s?/).map(inline).join("<br>")}</blockquote>`);
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !/^(```|#{1,3}\s|\s*[-*]\s+|\s*\d+[.)]\s+|&gt;)/.test(lines[i])) {
+        paragraph.push(inline(lines[i++]));
+      }
+      html.push(`<p>${paragraph.join("<br>")}</p>`);
+    }
+  }
+
+  return html.join("");
+}
+
+// Links CH-123 e VD-004 do texto abrem o chamado ou a oportunidade citada
+function openRecordReference(ref) {
+  if (ref.startsWith("CH-")) {
+    if (!loadCollection("tickets").some(t => t.id === ref)) {
+      showToast("error", `Chamado ${ref} não encontrado.`);
+      return;
+    }
+    if (ref !== currentSelectedTicketId) openTicketModal(ref);
+    return;
+  }
+
+  if (!loadCollection("sales").some(s => s.id === ref)) {
+    showToast("error", `Oportunidade ${ref} não encontrada.`);
+    return;
+  }
+  if (!can("sales.view")) {
+    showToast("error", "Você não tem acesso ao pipeline de vendas.");
+    return;
+  }
+  closeTicketModal();
+  openSaleModal(ref);
+}
+
+// Chamar depois de inserir o HTML de renderMarkdown: liga os links CH-/VD- a openRecordReference
+function bindMarkdownLinks(container) {
+  bindListActions(container, { open: openRecordReference });
+}
+
+// Alterna o editor entre o texto e a prévia renderizada
+function setMarkdownPreview(textareaId, showPreview) {
+  const textarea = document.getElementById(textareaId);
+  const preview = document.getElementById(`${textareaId}-preview`);
+  const tabs = document.querySelectorAll(`[data-md-target="${textareaId}"]`);
+
+  tabs.forEach(tab => tab.classList.toggle("active", (tab.dataset.mdMode === "preview") === showPreview));
+  if (showPreview) {
+    preview.innerHTML = textarea.value.trim() ? renderMarkdown(textarea.value) : `<p class="md-preview-empty">Nada para visualizar.</p>`;
+    bindMarkdownLinks(preview);
+    preview.style.minHeight = `${textarea.offsetHeight}px`;
+  }
+  textarea.style.display = showPreview ? "none" : "";
+  preview.style.display = showPreview ? "" : "none";
 }
 
 // ================= FUNÇÕES AUXILIARES =================
@@ -759,6 +7149,39 @@ function formatDateString(dateStr) {
   return `${day}/${month}`;
 }
 
+// "2026-03-15" (campo de data) → "15/03/2026"
+function formatDateOnly(value) {
+  const [year, month, day] = value.split("-");
+  return `${day}/${month}/${year}`;
+}
+
+function getInitials(name) {
+  return name.split(" ").filter(Boolean).map(n => n[0]).join("").substring(0, 2).toUpperCase();
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+}
+
+function formatHours(hours) {
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours >= 24 && hours % 24 === 0) return `${hours / 24} dia(s)`;
+  return `${Number.isInteger(hours) ? hours : hours.toFixed(1)}h`;
+}
+
+function formatDateTime(isoStr) {
+  const dateObj = new Date(isoStr);
+  return dateObj.toLocaleDateString('pt-BR') + ' às ' + dateObj.toLocaleTimeString('pt-BR', {hour: '2-digit', minute:'2-digit'});
+}
+
+// Gera identificadores locais únicos para registros auxiliares (eventos, comentários...)
+function generateLocalId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
 function escapeHTML(str) {
   return str.replace(/[&<>'"]/g, 
     tag => ({
@@ -770,3 +7193,15 @@ function escapeHTML(str) {
     }[tag] || tag)
   );
 }
+
+// Liga os controles de uma lista montada com innerHTML às suas ações sem gerar JavaScript com dados dos registros
+// (escapeHTML não protege texto dentro de onclick="...('...')"): data-action="nome" chama actions.nome(data-id, elemento)
+function bindListActions(container, actions) {
+  container.querySelectorAll("[data-action]").forEach(el => {
+    const eventName = el.tagName === "SELECT" || el.type === "checkbox" ? "change" : "click";
+    el.addEventListener(eventName, event => {
+      if (el.tagName === "A") event.preventDefault();
+      actions[el.dataset.action](el.dataset.id, el);
+    });
+  });
+}
@@ -0,0 +1,177 @@
+// Gráficos em SVG puro para o relatório (sem Chart.js nem navegador, para rodar em qualquer cron)
+const WIDTH = 560;
+const HEIGHT = 280;
+const PADDING = { top: 40, right: 16, bottom: 36, left: 56 };
+const GRID_LINES = 4;
+const TEXT_COLOR = "#55555f";
+const GRID_COLOR = "#e4e4ea";
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.replace("#", ""), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Topo do eixo com linhas de grade em passos redondos (1, 2 ou 5 × 10^n)
+function niceMax(value) {
+  if (!value || value <= 0) return GRID_LINES;
+  const rawStep = value / GRID_LINES;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const step = [1, 2, 5, 10].find(m => m * magnitude >= rawStep) * magnitude;
+  return step * GRID_LINES;
+}
+
+function formatTick(value) {
+  if (Math.abs(value) >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(value % 1000 === 0 ? 0 : 1)}k`;
+  return String(Math.round(value * 10) / 10);
+}
+
+function svg(content, title) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeXml(title)}" font-family="Inter, Arial, sans-serif" font-size="11">${content}</svg>`;
+}
+
+function renderLegend(items) {
+  let x = PADDING.left;
+  return items.map(item => {
+    const entry = `<rect x="${x}" y="12" width="12" height="12" rx="2" fill="${item.fill}" stroke="${item.color}"/>` +
+      `<text x="${x + 18}" y="22" fill="${TEXT_COLOR}">${escapeXml(item.label)}</text>`;
+    x += 30 + item.label.length * 6;
+    return entry;
+  }).join("");
+}
+
+function renderEmpty(title) {
+  return svg(`<text x="${WIDTH / 2}" y="${HEIGHT / 2}" text-anchor="middle" fill="${TEXT_COLOR}">Sem dados no período</text>`, title);
+}
+
+// Eixos, grade e rótulos do eixo X comuns a barras e áreas
+function renderAxes(labels, max, yFormat) {
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = (WIDTH - PADDING.left - PADDING.right) / labels.length;
+  let out = "";
+
+  for (let i = 0; i <= GRID_LINES; i++) {
+    const value = (max / GRID_LINES) * i;
+    const y = PADDING.top + plotHeight - (plotHeight * i) / GRID_LINES;
+    out += `<line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y}" y2="${y}" stroke="${GRID_COLOR}"/>`;
+    out += `<text x="${PADDING.left - 6}" y="${y + 4}" text-anchor="end" fill="${TEXT_COLOR}">${escapeXml((yFormat || formatTick)(value))}</text>`;
+  }
+
+  // Com muitos intervalos, mostra só parte dos rótulos para não sobrepor
+  const every = Math.ceil(labels.length / 12);
+  labels.forEach((label, index) => {
+    if (index % every !== 0) return;
+    const x = PADDING.left + slot * index + slot / 2;
+    out += `<text x="${x}" y="${HEIGHT - PADDING.bottom + 16}" text-anchor="middle" fill="${TEXT_COLOR}">${escapeXml(label)}</text>`;
+  });
+  return out;
+}
+
+// Barras agrupadas (ou empilhadas) com uma linha opcional sobre o mesmo eixo
+function barChart({ title, labels, series, stacked, line, yMax, yFormat }) {
+  const values = series.map(s => s.data);
+  const totals = labels.map((_, i) => stacked
+    ? values.reduce((sum, data) => sum + (data[i] || 0), 0)
+    : Math.max(0, ...values.map(data => data[i] || 0)));
+  const lineMax = line ? Math.max(0, ...line.data) : 0;
+  const rawMax = Math.max(...totals, lineMax);
+  if (labels.length === 0 || rawMax === 0) return renderEmpty(title);
+
+  const max = yMax || niceMax(rawMax);
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = (WIDTH - PADDING.left - PADDING.right) / labels.length;
+  const groupWidth = slot * 0.7;
+  const barWidth = stacked ? groupWidth : groupWidth / series.length;
+  const scale = value => (value / max) * plotHeight;
+  let bars = "";
+
+  labels.forEach((label, i) => {
+    const groupX = PADDING.left + slot * i + (slot - groupWidth) / 2;
+    let stackBase = PADDING.top + plotHeight;
+    series.forEach((s, index) => {
+      const value = s.data[i];
+      if (value === null || value === undefined || value === 0) return;
+      const height = scale(value);
+      const x = stacked ? groupX : groupX + barWidth * index;
+      const y = stacked ? stackBase - height : PADDING.top + plotHeight - height;
+      if (stacked) stackBase -= height;
+      bars += `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${Math.max(barWidth - 1, 1).toFixed(1)}" height="${height.toFixed(1)}" fill="${hexToRgba(s.color, 0.6)}" stroke="${s.color}"><title>${escapeXml(`${label} · ${s.label}: ${(yFormat || formatTick)(value)}`)}</title></rect>`;
+    });
+  });
+
+  let lineSvg = "";
+  if (line) {
+    const points = line.data.map((value, i) => `${(PADDING.left + slot * i + slot / 2).toFixed(1)},${(PADDING.top + plotHeight - scale(value)).toFixed(1)}`);
+    lineSvg = `<polyline points="${points.join(" ")}" fill="none" stroke="${line.color}" stroke-width="2"/>` +
+      points.map(point => `<circle cx="${point.split(",")[0]}" cy="${point.split(",")[1]}" r="3" fill="${line.color}"/>`).join("");
+  }
+
+  const legend = renderLegend(series.map(s => ({ label: s.label, color: s.color, fill: hexToRgba(s.color, 0.6) }))
+    .concat(line ? [{ label: line.label, color: line.color, fill: line.color }] : []));
+  return svg(legend + renderAxes(labels, max, yFormat) + bars + lineSvg, title);
+}
+
+// Áreas empilhadas (a primeira série fica na base)
+function stackedAreaChart({ title, labels, series }) {
+  const totals = labels.map((_, i) => series.reduce((sum, s) => sum + s.data[i], 0));
+  if (labels.length === 0 || Math.max(...totals) === 0) return renderEmpty(title);
+
+  const max = niceMax(Math.max(...totals));
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = (WIDTH - PADDING.left - PADDING.right) / labels.length;
+  const x = i => (PADDING.left + slot * i + slot / 2).toFixed(1);
+  const y = value => (PADDING.top + plotHeight - (value / max) * plotHeight).toFixed(1);
+
+  const base = labels.map(() => 0);
+  const areas = series.map(s => {
+    const top = base.map((value, i) => value + s.data[i]);
+    const upper = top.map((value, i) => `${x(i)},${y(value)}`);
+    const lower = base.map((value, i) => `${x(i)},${y(value)}`).reverse();
+    top.forEach((value, i) => { base[i] = value; });
+    return `<polygon points="${upper.concat(lower).join(" ")}" fill="${hexToRgba(s.color, 0.35)}" stroke="${s.color}"/>`;
+  }).join("");
+
+  const legend = renderLegend(series.map(s => ({ label: s.label, color: s.color, fill: hexToRgba(s.color, 0.35) })));
+  return svg(legend + renderAxes(labels, max) + areas, title);
+}
+
+function doughnutChart({ title, labels, colors, data }) {
+  const total = data.reduce((sum, value) => sum + value, 0);
+  if (total === 0) return renderEmpty(title);
+
+  const cx = 150;
+  const cy = HEIGHT / 2;
+  const outer = 110;
+  const inner = 62;
+  const point = (radius, angle) => `${(cx + radius * Math.sin(angle)).toFixed(2)},${(cy - radius * Math.cos(angle)).toFixed(2)}`;
+  let angle = 0;
+  let slices = "";
+
+  data.forEach((value, i) => {
+    if (value === 0) return;
+    // Uma fatia de 360° não forma arco no SVG; fica um pouco aquém para fechar o anel
+    const sweep = Math.min((value / total) * Math.PI * 2, Math.PI * 2 - 0.0001);
+    const large = sweep > Math.PI ? 1 : 0;
+    const end = angle + sweep;
+    slices += `<path d="M${point(outer, angle)} A${outer},${outer} 0 ${large} 1 ${point(outer, end)} L${point(inner, end)} A${inner},${inner} 0 ${large} 0 ${point(inner, angle)} Z" fill="${hexToRgba(colors[i], 0.75)}" stroke="#55555f" stroke-width="1"><title>${escapeXml(`${labels[i]}: ${value}`)}</title></path>`;
+    angle = end;
+  });
+
+  const legend = labels.map((label, i) => {
+    const y = 60 + i * 22;
+    return `<rect x="300" y="${y - 10}" width="12" height="12" rx="2" fill="${hexToRgba(colors[i], 0.75)}" stroke="#55555f"/>` +
+      `<text x="318" y="${y}" fill="${TEXT_COLOR}">${escapeXml(`${label} (${data[i]})`)}</text>`;
+  }).join("");
+
+  return svg(slices + `<text x="${cx}" y="${cy + 5}" text-anchor="middle" font-size="16" font-weight="600" fill="#121216">${total}</text>` + legend, title);
+}
+
+module.exports = { barChart, stackedAreaChart, doughnutChart, hexToRgba, escapeXml };
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Relatório gerencial automático do SISMV: lê chamados e vendas (backup ou servidor) e grava HTML/PDF
+// Uso: node auto-reporter/index.js --backup sismv-backup.json [opções]
+//      node auto-reporter/index.js --api http://localhost:3000/api --schedule "0 8 * * 1" [opções]
+// Variáveis opcionais: REPORT_API_URL, REPORT_API_TOKEN, REPORT_OUTPUT_DIR, REPORT_SCHEDULE, CHROME_PATH
+const fs = require("fs");
+const path = require("path");
+const { loadReportData } = require("./source");
+const { buildReportModel, REPORT_PERIODS } = require("./metrics");
+const { renderReportHtml, writeReportPdf } = require("./report");
+const { parseSchedule, getNextRun } = require("./schedule");
+
+// setTimeout aceita no máximo ~24,8 dias; esperas maiores são feitas em etapas
+const MAX_TIMER_MS = 2147483647;
+
+const USAGE = `Relatório gerencial do SISMV
+
+Fonte dos dados (uma delas):
+  --backup <arquivo>     Backup JSON exportado pelo portal (Backup e Restauração)
+  --api <url>            API do servidor SISMV, ex.: http://localhost:3000/api (REPORT_API_URL)
+  --token <token>        Sessão de um administrador na API, emitida por POST /api/session (REPORT_API_TOKEN)
+
+Opções:
+  --out <pasta>          Pasta de saída (REPORT_OUTPUT_DIR; padrão: ./relatorios)
+  --period <semana|mes>  Último período completo a relatar (padrão: semana)
+  --sector <nome>        Apenas chamados com origem ou destino no setor
+  --pdf                  Gera também o PDF (requer Chrome/Chromium)
+  --chrome <caminho>     Navegador usado no PDF (CHROME_PATH)
+  --schedule "<cron>"    Continua rodando e gera a cada ocorrência, ex.: "0 8 * * 1" ou @weekly (REPORT_SCHEDULE)
+  --help                 Mostra esta ajuda
+`;
+
+// ================= ARGUMENTOS =================
+const FLAGS = ["pdf", "help"];
+const VALUE_OPTIONS = ["backup", "api", "token", "out", "period", "sector", "chrome", "schedule"];
+
+function parseArgs(argv) {
+  const options = {
+    api: process.env.REPORT_API_URL || null,
+    token: process.env.REPORT_API_TOKEN || null,
+    out: process.env.REPORT_OUTPUT_DIR || "relatorios",
+    period: "semana",
+    chrome: process.env.CHROME_PATH || null,
+    schedule: process.env.REPORT_SCHEDULE || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      if (argv[i + 1] === undefined) throw new Error(`Informe um valor para --${name}.`);
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Opção desconhecida: ${argv[i]}`);
+    }
+  }
+
+  if (options.help) return options;
+  if (!options.backup && !options.api) throw new Error("Informe a fonte dos dados: --backup <arquivo> ou --api <url>.");
+  if (!REPORT_PERIODS[options.period]) throw new Error(`Período inválido: ${options.period} (use semana ou mes).`);
+  return options;
+}
+
+// ================= GERAÇÃO =================
+function getReportBaseName(model) {
+  const start = model.range.start;
+  const stamp = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, "0")}-${String(start.getDate()).padStart(2, "0")}`;
+  const sector = model.sector ? `-${model.sector.toLowerCase().replace(/[^a-z0-9]+/g, "-")}` : "";
+  return `relatorio-${model.period === "mes" ? "mensal" : "semanal"}-${stamp}${sector}`;
+}
+
+async function generateReport(options) {
+  const data = await loadReportData(options);
+  const model = buildReportModel(data, { period: options.period, sector: options.sector });
+
+  fs.mkdirSync(options.out, { recursive: true });
+  const baseName = getReportBaseName(model);
+  const htmlPath = path.resolve(options.out, `${baseName}.html`);
+  fs.writeFileSync(htmlPath, renderReportHtml(model));
+  console.log(`[relatório] ${htmlPath}`);
+
+  if (options.pdf) {
+    const pdfPath = path.resolve(options.out, `${baseName}.pdf`);
+    await writeReportPdf(htmlPath, pdfPath, options.chrome);
+    console.log(`[relatório] ${pdfPath}`);
+  }
+}
+
+// ================= AGENDAMENTO =================
+function waitUntil(date) {
+  return new Promise(resolve => {
+    const tick = () => {
+      const remaining = date.getTime() - Date.now();
+      if (remaining <= 0) return resolve();
+      setTimeout(tick, Math.min(remaining, MAX_TIMER_MS));
+    };
+    tick();
+  });
+}
+
+// Uma falha (servidor fora do ar, PDF) não interrompe as próximas execuções
+async function runScheduled(options) {
+  const schedule = parseSchedule(options.schedule);
+  for (;;) {
+    const nextRun = getNextRun(schedule, new Date());
+    console.log(`[relatório] Próxima geração em ${nextRun.toLocaleString("pt-BR")} (${schedule.expression})`);
+    await waitUntil(nextRun);
+    try {
+      await generateReport(options);
+    } catch (err) {
+      console.error(`[relatório] ${err.message}`);
+    }
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    if (options.schedule) {
+      await runScheduled(options);
+    } else {
+      await generateReport(options);
+    }
+  } catch (err) {
+    console.error(`[relatório] ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { generateReport, parseArgs };
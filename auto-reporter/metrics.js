@@ -0,0 +1,345 @@
+// Indicadores do relatório gerencial
+// As regras espelham as do painel de BI do portal (app.js: computeBiKpis, computeTicketDurations...), para que o
+// relatório e a tela mostrem os mesmos números; prioridades e SLA vêm do mesmo sla.js usado pelo portal.
+const { PRIORITY_LEVELS, mergeSlaPolicies, getTicketSlaStatus } = require("../sla");
+
+const DEFAULT_SECTORS = [
+  { name: "Vendas", color: "#FFD200", active: true },
+  { name: "Admin/Financeiro", color: "#FFFFFF", active: true },
+  { name: "TI", color: "#38BDF8", active: true },
+  { name: "Marketing", color: "#F87171", active: true }
+];
+
+const TICKET_STATUS_LABELS = {
+  aberto: "Processo Aberto",
+  andamento: "Em Andamento",
+  concluido: "Processo Concluído",
+  devolvido: "Processo Devolvido"
+};
+
+const REPORT_PERIODS = {
+  semana: "Semanal",
+  mes: "Mensal"
+};
+
+// Idade dos chamados em aberto, em horas: [mínimo, máximo)
+const BACKLOG_AGE_BUCKETS = [
+  { label: "< 1 dia", min: 0, max: 24 },
+  { label: "1–3 dias", min: 24, max: 72 },
+  { label: "3–7 dias", min: 72, max: 168 },
+  { label: "1–2 semanas", min: 168, max: 336 },
+  { label: "2–4 semanas", min: 336, max: 720 },
+  { label: "> 30 dias", min: 720, max: Infinity }
+];
+
+const TOP_RETURNED_LIMIT = 10;
+
+// ================= DATAS E PERÍODOS =================
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function addMonths(date, months) {
+  const d = new Date(date);
+  d.setMonth(d.getMonth() + months);
+  return d;
+}
+
+// Semanas começam na segunda-feira
+function startOfWeek(date) {
+  const d = startOfDay(date);
+  return addDays(d, -((d.getDay() + 6) % 7));
+}
+
+function startOfMonth(date) {
+  const d = startOfDay(date);
+  d.setDate(1);
+  return d;
+}
+
+// Último período completo antes de "now" ([start, end)) e o período anterior equivalente
+function getReportRange(period, now) {
+  if (period === "mes") {
+    const end = startOfMonth(now);
+    const start = addMonths(end, -1);
+    return { start, end, previous: { start: addMonths(start, -1), end: start } };
+  }
+
+  const end = startOfWeek(now);
+  const start = addDays(end, -7);
+  return { start, end, previous: { start: addDays(start, -7), end: start } };
+}
+
+function isInRange(iso, range) {
+  if (!iso) return false;
+  const time = new Date(iso).getTime();
+  return time >= range.start.getTime() && time < range.end.getTime();
+}
+
+// Intervalos diários no relatório semanal e semanais no mensal
+function buildTimeBuckets(range, period) {
+  const buckets = [];
+  const step = period === "mes" ? 7 : 1;
+  for (let cursor = period === "mes" ? startOfWeek(range.start) : range.start; cursor < range.end; cursor = addDays(cursor, step)) {
+    const day = String(cursor.getDate()).padStart(2, "0");
+    const month = String(cursor.getMonth() + 1).padStart(2, "0");
+    buckets.push({ label: `${step === 7 ? "Sem. " : ""}${day}/${month}`, start: cursor, end: addDays(cursor, step) });
+  }
+  return buckets;
+}
+
+// ================= HISTÓRICO DOS REGISTROS =================
+// Chamados antigos (sem histórico) recebem os mesmos eventos sintéticos do portal: criação e, se devolvidos, a devolução
+function getTicketEvents(ticket) {
+  if (Array.isArray(ticket.events) && ticket.events.length > 0) {
+    return ticket.events;
+  }
+  const legacyEvents = [{ type: "criado", status: "aberto", timestamp: ticket.createdDate, note: null }];
+  if (ticket.status === "devolvido" && ticket.reasonDevolvido) {
+    legacyEvents.push({ type: "devolvido", status: "devolvido", timestamp: null, note: ticket.reasonDevolvido });
+  }
+  return legacyEvents;
+}
+
+function getLastEventTime(record, type) {
+  const events = (record.events || []).filter(ev => ev.type === type);
+  return events.length > 0 ? events[events.length - 1].timestamp : null;
+}
+
+function getTicketResolvedAt(ticket) {
+  if (ticket.status !== "concluido") return null;
+  return getLastEventTime(ticket, "concluido") || ticket.createdDate;
+}
+
+function getTicketStartedAt(ticket) {
+  const started = getTicketEvents(ticket).find(ev => ev.type === "iniciado");
+  return started ? started.timestamp : null;
+}
+
+function getSaleClosedAt(sale) {
+  if (sale.status !== "ganho" && sale.status !== "devolvido") return null;
+  return getLastEventTime(sale, sale.status) || `${sale.date}T12:00:00`;
+}
+
+function wasTicketReturned(ticket) {
+  return getTicketEvents(ticket).some(ev => ev.type === "devolvido");
+}
+
+// Status do chamado num instante, reconstruído pelo último evento até ali (null se ainda não existia)
+function getTicketStatusAt(ticket, time) {
+  let status = null;
+  getTicketEvents(ticket).forEach(ev => {
+    if (new Date(ev.timestamp).getTime() <= time) status = ev.status || status;
+  });
+  return status;
+}
+
+// ================= KPIs =================
+function hoursBetween(fromIso, toIso) {
+  return (new Date(toIso) - new Date(fromIso)) / 3600000;
+}
+
+function summarizeDurations(hours) {
+  if (hours.length === 0) return { count: 0, avg: null, median: null };
+  const sorted = [...hours].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    count: sorted.length,
+    avg: sorted.reduce((sum, h) => sum + h, 0) / sorted.length,
+    median: sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle]
+  };
+}
+
+function computeTicketDurations(tickets, range) {
+  const toStart = [];
+  const toResolve = [];
+  tickets.forEach(ticket => {
+    const startedAt = getTicketStartedAt(ticket);
+    if (isInRange(startedAt, range)) toStart.push(hoursBetween(ticket.createdDate, startedAt));
+
+    const resolvedAt = getTicketResolvedAt(ticket);
+    if (isInRange(resolvedAt, range)) toResolve.push(hoursBetween(ticket.createdDate, resolvedAt));
+  });
+  return { start: summarizeDurations(toStart), resolve: summarizeDurations(toResolve) };
+}
+
+function computeKpis(tickets, sales, range) {
+  const resolved = tickets.filter(t => isInRange(getTicketResolvedAt(t), range)).length;
+  const returned = tickets.filter(t => getTicketEvents(t).some(ev => ev.type === "devolvido" && isInRange(ev.timestamp, range))).length;
+  const created = tickets.filter(t => isInRange(t.createdDate, range)).length;
+
+  const closedSales = sales.filter(s => isInRange(getSaleClosedAt(s), range));
+  const wonSales = closedSales.filter(s => s.status === "ganho");
+  const conversion = closedSales.length > 0 ? (wonSales.length / closedSales.length) * 100 : null;
+  const revenue = wonSales.reduce((sum, s) => sum + (Number(s.value) || 0), 0);
+
+  return {
+    created,
+    resolved,
+    returned,
+    conversion,
+    revenue,
+    avgResolution: computeTicketDurations(tickets, range).resolve.avg
+  };
+}
+
+// ================= SLA =================
+function getTicketSla(ticket, policies, now) {
+  return getTicketSlaStatus(ticket, getTicketEvents(ticket), policies, now);
+}
+
+// Chamados em aberto com prazo estourado e chamados concluídos com atraso dentro do período
+function listSlaBreaches(tickets, policies, range, now) {
+  const breaches = [];
+  tickets.forEach(ticket => {
+    const sla = getTicketSla(ticket, policies, now);
+    const target = ["resolution", "firstResponse"].find(key =>
+      sla[key].state === "violado" || (sla[key].state === "cumprido_atraso" && isInRange(sla[key].metAt, range)));
+    if (!target) return;
+
+    const endTime = sla[target].metAt ? new Date(sla[target].metAt).getTime() : now;
+    breaches.push({
+      ticket: ticket,
+      target: target,
+      state: sla[target].state,
+      due: sla[target].due,
+      overdueHours: (endTime - new Date(sla[target].due).getTime()) / 3600000
+    });
+  });
+  return breaches.sort((a, b) => b.overdueHours - a.overdueHours);
+}
+
+// ================= MODELO DO RELATÓRIO =================
+function getSectors(settings) {
+  return Array.isArray(settings.sectors) && settings.sectors.length > 0 ? settings.sectors : DEFAULT_SECTORS;
+}
+
+function buildReportModel(data, options) {
+  const now = options.now || new Date();
+  const nowTime = now.getTime();
+  const period = REPORT_PERIODS[options.period] ? options.period : "semana";
+  const range = getReportRange(period, now);
+  const policies = mergeSlaPolicies(data.settings.sla_policies);
+  const sectors = getSectors(data.settings);
+  const sectorNames = sectors.map(s => s.name);
+
+  const sectorTickets = data.tickets.filter(t => !options.sector || t.originSector === options.sector || t.destSector === options.sector);
+  const tickets = sectorTickets.filter(t => isInRange(t.createdDate, range));
+  const buckets = buildTimeBuckets(range, period);
+
+  // KPIs do período e do anterior
+  const kpis = computeKpis(sectorTickets, data.sales, range);
+  const previousKpis = computeKpis(sectorTickets, data.sales, range.previous);
+
+  // SLA dos chamados abertos no período (mesma base do painel)
+  const slaByTicket = tickets.map(t => ({ ticket: t, sla: getTicketSla(t, policies, nowTime) }));
+  const decided = slaByTicket.filter(x => ["cumprido", "cumprido_atraso", "violado"].includes(x.sla.resolution.state));
+  const met = decided.filter(x => x.sla.resolution.state === "cumprido");
+  const complianceBySector = sectorNames.map(sec => {
+    const sectorDecided = decided.filter(x => x.ticket.destSector === sec);
+    if (sectorDecided.length === 0) return null;
+    return Math.round((sectorDecided.filter(x => x.sla.resolution.state === "cumprido").length / sectorDecided.length) * 100);
+  });
+
+  // Vendas ganhas por intervalo e acumuladas
+  const wonSales = data.sales.filter(s => s.status === "ganho");
+  const salesPerBucket = buckets.map(b => wonSales
+    .filter(s => isInRange(getSaleClosedAt(s), b))
+    .reduce((sum, s) => sum + (Number(s.value) || 0), 0));
+  let runningSum = 0;
+  const salesCumulative = salesPerBucket.map(value => (runningSum += value));
+
+  // Tempos por setor destinatário
+  const destSectors = sectorNames.filter(sec => sectorTickets.some(t => t.destSector === sec));
+  const durationsBySector = destSectors.map(sec => computeTicketDurations(sectorTickets.filter(t => t.destSector === sec), range));
+
+  // Envelhecimento do backlog (situação no momento da geração)
+  const openTickets = sectorTickets.filter(t => t.status !== "concluido");
+  const backlogAging = ["aberto", "andamento", "devolvido"].map(status => ({
+    status: status,
+    counts: BACKLOG_AGE_BUCKETS.map(b => openTickets.filter(t => {
+      const age = (nowTime - new Date(t.createdDate)) / 3600000;
+      return t.status === status && age >= b.min && age < b.max;
+    }).length)
+  }));
+
+  // Fluxo cumulativo ao fim de cada intervalo
+  const cumulativeFlow = ["concluido", "devolvido", "andamento", "aberto"].map(status => ({
+    status: status,
+    counts: buckets.map(b => {
+      const time = Math.min(b.end.getTime(), nowTime);
+      return sectorTickets.filter(t => getTicketStatusAt(t, time) === status).length;
+    })
+  }));
+
+  // Taxa de devolução por par origem → destino
+  const origins = [...new Set(tickets.map(t => t.originSector))].sort();
+  const dests = [...new Set(tickets.map(t => t.destSector))].sort();
+  const returnMatrix = origins.map(origin => ({
+    origin: origin,
+    cells: dests.map(dest => {
+      const pair = tickets.filter(t => t.originSector === origin && t.destSector === dest);
+      return { total: pair.length, returned: pair.filter(wasTicketReturned).length };
+    })
+  }));
+
+  // Chamados mais devolvidos entre os que tiveram devolução no período
+  const topReturned = sectorTickets
+    .map(ticket => {
+      const returns = getTicketEvents(ticket).filter(ev => ev.type === "devolvido");
+      const inPeriod = returns.filter(ev => isInRange(ev.timestamp, range));
+      return { ticket, total: returns.length, inPeriod: inPeriod.length, lastNote: returns.length > 0 ? returns[returns.length - 1].note : null };
+    })
+    .filter(item => item.inPeriod > 0)
+    .sort((a, b) => b.total - a.total || b.inPeriod - a.inPeriod)
+    .slice(0, TOP_RETURNED_LIMIT);
+
+  return {
+    generatedAt: now,
+    period: period,
+    periodLabel: REPORT_PERIODS[period],
+    range: range,
+    sector: options.sector || null,
+    origin: data.origin,
+    kpis: kpis,
+    previousKpis: previousKpis,
+    sla: {
+      compliance: decided.length > 0 ? Math.round((met.length / decided.length) * 100) : null,
+      met: met.length,
+      decided: decided.length,
+      breaches: listSlaBreaches(sectorTickets, policies, range, nowTime)
+    },
+    charts: {
+      sectors: sectors,
+      sectorDest: sectorNames.map(sec => tickets.filter(t => t.destSector === sec).length),
+      sectorSent: sectorNames.map(sec => tickets.filter(t => t.originSector === sec).length),
+      buckets: buckets.map(b => b.label),
+      salesPerBucket: salesPerBucket,
+      salesCumulative: salesCumulative,
+      slaCompliance: complianceBySector,
+      destSectors: destSectors,
+      durationsBySector: durationsBySector,
+      backlogAging: backlogAging,
+      cumulativeFlow: cumulativeFlow,
+      returnMatrix: { dests: dests, rows: returnMatrix }
+    },
+    topReturned: topReturned
+  };
+}
+
+module.exports = {
+  BACKLOG_AGE_BUCKETS,
+  PRIORITY_LEVELS,
+  REPORT_PERIODS,
+  TICKET_STATUS_LABELS,
+  buildReportModel,
+  getReportRange
+};
@@ -0,0 +1,301 @@
+// Montagem do relatório em HTML (autocontido, com os gráficos embutidos) e conversão para PDF
+const { execFile } = require("child_process");
+const { pathToFileURL } = require("url");
+const { barChart, stackedAreaChart, doughnutChart, hexToRgba, escapeXml } = require("./charts");
+const { BACKLOG_AGE_BUCKETS, PRIORITY_LEVELS, TICKET_STATUS_LABELS } = require("./metrics");
+
+const STATUS_COLORS = {
+  aberto: "#38bdf8",
+  andamento: "#fbbf24",
+  devolvido: "#f87171",
+  concluido: "#34d399"
+};
+
+// Navegadores tentados para gerar o PDF quando --chrome/CHROME_PATH não é informado
+const CHROME_CANDIDATES = ["google-chrome", "google-chrome-stable", "chromium", "chromium-browser", "microsoft-edge"];
+
+// ================= FORMATAÇÃO =================
+function formatBRL(value) {
+  return new Intl.NumberFormat("pt-BR", { style: "currency", currency: "BRL" }).format(value);
+}
+
+function formatDate(date) {
+  const d = new Date(date);
+  return `${String(d.getDate()).padStart(2, "0")}/${String(d.getMonth() + 1).padStart(2, "0")}/${d.getFullYear()}`;
+}
+
+function formatDateTime(date) {
+  const d = new Date(date);
+  return `${formatDate(d)} ${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+// O fim do período é exclusivo; o último dia exibido é o anterior
+function formatRange(range) {
+  return `${formatDate(range.start)} a ${formatDate(new Date(range.end.getTime() - 1))}`;
+}
+
+function formatDurationHours(hours) {
+  if (hours === null) return "-";
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${hours.toFixed(1)} horas`;
+  return `${(hours / 24).toFixed(1)} dias`;
+}
+
+function formatPercent(value) {
+  return value === null ? "-" : `${value.toFixed(1)}%`;
+}
+
+// Mesma leitura da variação usada no painel de BI (renderBiDelta)
+function describeDelta(current, previous, options = {}) {
+  if (current === null || previous === null) return { text: "Sem dados para comparar", className: "" };
+
+  const diff = current - previous;
+  if (diff === 0) return { text: "Igual ao período anterior", className: "" };
+
+  const text = options.percentagePoints
+    ? `${Math.abs(diff).toFixed(1)} p.p.`
+    : previous === 0 ? `${options.format ? options.format(Math.abs(diff)) : Math.abs(diff)}` : `${Math.round(Math.abs(diff / previous) * 100)}%`;
+  const improved = options.higherIsBetter === false ? diff < 0 : diff > 0;
+
+  return {
+    text: `${diff > 0 ? "▲" : "▼"} ${text} vs período anterior (${options.format ? options.format(previous) : previous})`,
+    className: improved ? "positive" : "negative"
+  };
+}
+
+// ================= SEÇÕES =================
+function renderKpiCard(label, value, delta) {
+  return `
+    <div class="kpi-card">
+      <div class="kpi-label">${escapeXml(label)}</div>
+      <div class="kpi-value">${escapeXml(value)}</div>
+      <div class="kpi-delta ${delta.className}">${escapeXml(delta.text)}</div>
+    </div>`;
+}
+
+function renderKpis(model) {
+  const { kpis, previousKpis, sla } = model;
+  return [
+    renderKpiCard("Chamados Abertos", kpis.created, describeDelta(kpis.created, previousKpis.created)),
+    renderKpiCard("Total Resolvidos", kpis.resolved, describeDelta(kpis.resolved, previousKpis.resolved)),
+    renderKpiCard("Chamados Devolvidos", kpis.returned, describeDelta(kpis.returned, previousKpis.returned, { higherIsBetter: false })),
+    renderKpiCard("Tempo Médio de Resolução", formatDurationHours(kpis.avgResolution),
+      describeDelta(kpis.avgResolution, previousKpis.avgResolution, { higherIsBetter: false, format: formatDurationHours })),
+    renderKpiCard("Taxa de Conversão", formatPercent(kpis.conversion),
+      describeDelta(kpis.conversion, previousKpis.conversion, { percentagePoints: true, format: formatPercent })),
+    renderKpiCard("Faturamento", formatBRL(kpis.revenue), describeDelta(kpis.revenue, previousKpis.revenue, { format: formatBRL })),
+    renderKpiCard("SLA de Resolução Cumprido", sla.compliance === null ? "-" : `${sla.compliance}%`,
+      { text: `${sla.met} de ${sla.decided} chamados`, className: "" })
+  ].join("");
+}
+
+function renderChartCard(title, content) {
+  return `
+    <div class="chart-card">
+      <h3>${escapeXml(title)}</h3>
+      ${content}
+    </div>`;
+}
+
+function renderCharts(model) {
+  const c = model.charts;
+  const sectorNames = c.sectors.map(s => s.name);
+  const round = value => value === null ? null : Number(value.toFixed(1));
+
+  return [
+    renderChartCard("Volume de Chamados por Setor Destinatário", doughnutChart({
+      title: "Volume por setor destinatário",
+      labels: sectorNames,
+      colors: c.sectors.map(s => s.color),
+      data: c.sectorDest
+    })),
+    renderChartCard("Fluxo de Chamados Enviados vs Recebidos", barChart({
+      title: "Enviados vs recebidos",
+      labels: sectorNames,
+      series: [
+        { label: "Chamados Enviados", color: "#8a8a96", data: c.sectorSent },
+        { label: "Chamados Recebidos", color: "#FFD200", data: c.sectorDest }
+      ]
+    })),
+    renderChartCard("Desempenho Financeiro de Vendas", barChart({
+      title: "Faturamento",
+      labels: c.buckets,
+      series: [{ label: "Faturamento no Intervalo (R$)", color: "#8a8a96", data: c.salesPerBucket }],
+      line: { label: "Faturamento Acumulado (R$)", color: "#e0b800", data: c.salesCumulative }
+    })),
+    renderChartCard("Cumprimento de SLA por Setor Destinatário (%)", barChart({
+      title: "Cumprimento de SLA",
+      labels: sectorNames,
+      series: [{ label: "Resolução no Prazo (%)", color: "#34d399", data: c.slaCompliance }],
+      yMax: 100
+    })),
+    renderChartCard("Tempo até Início e Resolução por Setor (horas)", barChart({
+      title: "Tempo até início e resolução",
+      labels: c.destSectors,
+      series: [
+        { label: "Início - média", color: "#38bdf8", data: c.durationsBySector.map(d => round(d.start.avg)) },
+        { label: "Início - mediana", color: "#0e7490", data: c.durationsBySector.map(d => round(d.start.median)) },
+        { label: "Resolução - média", color: "#34d399", data: c.durationsBySector.map(d => round(d.resolve.avg)) },
+        { label: "Resolução - mediana", color: "#047857", data: c.durationsBySector.map(d => round(d.resolve.median)) }
+      ]
+    })),
+    renderChartCard("Envelhecimento do Backlog (situação atual)", barChart({
+      title: "Envelhecimento do backlog",
+      labels: BACKLOG_AGE_BUCKETS.map(b => b.label),
+      stacked: true,
+      series: c.backlogAging.map(s => ({ label: TICKET_STATUS_LABELS[s.status], color: STATUS_COLORS[s.status], data: s.counts }))
+    })),
+    renderChartCard("Fluxo Cumulativo de Chamados", stackedAreaChart({
+      title: "Fluxo cumulativo",
+      labels: c.buckets,
+      series: c.cumulativeFlow.map(s => ({ label: TICKET_STATUS_LABELS[s.status], color: STATUS_COLORS[s.status], data: s.counts }))
+    })),
+    renderChartCard("Taxa de Devolução por Par de Setores", renderReturnMatrix(c.returnMatrix))
+  ].join("");
+}
+
+function renderReturnMatrix(matrix) {
+  if (matrix.rows.length === 0) return `<p class="empty">Nenhum chamado aberto no período.</p>`;
+
+  const cell = ({ total, returned }) => {
+    if (total === 0) return `<td class="muted">–</td>`;
+    const rate = returned / total;
+    return `<td style="background:${hexToRgba("#f87171", 0.08 + rate * 0.5)}">${Math.round(rate * 100)}% <span class="muted">(${returned}/${total})</span></td>`;
+  };
+
+  return `
+    <table class="matrix">
+      <thead><tr><th>Origem ↓ / Destino →</th>${matrix.dests.map(dest => `<th>${escapeXml(dest)}</th>`).join("")}</tr></thead>
+      <tbody>${matrix.rows.map(row => `<tr><th>${escapeXml(row.origin)}</th>${row.cells.map(cell).join("")}</tr>`).join("")}</tbody>
+    </table>`;
+}
+
+function renderSlaBreaches(breaches) {
+  if (breaches.length === 0) return `<p class="empty">Nenhum prazo estourado.</p>`;
+
+  const rows = breaches.map(b => `
+    <tr>
+      <td>${escapeXml(b.ticket.id)}</td>
+      <td>${escapeXml(b.ticket.title)}</td>
+      <td>${escapeXml(b.ticket.originSector)} → ${escapeXml(b.ticket.destSector)}</td>
+      <td>${escapeXml((PRIORITY_LEVELS[b.ticket.priority] || PRIORITY_LEVELS.media).label)}</td>
+      <td>${b.target === "resolution" ? "Resolução" : "1ª Resposta"}</td>
+      <td>${formatDateTime(b.due)}</td>
+      <td class="${b.state === "violado" ? "negative" : ""}">${b.state === "violado" ? "Violado (em aberto)" : "Cumprido com atraso"}</td>
+      <td>${formatDurationHours(b.overdueHours)}</td>
+    </tr>`).join("");
+
+  return `
+    <table>
+      <thead><tr><th>ID</th><th>Título</th><th>Origem → Destino</th><th>Prioridade</th><th>Prazo</th><th>Vencimento</th><th>Situação</th><th>Atraso</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+function renderTopReturned(items) {
+  if (items.length === 0) return `<p class="empty">Nenhum chamado devolvido no período.</p>`;
+
+  const rows = items.map(item => `
+    <tr>
+      <td>${escapeXml(item.ticket.id)}</td>
+      <td>${escapeXml(item.ticket.title)}</td>
+      <td>${escapeXml(item.ticket.originSector)} → ${escapeXml(item.ticket.destSector)}</td>
+      <td>${escapeXml(TICKET_STATUS_LABELS[item.ticket.status] || item.ticket.status)}</td>
+      <td>${item.inPeriod}</td>
+      <td>${item.total}</td>
+      <td>${escapeXml(item.lastNote || "-")}</td>
+    </tr>`).join("");
+
+  return `
+    <table>
+      <thead><tr><th>ID</th><th>Título</th><th>Origem → Destino</th><th>Status Atual</th><th>No Período</th><th>Total</th><th>Último Motivo</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+// ================= DOCUMENTO =================
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { font-family: Inter, Arial, sans-serif; color: #121216; margin: 32px; font-size: 13px; }
+  header { border-bottom: 3px solid #FFD200; padding-bottom: 12px; margin-bottom: 24px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 32px 0 12px; }
+  h3 { font-size: 13px; margin: 0 0 8px; }
+  .subtitle, .muted, .empty { color: #6b6b76; }
+  .kpis { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+  .kpi-card, .chart-card { border: 1px solid #e4e4ea; border-radius: 8px; padding: 12px; break-inside: avoid; }
+  .kpi-label { font-size: 11px; text-transform: uppercase; color: #6b6b76; }
+  .kpi-value { font-size: 22px; font-weight: 700; margin: 6px 0; }
+  .kpi-delta { font-size: 11px; color: #6b6b76; }
+  .positive { color: #059669; }
+  .negative { color: #dc2626; }
+  .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+  .chart-card svg { width: 100%; height: auto; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th { text-align: left; font-size: 11px; text-transform: uppercase; color: #6b6b76; }
+  th, td { padding: 6px 8px; border-bottom: 1px solid #e4e4ea; }
+  .matrix td { text-align: center; border: 1px solid #e4e4ea; }
+  tr { break-inside: avoid; }
+  footer { margin-top: 32px; font-size: 11px; color: #6b6b76; }
+  @page { size: A4; margin: 12mm; }
+  @media print { body { margin: 0; } }
+`;
+
+function renderReportHtml(model) {
+  const title = `Relatório Gerencial ${model.periodLabel} · ${formatRange(model.range)}`;
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeXml(title)}</h1>
+    <div class="subtitle">
+      Comparado a ${formatRange(model.range.previous)}${model.sector ? ` · chamados com origem ou destino em ${escapeXml(model.sector)}` : ""}
+    </div>
+  </header>
+
+  <h2>Indicadores do Período</h2>
+  <section class="kpis">${renderKpis(model)}</section>
+
+  <h2>Gráficos</h2>
+  <section class="charts">${renderCharts(model)}</section>
+
+  <h2>SLAs Violados (${model.sla.breaches.length})</h2>
+  <section>${renderSlaBreaches(model.sla.breaches)}</section>
+
+  <h2>Chamados Mais Devolvidos</h2>
+  <section>${renderTopReturned(model.topReturned)}</section>
+
+  <footer>Gerado em ${formatDateTime(model.generatedAt)} a partir de ${escapeXml(model.origin)}.</footer>
+</body>
+</html>
+`;
+}
+
+// ================= PDF =================
+function runChrome(binary, htmlPath, pdfPath) {
+  const args = ["--headless", "--disable-gpu", "--no-pdf-header-footer", `--print-to-pdf=${pdfPath}`, pathToFileURL(htmlPath).href];
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { timeout: 60000 }, err => err ? reject(err) : resolve());
+  });
+}
+
+// Usa um Chrome/Chromium/Edge headless para imprimir o HTML; sem navegador, fica só o HTML
+async function writeReportPdf(htmlPath, pdfPath, chromePath) {
+  const candidates = chromePath ? [chromePath] : CHROME_CANDIDATES;
+  for (const binary of candidates) {
+    try {
+      await runChrome(binary, htmlPath, pdfPath);
+      return;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw new Error(`Falha ao gerar o PDF com ${binary}: ${err.message}`);
+    }
+  }
+  throw new Error("Nenhum Chrome/Chromium encontrado para gerar o PDF (informe --chrome ou CHROME_PATH).");
+}
+
+module.exports = { renderReportHtml, writeReportPdf };
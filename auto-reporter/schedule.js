@@ -0,0 +1,28 @@
+// Agendamento no formato do cron: "minuto hora dia-do-mês mês dia-da-semana" (horário local)
+// Aceita *, listas (1,15), faixas (1-5), passos (*/15, 8-18/2) e os atalhos abaixo.
+// O parser é o mesmo dos chamados recorrentes do portal (cron.js na raiz do projeto)
+const { parseCronExpression, getNextCronRun } = require("../cron");
+
+const SHORTCUTS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 1",
+  "@monthly": "0 0 1 * *"
+};
+
+function parseSchedule(expression) {
+  try {
+    return parseCronExpression(SHORTCUTS[expression.trim()] || expression);
+  } catch (err) {
+    throw new Error(`Agendamento inválido "${expression}": ${err.message}; ou use @daily/@weekly/@monthly/@hourly.`);
+  }
+}
+
+// Próximo minuto (estritamente depois de "from") que satisfaz o agendamento
+function getNextRun(schedule, from) {
+  const next = getNextCronRun(schedule, from);
+  if (!next) throw new Error(`O agendamento "${schedule.expression}" não ocorre no próximo ano.`);
+  return next;
+}
+
+module.exports = { parseSchedule, getNextRun };
@@ -0,0 +1,71 @@
+// Fontes de dados do relatório: arquivo de backup do portal ou API REST do servidor SISMV
+const fs = require("fs");
+
+const BACKUP_FORMAT = "sismv-backup";
+
+// Formato comum entregue ao gerador: coleções + configurações que afetam os indicadores
+function normalizeData(collections, settings, origin) {
+  return {
+    tickets: Array.isArray(collections.tickets) ? collections.tickets : [],
+    sales: Array.isArray(collections.sales) ? collections.sales : [],
+    settings: settings || {},
+    origin: origin
+  };
+}
+
+function loadFromBackup(filePath) {
+  let backup;
+  try {
+    backup = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Não foi possível ler o backup ${filePath}: ${err.message}`);
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.collections !== "object" || !backup.collections) {
+    throw new Error(`${filePath} não é um backup do SISMV.`);
+  }
+  return normalizeData(backup.collections, backup.settings, `backup ${filePath} (exportado em ${backup.exportedAt || "data desconhecida"})`);
+}
+
+// A API exige a sessão de um usuário (o relatório completo, a de um administrador)
+async function fetchJson(url, token) {
+  const headers = { Accept: "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  let response;
+  try {
+    response = await fetch(url, { headers: headers });
+  } catch (err) {
+    throw new Error(`Servidor indisponível em ${url}: ${err.message}`);
+  }
+  if (response.status === 401) {
+    throw new Error(`GET ${url} respondeu 401: informe um token de sessão válido (--token ou REPORT_API_TOKEN).`);
+  }
+  if (!response.ok) {
+    throw new Error(`GET ${url} respondeu ${response.status}.`);
+  }
+  return response.json();
+}
+
+async function loadFromApi(baseUrl, token) {
+  const apiUrl = baseUrl.replace(/\/+$/, "");
+  const [tickets, sales, settingEntries] = await Promise.all([
+    fetchJson(`${apiUrl}/tickets`, token),
+    fetchJson(`${apiUrl}/sales`, token),
+    fetchJson(`${apiUrl}/settings`, token)
+  ]);
+
+  const settings = {};
+  settingEntries.forEach(entry => {
+    settings[entry.key] = entry.value;
+  });
+  return normalizeData({ tickets, sales }, settings, `servidor ${apiUrl}`);
+}
+
+// Lida a cada execução, para que um agendamento sempre use os dados mais recentes
+function loadReportData(options) {
+  if (options.backup) return Promise.resolve(loadFromBackup(options.backup));
+  return loadFromApi(options.api, options.token);
+}
+
+module.exports = { loadReportData, loadFromBackup, loadFromApi };
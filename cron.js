@@ -0,0 +1,91 @@
+// Regras no formato do cron: "minuto hora dia-do-mês mês dia-da-semana" (horário local)
+// Aceita *, listas (1,15), faixas (1-5) e passos (*/15, 8-18/2). Usado pelo portal (chamados recorrentes,
+// carregado antes do app.js) e pelo auto-reporter (agendamento do relatório, via require).
+const CRON_FIELDS = [
+  { name: "minuto", min: 0, max: 59 },
+  { name: "hora", min: 0, max: 23 },
+  { name: "dia do mês", min: 1, max: 31 },
+  { name: "mês", min: 1, max: 12 },
+  { name: "dia da semana", min: 0, max: 7 }
+];
+
+// Limite de busca da próxima ocorrência (ex.: "0 0 31 2 *" nunca acontece)
+const CRON_LOOKAHEAD_DAYS = 366;
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  text.split(",").forEach(part => {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let from = field.min;
+    let to = field.max;
+
+    if (rangeText !== "*") {
+      const bounds = rangeText.split("-").map(n => parseInt(n, 10));
+      from = bounds[0];
+      to = bounds.length > 1 ? bounds[1] : (stepText === undefined ? from : field.max);
+    }
+
+    if ([from, to, step].some(isNaN) || step < 1 || from < field.min || to > field.max || from > to) {
+      throw new Error(`valor inválido para ${field.name}: "${part}"`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  return values;
+}
+
+function parseCronExpression(expression) {
+  const normalized = expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error("use 5 campos: minuto hora dia-do-mês mês dia-da-semana (ex.: 0 8 1 * *)");
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  // Domingo pode ser 0 ou 7
+  if (weekdays.has(7)) weekdays.add(0);
+  // Como no cron: com dia do mês e dia da semana restritos, basta um dos dois coincidir
+  return { expression: normalized, minutes, hours, days, months, weekdays, anyDay: parts[2] !== "*" && parts[4] !== "*" };
+}
+
+// lastDayOnly (usado pelas recorrências "último dia do mês") restringe os dias 28-31 ao último do mês
+function matchesCronDay(cron, date) {
+  if (cron.lastDayOnly && new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate() !== date.getDate()) {
+    return false;
+  }
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? dayMatch || weekdayMatch : dayMatch && weekdayMatch;
+}
+
+// Próxima ocorrência estritamente depois de "from" (pula meses, dias e horas inteiros que não casam); null se não houver
+function getNextCronRun(cron, from) {
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+  const limit = new Date(from).getTime() + CRON_LOOKAHEAD_DAYS * 24 * 3600000;
+
+  while (candidate.getTime() <= limit) {
+    if (!cron.months.has(candidate.getMonth() + 1)) {
+      candidate.setMonth(candidate.getMonth() + 1, 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!matchesCronDay(cron, candidate)) {
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+    } else {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// No navegador as funções ficam globais; no Node (servidor e auto-reporter) são exportadas
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { parseCronExpression, getNextCronRun };
+}
@@ -76,11 +76,3 @@ const initialSales = [
   { id: "VD-005", client: "Supermercado Popular", value: 12000, status: "devolvido", date: "2026-06-22" },
   { id: "VD-006", client: "Startup Spark", value: 6200, status: "lead", date: "2026-06-22" }
 ];
-
-// Salva os dados padrão no localStorage caso não existam ainda
-if (!localStorage.getItem("rocket_tickets")) {
-  localStorage.setItem("rocket_tickets", JSON.stringify(initialTickets));
-}
-if (!localStorage.getItem("rocket_sales")) {
-  localStorage.setItem("rocket_sales", JSON.stringify(initialSales));
-}
@@ -0,0 +1,114 @@
+// Ocorrências dos chamados recorrentes e o chamado gerado em cada uma. Usado pelo servidor (que gera os chamados
+// no horário, via require) e pelo portal no modo local (carregado depois do cron.js e antes do app.js).
+// Cada chamado gerado leva recurrenceId + occurrenceKey (data/hora prevista): é o que impede duplicatas.
+
+// No Node o parser vem de cron.js; no navegador ele já foi carregado como global
+const recurringCron = typeof module !== "undefined" && module.exports
+  ? require("./cron")
+  : { parseCronExpression, getNextCronRun };
+
+const RECURRING_CATCH_UP_LIMIT = 24; // Ocorrências perdidas geradas por definição de uma só vez (as mais recentes)
+
+// Regra da definição no formato cron (diária, semanal e mensal são atalhos com horário)
+function buildRecurrenceCron(schedule) {
+  if (schedule.frequency === "cron") {
+    return recurringCron.parseCronExpression(schedule.cron);
+  }
+
+  const [hour, minute] = schedule.time.split(":").map(Number);
+  const day = schedule.frequency === "mensal" ? (schedule.monthDay === "ultimo" ? "28-31" : schedule.monthDay) : "*";
+  const weekdays = schedule.frequency === "semanal" ? schedule.weekdays.join(",") : "*";
+  const cron = recurringCron.parseCronExpression(`${minute} ${hour} ${day} * ${weekdays}`);
+  cron.lastDayOnly = schedule.frequency === "mensal" && schedule.monthDay === "ultimo";
+  return cron;
+}
+
+// Chave estável da ocorrência (horário local previsto, ex.: "2026-11-01T08:00")
+function getOccurrenceKey(date) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// A definição guarda a partir de quando contar (cadastro, mudança de regra ou retomada); o progresso
+// ("recurring_progress:<id>"), a última ocorrência gerada
+function getRecurringCursor(definition, progress) {
+  const anchors = [definition.lastOccurrenceAt || definition.createdAt, progress.lastOccurrenceAt]
+    .filter(Boolean).map(date => new Date(date).getTime());
+  return new Date(Math.max(...anchors));
+}
+
+function getRecurringOccurrenceKeys(tickets) {
+  return new Set(tickets.filter(t => t.recurrenceId).map(t => `${t.recurrenceId}|${t.occurrenceKey}`));
+}
+
+// Ocorrências vencidas de uma definição e as que ainda não têm chamado (lança erro se a regra for inválida)
+function collectDueOccurrences(definition, progress, existingKeys, now) {
+  const cron = buildRecurrenceCron(definition.schedule);
+
+  // Só as mais recentes entram quando ninguém gerou os chamados por muito tempo
+  const due = [];
+  let skipped = 0;
+  let cursor = getRecurringCursor(definition, progress);
+  for (;;) {
+    cursor = recurringCron.getNextCronRun(cron, cursor);
+    if (!cursor || cursor > now) break;
+    due.push(cursor);
+    if (due.length > RECURRING_CATCH_UP_LIMIT) {
+      due.shift();
+      skipped++;
+    }
+  }
+
+  const pending = due.filter(occurrence => !existingKeys.has(`${definition.id}|${getOccurrenceKey(occurrence)}`));
+  return { due, pending, skipped };
+}
+
+// Chamado de uma ocorrência: quem gera informa a data de criação, os prazos de SLA, as menções e o ID do evento.
+// O histórico registra quem cadastrou a recorrência, não quem (ou o que) gerou o chamado
+function buildRecurringTicket(id, definition, occurrence, { createdDate, sla, mentions, eventId }) {
+  const [date, time] = getOccurrenceKey(occurrence).split("T");
+  const ticket = {
+    id: id,
+    title: definition.title,
+    description: definition.description,
+    originSector: definition.originSector,
+    destSector: definition.destSector,
+    status: 'aberto',
+    priority: definition.priority,
+    sla: sla,
+    createdDate: createdDate,
+    createdBy: definition.createdByName,
+    createdByMatricula: definition.createdBy,
+    assignee: null,
+    assigneeName: null,
+    comments: [],
+    attachments: [],
+    mentions: mentions,
+    recurrenceId: definition.id,
+    occurrenceKey: getOccurrenceKey(occurrence),
+    events: [{
+      id: eventId,
+      type: 'criado',
+      status: 'aberto',
+      actor: definition.createdBy,
+      actorName: definition.createdByName,
+      actorSector: definition.originSector,
+      timestamp: createdDate,
+      note: `Gerado pela recorrência "${definition.title}" (ocorrência de ${date.split("-").reverse().join("/")} às ${time})`
+    }]
+  };
+  if (definition.templateId) {
+    ticket.templateId = definition.templateId;
+    ticket.templateName = definition.templateName;
+    ticket.fields = definition.fields;
+  }
+  return ticket;
+}
+
+// No navegador as funções ficam globais; no Node (servidor) são exportadas
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RECURRING_CATCH_UP_LIMIT,
+    getRecurringOccurrenceKeys, collectDueOccurrences, buildRecurringTicket
+  };
+}
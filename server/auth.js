@@ -0,0 +1,144 @@
+// Autenticação do servidor SISMV: senhas, sessões e bloqueio por tentativas inválidas
+// O formato do hash (PBKDF2-SHA256 com sal por usuário) é o mesmo gravado pelo portal no modo local.
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const DEFAULT_ADMIN_MATRICULA = "admin";
+const DEFAULT_ADMIN_PASSWORD = "admin";
+
+const PASSWORD_HASH_ALGORITHM = "PBKDF2-SHA256";
+const PASSWORD_HASH_ITERATIONS = 120000;
+
+// Mesmas regras exibidas no cadastro e na troca de senha do portal
+const PASSWORD_RULES = [/^.{8,}$/, /[A-Z]/, /[a-z]/, /[0-9]/, /[^A-Za-z0-9]/];
+
+// Matrículas só com letras, números, ponto, hífen e sublinhado (mesma regra do portal)
+const MATRICULA_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// A sessão do servidor dura um expediente; a inatividade é controlada pelo próprio portal
+const SESSION_TTL_HOURS = 12;
+
+const LOGIN_MAX_FAILED_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+
+async function derivePasswordHash(password, salt, iterations) {
+  const bits = await pbkdf2(password, Buffer.from(salt, "base64"), iterations, 32, "sha256");
+  return bits.toString("base64");
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("base64");
+  return {
+    algorithm: PASSWORD_HASH_ALGORITHM,
+    iterations: PASSWORD_HASH_ITERATIONS,
+    salt: salt,
+    hash: await derivePasswordHash(password, salt, PASSWORD_HASH_ITERATIONS)
+  };
+}
+
+function constantTimeEquals(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Cadastros antigos com senha em texto puro também são aceitos (o chamador converte para hash)
+async function verifyPassword(user, password) {
+  if (user.passwordHash) {
+    const { salt, iterations, hash } = user.passwordHash;
+    return constantTimeEquals(await derivePasswordHash(password, salt, iterations), hash);
+  }
+  return typeof user.password === "string" && constantTimeEquals(user.password, password);
+}
+
+function isStrongPassword(password) {
+  return typeof password === "string" && PASSWORD_RULES.every(rule => rule.test(password));
+}
+
+// Dados do usuário que saem do servidor: nunca incluem senha ou hash
+function sanitizeUser(user) {
+  const { password, passwordHash, ...profile } = user;
+  return profile;
+}
+
+// Sessões em memória: reiniciar o servidor obriga todos a entrar de novo
+class SessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  // restricted = só pode trocar a senha (senha padrão ou redefinida pelo administrador)
+  create(matricula, restricted) {
+    const token = crypto.randomBytes(24).toString("hex");
+    this.sessions.set(token, { matricula, restricted: !!restricted, createdAt: Date.now() });
+    return token;
+  }
+
+  get(token) {
+    const session = token ? this.sessions.get(token) : null;
+    if (!session) return null;
+    if (Date.now() - session.createdAt > SESSION_TTL_HOURS * 3600000) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  remove(token) {
+    this.sessions.delete(token);
+  }
+
+  // Conta desativada ou senha redefinida: derruba as sessões abertas dela
+  removeUser(matricula) {
+    this.sessions.forEach((session, token) => {
+      if (session.matricula === matricula) this.sessions.delete(token);
+    });
+  }
+}
+
+// Tentativas de login inválidas por matrícula: { count, lockedUntil }
+class LoginThrottle {
+  constructor() {
+    this.attempts = new Map();
+  }
+
+  lockedMinutes(matricula) {
+    const entry = this.attempts.get(matricula);
+    if (!entry || !entry.lockedUntil) return 0;
+    const remainingMs = entry.lockedUntil - Date.now();
+    return remainingMs > 0 ? Math.ceil(remainingMs / 60000) : 0;
+  }
+
+  // Registra a falha e devolve quantas tentativas ainda restam antes do bloqueio
+  fail(matricula) {
+    const entry = this.attempts.get(matricula) || { count: 0, lockedUntil: null };
+    if (entry.lockedUntil && entry.lockedUntil <= Date.now()) {
+      entry.count = 0;
+      entry.lockedUntil = null;
+    }
+    entry.count += 1;
+    if (entry.count >= LOGIN_MAX_FAILED_ATTEMPTS) {
+      entry.lockedUntil = Date.now() + LOGIN_LOCKOUT_MINUTES * 60000;
+    }
+    this.attempts.set(matricula, entry);
+    return Math.max(LOGIN_MAX_FAILED_ATTEMPTS - entry.count, 0);
+  }
+
+  clear(matricula) {
+    this.attempts.delete(matricula);
+  }
+}
+
+module.exports = {
+  DEFAULT_ADMIN_MATRICULA,
+  DEFAULT_ADMIN_PASSWORD,
+  MATRICULA_PATTERN,
+  hashPassword,
+  verifyPassword,
+  isStrongPassword,
+  sanitizeUser,
+  SessionStore,
+  LoginThrottle
+};
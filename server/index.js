@@ -0,0 +1,884 @@
+// Servidor local do SISMV: API REST (usuários, chamados, vendas, configurações e anexos) + arquivos do portal
+// Os IDs de chamados e vendas novos são reservados em POST /api/ids/:prefix (CH ou VD)
+// PUT em usuários, chamados e vendas exige a revisão atual do registro (controle de concorrência otimista)
+// Os chamados recorrentes ("recurring_tickets") são gerados aqui, a cada minuto, mesmo sem ninguém com o portal aberto
+// A API exige a sessão emitida por POST /api/session (cabeçalho Authorization: Bearer <token>)
+// Uso: npm start  (variáveis opcionais: PORT, ROCKET_DB_FILE, ROCKET_ATTACHMENTS_DIR)
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const { FileStore, AttachmentStore, COLLECTIONS } = require("./store");
+const { mergeSlaPolicies, computeSlaDueDates } = require("../sla");
+const { getRecurringOccurrenceKeys, collectDueOccurrences, buildRecurringTicket } = require("../recurring");
+const { TICKET_TRANSITIONS, SALE_TRANSITIONS } = require("../workflow");
+const {
+  DEFAULT_ADMIN_MATRICULA, DEFAULT_ADMIN_PASSWORD, MATRICULA_PATTERN,
+  hashPassword, verifyPassword, isStrongPassword, sanitizeUser, SessionStore, LoginThrottle
+} = require("./auth");
+
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const ROOT_DIR = path.join(__dirname, "..");
+const DB_FILE = process.env.ROCKET_DB_FILE || path.join(__dirname, "data", "db.json");
+const ATTACHMENTS_DIR = process.env.ROCKET_ATTACHMENTS_DIR || path.join(path.dirname(DB_FILE), "attachments");
+const MAX_BODY_BYTES = 25 * 1024 * 1024;
+const ATTACHMENT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DEFAULT_SALES_SECTOR = "Vendas";
+const RECURRING_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Tipos de anexo devolvidos como foram enviados; os demais (ex.: HTML, SVG) saem como download genérico,
+// para um arquivo anexado nunca ser interpretado como página do portal
+const SAFE_ATTACHMENT_TYPES = [
+  "image/png", "image/jpeg", "image/gif", "image/webp", "image/bmp",
+  "application/pdf", "text/plain", "text/csv", "application/json"
+];
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".webmanifest": "application/manifest+json; charset=utf-8"
+};
+
+const store = new FileStore(DB_FILE).load();
+const attachments = new AttachmentStore(ATTACHMENTS_DIR);
+const streamClients = new Set();
+const sessions = new SessionStore();
+const loginThrottle = new LoginThrottle();
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ================= UTILITÁRIOS HTTP =================
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Ticket-Id"
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Corpo da requisição excede o limite permitido."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+async function readJsonBody(req) {
+  const raw = await readBody(req);
+  try {
+    const body = JSON.parse(raw.toString("utf8") || "null");
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new Error("invalid");
+    }
+    return body;
+  } catch (err) {
+    throw new HttpError(400, "O corpo da requisição deve ser um objeto JSON.");
+  }
+}
+
+// Anexos: GET /attachments (uso total), GET/PUT/DELETE /attachments/:id com o arquivo binário no corpo
+function getSafeAttachmentType(type) {
+  const mimeType = String(type || "").split(";")[0].trim().toLowerCase();
+  return SAFE_ATTACHMENT_TYPES.includes(mimeType) ? mimeType : "application/octet-stream";
+}
+
+// Os arquivos seguem as regras do chamado dono: quem comenta (origem e destino) ou quem o abriu envia arquivos.
+// Chamado ainda inexistente = abertura em andamento (os anexos sobem antes do registro); cada arquivo gravado
+// só é substituído ou removido por quem o enviou
+function authorizeAttachmentWrite(actor, id, method, ticketId) {
+  if (getUserRole(actor) === "administrador") return;
+
+  const stored = attachments.get(id);
+  if (stored && (stored.meta.uploadedBy !== actor.matricula || (method === "PUT" && ticketId !== stored.meta.ticketId))) {
+    throw forbidden();
+  }
+
+  const ticket = store.get("tickets", stored ? stored.meta.ticketId : ticketId);
+  if (!ticket) {
+    if (method !== "PUT" || !ticketId) throw forbidden();
+    return;
+  }
+  if (!isTicketParticipant(ticket, actor) && !isTicketCreator(ticket, actor)) throw forbidden();
+}
+
+async function handleAttachments(req, res, id, actor) {
+  if (!id) {
+    if (req.method === "GET") return sendJson(res, 200, attachments.usage());
+    throw new HttpError(405, "Método não permitido.");
+  }
+  if (!ATTACHMENT_ID_PATTERN.test(id)) throw new HttpError(400, "ID de anexo inválido.");
+
+  if (req.method === "GET") {
+    const stored = attachments.get(id);
+    if (!stored) throw new HttpError(404, `Anexo ${id} não encontrado.`);
+    res.writeHead(200, {
+      "Content-Type": getSafeAttachmentType(stored.meta.type),
+      "Content-Length": stored.meta.size,
+      "X-Content-Type-Options": "nosniff",
+      "Access-Control-Allow-Origin": "*"
+    });
+    fs.createReadStream(stored.filePath).pipe(res);
+    return;
+  }
+
+  if (req.method === "PUT") {
+    const ticketId = req.headers["x-ticket-id"] || null;
+    authorizeAttachmentWrite(actor, id, req.method, ticketId);
+    const content = await readBody(req);
+    const stored = attachments.put(id, content, {
+      ticketId: ticketId,
+      uploadedBy: actor.matricula,
+      type: getSafeAttachmentType(req.headers["content-type"])
+    });
+    return sendJson(res, 201, stored);
+  }
+
+  if (req.method === "DELETE") {
+    if (attachments.get(id)) authorizeAttachmentWrite(actor, id, req.method, null);
+    if (!attachments.remove(id)) throw new HttpError(404, `Anexo ${id} não encontrado.`);
+    return sendJson(res, 204);
+  }
+
+  throw new HttpError(405, "Método não permitido.");
+}
+
+// ================= AVISOS EM TEMPO REAL (SERVER-SENT EVENTS) =================
+// Cada navegador conectado em /api/stream recebe um aviso a cada gravação e busca os dados de novo
+function openStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.write("retry: 5000\n\n");
+  streamClients.add(res);
+  req.on("close", () => streamClients.delete(res));
+}
+
+function broadcastChange(method, segments) {
+  const [collection, id] = segments;
+  const payload = JSON.stringify({ method, collection, id: id || null, at: new Date().toISOString() });
+  streamClients.forEach(client => client.write(`data: ${payload}\n\n`));
+}
+
+// Comentário periódico para proxies não derrubarem conexões ociosas
+setInterval(() => {
+  streamClients.forEach(client => client.write(": ping\n\n"));
+}, 25000).unref();
+
+// ================= CONCORRÊNCIA =================
+// O cliente envia a revisão em que baseou a edição (ausente = registro novo). Se o registro mudou,
+// foi removido ou já existe, responde 409 com a versão atual para o cliente não sobrescrever o trabalho de outra pessoa
+function checkRevision(collection, id, revision) {
+  const current = store.get(collection, id);
+
+  if (revision === undefined || revision === null) {
+    if (current) throw new HttpError(409, `${id} já existe em ${collection}.`, { current });
+    return;
+  }
+  if (!current) {
+    throw new HttpError(409, `${id} foi removido por outra pessoa.`, { current: null });
+  }
+  if ((current.revision || 0) !== revision) {
+    throw new HttpError(409, `${id} foi alterado por outra pessoa.`, { current });
+  }
+}
+
+// ================= NUMERAÇÃO DE CHAMADOS E VENDAS =================
+// O contador "id_counters" é reservado aqui, numa só operação, para dois usuários nunca receberem o mesmo CH-/VD-
+const RECORD_ID_COLLECTIONS = { CH: "tickets", VD: "sales" };
+const MAX_RESERVED_IDS = 1000;
+
+function getHighestRecordNumber(items) {
+  return items.reduce((max, item) => {
+    const num = parseInt(String(item.id).split("-")[1], 10);
+    return Number.isFinite(num) && num > max ? num : max;
+  }, 0);
+}
+
+function readSetting(key, fallback) {
+  const setting = store.get("settings", key);
+  return setting ? setting.value : fallback;
+}
+
+function readIdCounters() {
+  return Object.assign({}, readSetting("id_counters", {}));
+}
+
+function takeRecordIds(prefix, count) {
+  const counters = readIdCounters();
+  const last = Math.max(counters[prefix] || 0, getHighestRecordNumber(store.list(RECORD_ID_COLLECTIONS[prefix])));
+  const ids = [];
+  for (let number = last + 1; number <= last + count; number++) {
+    ids.push(`${prefix}-${String(number).padStart(3, "0")}`);
+  }
+  counters[prefix] = last + count;
+  store.put("settings", "id_counters", { key: "id_counters", value: counters });
+  return { ids, counters };
+}
+
+// POST /ids/:prefix { count }: devolve os próximos IDs livres e o contador atualizado
+async function reserveRecordIds(req, res, prefix) {
+  if (req.method !== "POST") throw new HttpError(405, "Método não permitido.");
+  if (!RECORD_ID_COLLECTIONS[prefix]) throw new HttpError(404, `Prefixo desconhecido: ${prefix}`);
+
+  const { count } = await readJsonBody(req);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_RESERVED_IDS) {
+    throw new HttpError(400, `Quantidade de IDs inválida (entre 1 e ${MAX_RESERVED_IDS}).`);
+  }
+  return sendJson(res, 201, takeRecordIds(prefix, count));
+}
+
+// Gravações do contador feitas pelo portal (ex.: sem conexão ou migração) nunca fazem a numeração voltar
+function mergeIdCounters(record) {
+  const counters = readIdCounters();
+  Object.keys(Object.assign({}, record.value)).forEach(prefix => {
+    counters[prefix] = Math.max(counters[prefix] || 0, record.value[prefix] || 0);
+  });
+  record.value = counters;
+}
+
+// ================= CHAMADOS RECORRENTES =================
+// Cada ocorrência de uma recorrência gera um único chamado: o servidor não repete uma ocorrência que já tem chamado
+// e recusa (409) um segundo chamado gravado pela API para a mesma ocorrência
+function checkRecurringOccurrence(id, record) {
+  if (!record.recurrenceId) return;
+  const existing = store.list("tickets").find(ticket => String(ticket.id) !== String(id) &&
+    ticket.recurrenceId === record.recurrenceId && ticket.occurrenceKey === record.occurrenceKey);
+  if (existing) {
+    throw new HttpError(409, `Esta ocorrência da recorrência já gerou o ${existing.id}.`, { current: existing, duplicateOccurrence: true });
+  }
+}
+
+// Gera os chamados vencidos das definições ativas (inclusive ocorrências perdidas com o servidor desligado)
+// e grava o andamento em "recurring_progress:<id>"; devolve os IDs criados
+function generateRecurringTickets(now = new Date()) {
+  const existingKeys = getRecurringOccurrenceKeys(store.list("tickets"));
+  const policies = mergeSlaPolicies(readSetting("sla_policies", {}));
+  const created = [];
+
+  readSetting("recurring_tickets", []).filter(definition => definition.active).forEach(definition => {
+    const progressKey = `recurring_progress:${definition.id}`;
+    const progress = readSetting(progressKey, {});
+    let occurrences;
+    try {
+      occurrences = collectDueOccurrences(definition, progress, existingKeys, now);
+    } catch (err) {
+      console.error(`[recorrências] Regra inválida em "${definition.title}": ${err.message}`);
+      return;
+    }
+    const { due, pending, skipped } = occurrences;
+    if (due.length === 0) return;
+    if (skipped > 0) {
+      console.warn(`[recorrências] "${definition.title}": ${skipped} ocorrência(s) muito antigas não foram geradas.`);
+    }
+
+    let lastTicketId = progress.lastTicketId || definition.lastTicketId || null;
+    const { ids } = pending.length > 0 ? takeRecordIds("CH", pending.length) : { ids: [] };
+    pending.forEach((occurrence, index) => {
+      const createdDate = new Date().toISOString();
+      const ticket = buildRecurringTicket(ids[index], definition, occurrence, {
+        createdDate: createdDate,
+        sla: computeSlaDueDates(policies, definition.destSector, definition.priority, createdDate),
+        mentions: definition.mentions || [],
+        eventId: `EV-${ids[index]}-criado`
+      });
+      store.put("tickets", ticket.id, ticket);
+      existingKeys.add(`${definition.id}|${ticket.occurrenceKey}`);
+      created.push(ticket.id);
+      lastTicketId = ticket.id;
+    });
+
+    store.put("settings", progressKey, {
+      key: progressKey,
+      value: { lastOccurrenceAt: due[due.length - 1].toISOString(), lastTicketId: lastTicketId }
+    });
+  });
+
+  if (created.length > 0) {
+    console.log(`[recorrências] Chamados gerados: ${created.join(", ")}`);
+    broadcastChange("POST", ["tickets"]);
+  }
+  return created;
+}
+
+// Verificação periódica: uma falha (ex.: disco cheio) fica no log e não derruba o servidor
+function runRecurringTickets() {
+  try {
+    generateRecurringTickets();
+  } catch (err) {
+    console.error("[recorrências] Falha ao gerar chamados:", err);
+  }
+}
+
+// ================= AUTENTICAÇÃO E PERMISSÕES =================
+// Mesmas regras do portal para cadastros antigos sem papel ou situação
+function getUserRole(user) {
+  return user.role || (user.matricula === DEFAULT_ADMIN_MATRICULA ? "administrador" : "colaborador");
+}
+
+function getUserStatus(user) {
+  return user.status || "ativo";
+}
+
+// Configurações que colaboradores e gestores gravam; todas as demais (setores, SLA, versão dos dados, andamento das
+// recorrências gravado pelo próprio servidor...) só o administrador. O contador de IDs vem das gravações feitas
+// sem conexão e nunca volta (mergeIdCounters)
+const SHARED_SETTINGS = ["id_counters"];
+// Modelos e recorrências: gestores, apenas os itens do próprio setor (campo do setor em cada item)
+const MANAGER_SETTINGS = { ticket_templates: "sector", recurring_tickets: "originSector" };
+// Lidas antes do login (setores do formulário de cadastro)
+const PUBLIC_SETTINGS = ["sectors"];
+// Notificações lidas, preferência de alertas e visões salvas: uma configuração por usuário ("<prefixo><matrícula>"), só dele
+const USER_SETTING_PREFIXES = ["notification_state:", "saved_views:"];
+
+// Campos da conta que só o administrador altera (o gestor só aprova ou recusa cadastros do próprio setor)
+const PROTECTED_USER_FIELDS = ["role", "status", "sector", "mustChangePassword", "passwordResetBy"];
+
+// Sessão do cabeçalho Authorization (ou ?token= no /stream, já que o EventSource não envia cabeçalhos);
+// contas desativadas depois do login perdem o acesso na requisição seguinte
+function authenticate(req, url) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token");
+  const session = sessions.get(token);
+  if (!session) return null;
+
+  const user = store.get("users", session.matricula);
+  if (!user || getUserStatus(user) !== "ativo") {
+    sessions.remove(token);
+    return null;
+  }
+  return { token: token, restricted: session.restricted, user: user };
+}
+
+function requireSession(auth) {
+  if (!auth) throw new HttpError(401, "Sessão inválida ou expirada. Faça login novamente.");
+  if (auth.restricted) throw new HttpError(403, "Defina uma nova senha antes de continuar.");
+}
+
+function forbidden() {
+  return new HttpError(403, "Você não tem permissão para esta alteração.");
+}
+
+function authorizeUserWrite(actor, id, method, record) {
+  const current = store.get("users", id);
+  if (method !== "PUT" || !current) throw forbidden();
+
+  const changed = PROTECTED_USER_FIELDS.filter(field => JSON.stringify(record[field]) !== JSON.stringify(current[field]));
+  const isSelf = actor.matricula === current.matricula;
+  const isApproval = getUserRole(actor) === "gestor" && current.sector === actor.sector &&
+    getUserStatus(current) === "pendente" && changed.every(field => field === "status") &&
+    ["ativo", "recusado"].includes(record.status);
+
+  if (!(changed.length === 0 && isSelf) && !isApproval) throw forbidden();
+}
+
+// Matrícula dona de uma configuração por usuário; null nas configurações gerais
+function getUserSettingOwner(key) {
+  const prefix = USER_SETTING_PREFIXES.find(p => key.startsWith(p));
+  return prefix ? key.slice(prefix.length) : null;
+}
+
+function isOtherUserSetting(key, user) {
+  const owner = getUserSettingOwner(key);
+  return owner !== null && owner !== user.matricula;
+}
+
+function authorizeSettingWrite(actor, key, method, record) {
+  if (method === "DELETE") throw forbidden();
+  if (SHARED_SETTINGS.includes(key) || getUserSettingOwner(key) === actor.matricula) return;
+
+  const sectorField = MANAGER_SETTINGS[key];
+  if (!sectorField || getUserRole(actor) !== "gestor" || !Array.isArray(record.value)) throw forbidden();
+
+  // Itens incluídos, alterados ou removidos precisam ser (e continuar sendo) do setor do gestor
+  const before = readSetting(key, []);
+  const ids = new Set(before.concat(record.value).map(item => item.id));
+  ids.forEach(itemId => {
+    const previous = before.find(item => item.id === itemId);
+    const next = record.value.find(item => item.id === itemId);
+    if (sameValue(previous, next)) return;
+    if ((previous && previous[sectorField] !== actor.sector) || (next && next[sectorField] !== actor.sector)) throw forbidden();
+  });
+}
+
+// Chamados, vendas e configurações seguem as regras do portal (PERMISSIONS em app.js); o administrador grava tudo
+function authorizeWrite(actor, collection, id, method, record) {
+  if (getUserRole(actor) === "administrador") return;
+
+  if (collection === "users") {
+    authorizeUserWrite(actor, id, method, record);
+  } else if (collection === "settings") {
+    authorizeSettingWrite(actor, id, method, record);
+  } else if (collection === "tickets") {
+    authorizeTicketWrite(actor, id, method, record);
+  } else if (collection === "sales") {
+    authorizeSaleWrite(actor, id, method, record);
+  } else {
+    throw forbidden();
+  }
+}
+
+// ================= REGRAS DE CHAMADOS E VENDAS =================
+// O servidor compara o registro enviado com o gravado e aceita só as mudanças que o portal faria para esse usuário:
+// cada campo alterado precisa de uma regra abaixo, e histórico, comentários e anexos só recebem itens novos
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function getChangedFields(current, record) {
+  return Object.keys(Object.assign({}, current, record))
+    .filter(field => field !== "revision" && !sameValue(current[field], record[field]));
+}
+
+// Itens acrescentados ao fim da lista; os anteriores precisam continuar iguais e os novos passar em isOwn
+function getAppendedItems(currentItems, nextItems, isOwn) {
+  const before = Array.isArray(currentItems) ? currentItems : [];
+  if (!Array.isArray(nextItems) || !sameValue(nextItems.slice(0, before.length), before)) throw forbidden();
+
+  const added = nextItems.slice(before.length);
+  if (!added.every(isOwn)) throw forbidden();
+  return added;
+}
+
+function isSectorManager(user, sector) {
+  return getUserRole(user) === "gestor" && user.sector === sector;
+}
+
+function isTicketCreator(ticket, user) {
+  if (ticket.createdByMatricula) return ticket.createdByMatricula === user.matricula;
+  // Chamados antigos só guardam o nome do criador
+  return ticket.createdBy === user.name;
+}
+
+// Origem e destino comentam e vinculam; o destino movimenta e assume
+function isTicketParticipant(ticket, user) {
+  return [ticket.originSector, ticket.destSector].includes(user.sector);
+}
+
+// Gestores do destino atribuem a qualquer membro ativo do setor; os demais membros só assumem ou largam o chamado
+function canAssignTicket(actor, current, record) {
+  if (!record.assignee) {
+    return record.assigneeName === null && (isSectorManager(actor, current.destSector) ||
+      (actor.sector === current.destSector && current.assignee === actor.matricula));
+  }
+
+  const assignee = store.get("users", record.assignee);
+  if (!assignee || assignee.sector !== current.destSector || getUserStatus(assignee) !== "ativo" || record.assigneeName !== assignee.name) {
+    return false;
+  }
+  return isSectorManager(actor, current.destSector) || (actor.sector === current.destSector && record.assignee === actor.matricula);
+}
+
+// Chamados antigos sem histórico ganham, na primeira alteração, os eventos sintéticos do portal (getTicketEvents)
+function isLegacyTicketEvent(ticket, event) {
+  return event.id === `EV-${ticket.id}-criado` || event.id === `EV-${ticket.id}-devolvido`;
+}
+
+// Cada etapa registrada no histórico precisa estar na tabela de transições, com o evento dela (o fechamento de um
+// duplicado passa por "andamento" antes de concluir, numa só gravação), e a última etapa é o status gravado
+function isValidTicketStatusChange(actor, current, record) {
+  if (actor.sector !== current.destSector || !Array.isArray(record.events)) return false;
+
+  let status = current.status;
+  const added = record.events.slice(Array.isArray(current.events) ? current.events.length : 0);
+  for (const event of added) {
+    if (isLegacyTicketEvent(current, event) || event.status === status) continue;
+    const transition = (TICKET_TRANSITIONS[status] || {})[event.status];
+    if (!transition || transition.event !== event.type) return false;
+    status = event.status;
+  }
+  return status === record.status;
+}
+
+const TICKET_FIELD_RULES = {
+  status: isValidTicketStatusChange,
+  reasonDevolvido: (actor, current, record) => record.status === "devolvido" && current.status !== "devolvido",
+  assignee: canAssignTicket,
+  assigneeName: canAssignTicket,
+  relations: (actor, current) => isTicketParticipant(current, actor),
+  comments: (actor, current, record) => isTicketParticipant(current, actor) &&
+    getAppendedItems(current.comments, record.comments, comment => comment.author === actor.matricula).length > 0,
+  attachments: (actor, current, record) => isTicketCreator(current, actor) &&
+    getAppendedItems(current.attachments, record.attachments, attachment => attachment.uploadedBy === actor.matricula).length > 0,
+  events: (actor, current, record) => {
+    const hasHistory = Array.isArray(current.events) && current.events.length > 0;
+    getAppendedItems(current.events, record.events, event =>
+      event.actor === actor.matricula || (!hasHistory && isLegacyTicketEvent(current, event)));
+    return true;
+  }
+};
+
+function authorizeTicketWrite(actor, id, method, record) {
+  const current = store.get("tickets", id);
+  if (method === "DELETE") throw forbidden();
+
+  // Novo chamado: aberto pelo próprio usuário, a partir do setor dele (os recorrentes são gerados pelo servidor)
+  if (!current) {
+    const ownEvents = Array.isArray(record.events) && record.events.every(event => event.actor === actor.matricula);
+    if (record.originSector !== actor.sector || record.status !== "aberto" || record.createdByMatricula !== actor.matricula ||
+      record.assignee || record.recurrenceId || !ownEvents) {
+      throw forbidden();
+    }
+    return;
+  }
+
+  // O histórico só muda junto com outra alteração (a transição, o vínculo...) que o justifique
+  const changed = getChangedFields(current, record);
+  if (changed.length === 1 && changed[0] === "events") throw forbidden();
+  if (!changed.every(field => TICKET_FIELD_RULES[field] && TICKET_FIELD_RULES[field](actor, current, record))) {
+    throw forbidden();
+  }
+}
+
+const SALE_FIELD_RULES = {
+  status: (actor, current, record) => !!(SALE_TRANSITIONS[current.status] || {})[record.status],
+  lossReason: (actor, current, record) => record.status === "devolvido" && current.status !== "devolvido",
+  client: () => true,
+  value: () => true,
+  date: () => true,
+  // Assumir a oportunidade
+  owner: (actor, current, record) => record.owner === actor.matricula && record.ownerName === actor.name,
+  ownerName: (actor, current, record) => record.owner === actor.matricula && record.ownerName === actor.name,
+  events: (actor, current, record) => {
+    getAppendedItems(current.events, record.events, event => event.actor === actor.matricula);
+    return true;
+  }
+};
+
+// Pipeline: só o setor de vendas configurado cadastra e movimenta; oportunidades ganhas não mudam mais
+function authorizeSaleWrite(actor, id, method, record) {
+  if (method === "DELETE" || actor.sector !== readSetting("sales_sector", DEFAULT_SALES_SECTOR)) throw forbidden();
+
+  const current = store.get("sales", id);
+  if (!current) {
+    const ownEvents = Array.isArray(record.events) && record.events.every(event => event.actor === actor.matricula);
+    if (record.status !== "lead" || record.owner !== actor.matricula || !ownEvents) throw forbidden();
+    return;
+  }
+
+  const changed = getChangedFields(current, record);
+  if (current.status === "ganho" || (changed.length === 1 && changed[0] === "events")) throw forbidden();
+  if (!changed.every(field => SALE_FIELD_RULES[field] && SALE_FIELD_RULES[field](actor, current, record))) {
+    throw forbidden();
+  }
+}
+
+// O hash da senha nunca sai do servidor: gravações sem ele mantêm o atual; só o administrador redefine senhas
+function mergeUserCredentials(actor, id, record) {
+  const current = store.get("users", id);
+  const isReset = !!record.passwordHash && getUserRole(actor) === "administrador" &&
+    JSON.stringify(record.passwordHash) !== JSON.stringify(current && current.passwordHash);
+
+  if (!isReset) {
+    delete record.passwordHash;
+    delete record.password;
+    if (current && current.passwordHash) record.passwordHash = current.passwordHash;
+    if (current && typeof current.password === "string") record.password = current.password;
+  }
+  if (isReset || getUserStatus(record) !== "ativo") {
+    sessions.removeUser(id);
+    loginThrottle.clear(id);
+  }
+}
+
+function readAuthorizedRecords(collection, auth) {
+  const items = store.list(collection);
+  if (collection === "users") return items.map(sanitizeUser);
+  if (collection === "settings" && !auth) return items.filter(item => PUBLIC_SETTINGS.includes(item.key));
+  if (collection === "settings") return items.filter(item => !isOtherUserSetting(item.key, auth.user));
+  return items;
+}
+
+// POST /session (login), DELETE /session (logout) e POST /session/password (troca obrigatória de senha)
+async function handleSession(req, res, auth, action) {
+  if (!action && req.method === "POST") return login(req, res);
+  if (!action && req.method === "DELETE") {
+    if (auth) sessions.remove(auth.token);
+    return sendJson(res, 204);
+  }
+  if (action === "password" && req.method === "POST") return changePassword(req, res, auth);
+  throw new HttpError(405, "Método não permitido.");
+}
+
+// Cadastros pendentes, recusados ou desativados recebem o perfil (para o portal explicar o motivo), mas não uma sessão
+async function login(req, res) {
+  const { matricula, password } = await readJsonBody(req);
+  if (typeof matricula !== "string" || typeof password !== "string") {
+    throw new HttpError(400, "Informe a matrícula e a senha.");
+  }
+
+  const lockedMinutes = loginThrottle.lockedMinutes(matricula);
+  if (lockedMinutes > 0) {
+    throw new HttpError(423, `Matrícula bloqueada por excesso de tentativas. Tente novamente em ${lockedMinutes} min.`, { lockedMinutes });
+  }
+
+  // Administrador padrão de TI caso não existam cadastros: a senha "admin" precisa ser trocada no primeiro acesso
+  if (store.list("users").length === 0 && matricula === DEFAULT_ADMIN_MATRICULA && password === DEFAULT_ADMIN_PASSWORD) {
+    store.put("users", matricula, {
+      matricula: matricula,
+      name: "Administrador Geral TI",
+      sector: "TI",
+      role: "administrador",
+      status: "ativo",
+      passwordHash: await hashPassword(password),
+      mustChangePassword: true
+    });
+  }
+
+  const user = store.get("users", matricula);
+  if (!user || !(await verifyPassword(user, password))) {
+    throw new HttpError(401, "Matrícula ou senha inválidas.", { attemptsLeft: loginThrottle.fail(matricula) });
+  }
+  loginThrottle.clear(matricula);
+
+  // Cadastros antigos com senha em texto puro passam a guardar só o hash
+  if (!user.passwordHash) {
+    const passwordHash = await hashPassword(password);
+    const { password: legacy, ...current } = store.get("users", matricula);
+    store.put("users", matricula, Object.assign(current, { passwordHash }));
+  }
+
+  const stored = store.get("users", matricula);
+  const token = getUserStatus(stored) === "ativo" ? sessions.create(matricula, !!stored.mustChangePassword) : null;
+  return sendJson(res, 200, { token: token, user: sanitizeUser(stored) });
+}
+
+async function changePassword(req, res, auth) {
+  if (!auth) throw new HttpError(401, "Sessão inválida ou expirada. Faça login novamente.");
+  const { password } = await readJsonBody(req);
+  if (!isStrongPassword(password) || password === DEFAULT_ADMIN_PASSWORD) {
+    throw new HttpError(400, "A nova senha não atende às regras de segurança.");
+  }
+
+  const passwordHash = await hashPassword(password);
+  const matricula = auth.user.matricula;
+  const { password: legacy, mustChangePassword, passwordResetBy, ...current } = store.get("users", matricula);
+  store.put("users", matricula, Object.assign(current, { passwordHash }));
+
+  // Sessões abertas com a senha anterior deixam de valer
+  sessions.removeUser(matricula);
+  const token = sessions.create(matricula, false);
+  return sendJson(res, 200, { token: token, user: sanitizeUser(store.get("users", matricula)) });
+}
+
+// Autocadastro (sem sessão): o acesso depende da aprovação do gestor do setor
+async function register(req, res) {
+  const { matricula, name, sector, password } = await readJsonBody(req);
+  if (![matricula, name, sector].every(value => typeof value === "string" && value.trim())) {
+    throw new HttpError(400, "Preencha todos os campos corretamente.");
+  }
+  if (!MATRICULA_PATTERN.test(matricula)) {
+    throw new HttpError(400, "A matrícula aceita apenas letras, números, ponto, hífen e sublinhado.");
+  }
+  if (!isStrongPassword(password)) {
+    throw new HttpError(400, "A senha não atende às regras de segurança.");
+  }
+
+  const passwordHash = await hashPassword(password);
+  if (store.get("users", matricula)) {
+    throw new HttpError(409, "Esta matrícula já está cadastrada no sistema.");
+  }
+  store.put("users", matricula, {
+    matricula: matricula,
+    name: name.trim(),
+    sector: sector,
+    role: "colaborador",
+    status: "pendente",
+    createdAt: new Date().toISOString(),
+    passwordHash: passwordHash
+  });
+  return sendJson(res, 201, sanitizeUser(store.get("users", matricula)));
+}
+
+// ================= ROTAS DA API =================
+async function handleApi(req, res, segments, auth) {
+  const [collection, id, subresource] = segments;
+
+  if (collection === "health" && req.method === "GET") {
+    return sendJson(res, 200, { status: "ok", collections: Object.keys(COLLECTIONS) });
+  }
+
+  if (collection === "session") {
+    if (subresource) throw new HttpError(404, "Rota não encontrada.");
+    return handleSession(req, res, auth, id);
+  }
+
+  if (collection === "register" && !id && req.method === "POST") {
+    return register(req, res);
+  }
+
+  // Antes do login só a lista de setores é visível
+  if (!(collection === "settings" && !id && req.method === "GET")) {
+    requireSession(auth);
+  }
+
+  if (collection === "stream" && req.method === "GET") {
+    return openStream(req, res);
+  }
+
+  if (collection === "attachments") {
+    if (subresource) throw new HttpError(404, "Rota não encontrada.");
+    return handleAttachments(req, res, id, auth.user);
+  }
+
+  if (collection === "ids") {
+    if (!id || subresource) throw new HttpError(404, "Rota não encontrada.");
+    return reserveRecordIds(req, res, id);
+  }
+
+  if (!COLLECTIONS[collection]) {
+    throw new HttpError(404, `Coleção desconhecida: ${collection}`);
+  }
+
+  const idField = COLLECTIONS[collection].idField;
+
+  // O histórico do chamado viaja no próprio registro (PUT), onde authorizeTicketWrite confere autor e transições
+  if (subresource) {
+    throw new HttpError(404, "Rota não encontrada.");
+  }
+
+  if (!id) {
+    if (req.method === "GET") {
+      return sendJson(res, 200, readAuthorizedRecords(collection, auth));
+    }
+    if (req.method === "POST") {
+      const record = await readJsonBody(req);
+      const recordId = record[idField];
+      if (!recordId) throw new HttpError(400, `Campo obrigatório ausente: ${idField}`);
+      if (store.get(collection, recordId)) throw new HttpError(409, `${recordId} já existe em ${collection}.`);
+      authorizeWrite(auth.user, collection, String(recordId), "POST", record);
+      if (collection === "tickets") checkRecurringOccurrence(recordId, record);
+      if (collection === "users") mergeUserCredentials(auth.user, String(recordId), record);
+      store.put(collection, recordId, record);
+      return sendJson(res, 201, collection === "users" ? sanitizeUser(store.get(collection, recordId)) : store.get(collection, recordId));
+    }
+    throw new HttpError(405, "Método não permitido.");
+  }
+
+  if (req.method === "GET") {
+    const record = collection === "settings" && isOtherUserSetting(id, auth.user) ? null : store.get(collection, id);
+    if (!record) throw new HttpError(404, `${id} não encontrado em ${collection}.`);
+    return sendJson(res, 200, collection === "users" ? sanitizeUser(record) : record);
+  }
+
+  if (req.method === "PUT") {
+    const record = await readJsonBody(req);
+    if (record[idField] !== undefined && String(record[idField]) !== id) {
+      throw new HttpError(400, `O ${idField} do corpo difere do informado na URL.`);
+    }
+    authorizeWrite(auth.user, collection, id, "PUT", record);
+    if (COLLECTIONS[collection].versioned) checkRevision(collection, id, record.revision);
+    if (collection === "tickets") checkRecurringOccurrence(id, record);
+    if (collection === "users") mergeUserCredentials(auth.user, id, record);
+    if (collection === "settings" && id === "id_counters") mergeIdCounters(record);
+    const created = store.put(collection, id, record);
+    const stored = store.get(collection, id);
+    return sendJson(res, created ? 201 : 200, collection === "users" ? sanitizeUser(stored) : stored);
+  }
+
+  if (req.method === "DELETE") {
+    authorizeWrite(auth.user, collection, id, "DELETE", null);
+    if (!store.remove(collection, id)) throw new HttpError(404, `${id} não encontrado em ${collection}.`);
+    return sendJson(res, 204);
+  }
+
+  throw new HttpError(405, "Método não permitido.");
+}
+
+// ================= ARQUIVOS ESTÁTICOS DO PORTAL =================
+function serveStatic(req, res, pathname) {
+  const relative = decodeURIComponent(pathname === "/" ? "/index.html" : pathname).replace(/^\/+/, "");
+  const filePath = path.resolve(ROOT_DIR, relative);
+  const firstSegment = relative.split("/")[0];
+
+  // Nunca expõe o banco, o código do servidor, dependências ou arquivos ocultos
+  const blocked = !filePath.startsWith(ROOT_DIR + path.sep) ||
+    ["server", "node_modules", "auto-reporter"].includes(firstSegment) ||
+    relative.split("/").some(part => part.startsWith("."));
+  const contentType = MIME_TYPES[path.extname(filePath)];
+
+  if (blocked || !contentType || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Não encontrado");
+    return;
+  }
+
+  let content = fs.readFileSync(filePath);
+
+  // O portal servido por aqui passa a usar a API em vez do localStorage
+  if (relative === "index.html") {
+    content = content.toString("utf8").replace(
+      /<meta name="rocket-api-url" content="[^"]*">/,
+      '<meta name="rocket-api-url" content="/api">'
+    );
+  }
+
+  res.writeHead(200, { "Content-Type": contentType });
+  res.end(content);
+}
+
+// ================= SERVIDOR =================
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const pathname = url.pathname;
+
+  try {
+    if (req.method === "OPTIONS") {
+      return sendJson(res, 204);
+    }
+
+    if (pathname === "/api" || pathname.startsWith("/api/")) {
+      const segments = pathname.split("/").slice(2).filter(Boolean).map(decodeURIComponent);
+      await handleApi(req, res, segments, authenticate(req, url));
+      if (req.method !== "GET" && !["session", "ids"].includes(segments[0])) broadcastChange(req.method, segments);
+      return;
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      throw new HttpError(405, "Método não permitido.");
+    }
+    serveStatic(req, res, pathname);
+  } catch (err) {
+    const status = err.status || 500;
+    if (status === 500) console.error(err);
+    if (!res.headersSent) {
+      sendJson(res, status, Object.assign({ error: status === 500 ? "Erro interno do servidor." : err.message }, err.details));
+    }
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`SISMV disponível em http://localhost:${PORT} (dados em ${DB_FILE})`);
+    runRecurringTickets();
+    setInterval(runRecurringTickets, RECURRING_CHECK_INTERVAL_MS);
+  });
+}
+
+module.exports = { server, store, attachments, generateRecurringTickets };
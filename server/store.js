@@ -0,0 +1,151 @@
+// Armazenamento em arquivo JSON do servidor SISMV
+// Cada coleção é uma lista de registros identificados por um campo próprio (matrícula para usuários, ID para o resto).
+// Nas coleções versionadas cada gravação incrementa o campo "revision", usado para detectar edições concorrentes.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const COLLECTIONS = {
+  users: { idField: "matricula", versioned: true },
+  tickets: { idField: "id", versioned: true },
+  sales: { idField: "id", versioned: true },
+  settings: { idField: "key" }
+};
+
+class FileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.filePath)) {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } else {
+      this.data = seedFromMockData();
+      this.persist();
+    }
+
+    // Garante que todas as coleções conhecidas existam (ex.: banco criado por uma versão anterior)
+    Object.keys(COLLECTIONS).forEach(name => {
+      if (!Array.isArray(this.data[name])) {
+        this.data[name] = [];
+      }
+    });
+    return this;
+  }
+
+  // Grava em arquivo temporário e renomeia, para nunca deixar o banco pela metade
+  persist() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  list(collection) {
+    return this.data[collection];
+  }
+
+  get(collection, id) {
+    const idField = COLLECTIONS[collection].idField;
+    return this.data[collection].find(item => String(item[idField]) === String(id)) || null;
+  }
+
+  // Cria ou substitui o registro; retorna true quando o registro é novo
+  put(collection, id, record) {
+    const idField = COLLECTIONS[collection].idField;
+    const items = this.data[collection];
+    const index = items.findIndex(item => String(item[idField]) === String(id));
+    const stored = Object.assign({}, record, { [idField]: id });
+    // Registros gravados antes do versionamento contam como revisão 0
+    if (COLLECTIONS[collection].versioned) {
+      stored.revision = index === -1 ? 1 : (items[index].revision || 0) + 1;
+    }
+
+    if (index === -1) {
+      items.push(stored);
+    } else {
+      items[index] = stored;
+    }
+    this.persist();
+    return index === -1;
+  }
+
+  remove(collection, id) {
+    const idField = COLLECTIONS[collection].idField;
+    const items = this.data[collection];
+    const index = items.findIndex(item => String(item[idField]) === String(id));
+    if (index === -1) return false;
+
+    items.splice(index, 1);
+    this.persist();
+    return true;
+  }
+}
+
+// Arquivos dos anexos: um arquivo binário por anexo e, ao lado, um .json com tipo, chamado e tamanho
+class AttachmentStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+  }
+
+  filePath(id) {
+    return path.join(this.dirPath, id);
+  }
+
+  get(id) {
+    const metaFile = `${this.filePath(id)}.json`;
+    if (!fs.existsSync(metaFile)) return null;
+    return { meta: JSON.parse(fs.readFileSync(metaFile, "utf8")), filePath: this.filePath(id) };
+  }
+
+  put(id, content, meta) {
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    const tmpFile = `${this.filePath(id)}.tmp`;
+    fs.writeFileSync(tmpFile, content);
+    fs.renameSync(tmpFile, this.filePath(id));
+
+    const stored = Object.assign({ id: id, size: content.length, storedAt: new Date().toISOString() }, meta);
+    fs.writeFileSync(`${this.filePath(id)}.json`, JSON.stringify(stored, null, 2));
+    return stored;
+  }
+
+  remove(id) {
+    if (!this.get(id)) return false;
+    fs.rmSync(this.filePath(id), { force: true });
+    fs.rmSync(`${this.filePath(id)}.json`, { force: true });
+    return true;
+  }
+
+  // Quantidade e bytes ocupados por todos os anexos
+  usage() {
+    if (!fs.existsSync(this.dirPath)) return { count: 0, usage: 0 };
+    return fs.readdirSync(this.dirPath)
+      .filter(name => name.endsWith(".json"))
+      .reduce((total, name) => {
+        const meta = JSON.parse(fs.readFileSync(path.join(this.dirPath, name), "utf8"));
+        return { count: total.count + 1, usage: total.usage + (meta.size || 0) };
+      }, { count: 0, usage: 0 });
+  }
+}
+
+// Reaproveita os dados de demonstração do front-end (mockData.js) para popular um banco novo
+function seedFromMockData() {
+  const mockFile = path.join(__dirname, "..", "mockData.js");
+  const seed = { users: [], tickets: [], sales: [], settings: [] };
+
+  try {
+    const source = fs.readFileSync(mockFile, "utf8");
+    const context = vm.createContext({});
+    const mock = vm.runInContext(`${source}\n;({ initialTickets, initialSales })`, context);
+    seed.tickets = mock.initialTickets;
+    seed.sales = mock.initialSales;
+  } catch (err) {
+    console.warn(`[store] Não foi possível carregar os dados de demonstração: ${err.message}`);
+  }
+
+  return seed;
+}
+
+module.exports = { FileStore, AttachmentStore, COLLECTIONS };
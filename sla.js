@@ -0,0 +1,101 @@
+// Prioridades, metas e situação do SLA dos chamados. Usado pelo portal (carregado antes do app.js), pelo servidor
+// (chamados recorrentes) e pelo auto-reporter (relatório gerencial, via require), para todos contarem os prazos igual.
+
+// Fator aplicado sobre as metas do setor (definidas para prioridade média)
+const PRIORITY_LEVELS = {
+  baixa: { label: "Baixa", factor: 2 },
+  media: { label: "Média", factor: 1 },
+  alta: { label: "Alta", factor: 0.5 },
+  critica: { label: "Crítica", factor: 0.25 }
+};
+
+const DEFAULT_SLA_POLICIES = {
+  "Vendas": { firstResponseHours: 4, resolutionHours: 24 },
+  "Admin/Financeiro": { firstResponseHours: 8, resolutionHours: 48 },
+  "TI": { firstResponseHours: 2, resolutionHours: 16 },
+  "Marketing": { firstResponseHours: 8, resolutionHours: 40 }
+};
+
+// Metas de setores criados pelo console de administração até que o administrador as ajuste
+const DEFAULT_SLA_POLICY = { firstResponseHours: 8, resolutionHours: 48 };
+
+// Fração restante do prazo abaixo da qual o chamado é considerado em risco
+const SLA_AT_RISK_THRESHOLD = 0.25;
+
+// Políticas gravadas em "sla_policies" sobre as metas padrão
+function mergeSlaPolicies(stored) {
+  return Object.assign({}, DEFAULT_SLA_POLICIES, stored);
+}
+
+function getSlaTargets(policies, destSector, priority) {
+  const policy = policies[destSector] || DEFAULT_SLA_POLICY;
+  const factor = (PRIORITY_LEVELS[priority] || PRIORITY_LEVELS.media).factor;
+  return {
+    firstResponseHours: policy.firstResponseHours * factor,
+    resolutionHours: policy.resolutionHours * factor
+  };
+}
+
+// Os prazos são congelados na abertura para que mudanças de política não alterem chamados antigos
+function computeSlaDueDates(policies, destSector, priority, createdDate) {
+  const targets = getSlaTargets(policies, destSector, priority);
+  const start = new Date(createdDate).getTime();
+  return {
+    firstResponseDue: new Date(start + targets.firstResponseHours * 3600000).toISOString(),
+    resolutionDue: new Date(start + targets.resolutionHours * 3600000).toISOString()
+  };
+}
+
+// Avalia um prazo individual: cumprido (com ou sem atraso), violado, em risco ou no prazo
+function evaluateSlaTarget(startIso, dueIso, metIso, now) {
+  const start = new Date(startIso).getTime();
+  const due = new Date(dueIso).getTime();
+
+  if (metIso) {
+    const met = new Date(metIso).getTime();
+    return { due: dueIso, metAt: metIso, state: met <= due ? 'cumprido' : 'cumprido_atraso' };
+  }
+
+  if (now > due) {
+    return { due: dueIso, metAt: null, state: 'violado' };
+  }
+
+  const remainingRatio = (due - now) / Math.max(due - start, 1);
+  return { due: dueIso, metAt: null, state: remainingRatio <= SLA_AT_RISK_THRESHOLD ? 'em_risco' : 'no_prazo' };
+}
+
+// "events" é o histórico do chamado (com os eventos sintéticos de chamados antigos, se houver)
+function getTicketSlaStatus(ticket, events, policies, now) {
+  const priority = PRIORITY_LEVELS[ticket.priority] ? ticket.priority : 'media';
+  const dueDates = ticket.sla || computeSlaDueDates(policies, ticket.destSector, priority, ticket.createdDate);
+
+  // Primeira resposta: o setor destino inicia ou devolve o chamado
+  const firstResponseEvent = events.find(ev => ev.type === 'iniciado' || ev.type === 'devolvido');
+  const firstResponseAt = firstResponseEvent ? (firstResponseEvent.timestamp || ticket.createdDate) : null;
+
+  // Resolução: último evento de conclusão
+  const doneEvents = events.filter(ev => ev.type === 'concluido');
+  const resolvedAt = ticket.status === 'concluido' && doneEvents.length > 0 ? doneEvents[doneEvents.length - 1].timestamp : null;
+
+  // Chamados antigos que já passaram da etapa sem o evento no histórico: não dá para saber quando ela foi cumprida,
+  // então ficam fora das taxas de cumprimento em vez de contarem como atendidos na abertura
+  const unknownTarget = due => ({ due: due, metAt: null, state: 'sem_registro' });
+
+  return {
+    priority: priority,
+    firstResponse: ticket.status !== 'aberto' && !firstResponseAt
+      ? unknownTarget(dueDates.firstResponseDue)
+      : evaluateSlaTarget(ticket.createdDate, dueDates.firstResponseDue, firstResponseAt, now),
+    resolution: ticket.status === 'concluido' && !resolvedAt
+      ? unknownTarget(dueDates.resolutionDue)
+      : evaluateSlaTarget(ticket.createdDate, dueDates.resolutionDue, resolvedAt, now)
+  };
+}
+
+// No navegador as funções e constantes ficam globais; no Node (servidor e auto-reporter) são exportadas
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PRIORITY_LEVELS, DEFAULT_SLA_POLICY,
+    mergeSlaPolicies, getSlaTargets, computeSlaDueDates, getTicketSlaStatus
+  };
+}
@@ -0,0 +1,69 @@
+// Service worker do SISMV: guarda a "casca" do portal (HTML, JS, CSS, bibliotecas e ícones) para abrir sem rede.
+// Os dados não passam por aqui: a API (/api) vai sempre direto à rede e o RestAdapter cuida do modo offline.
+// Troque SHELL_VERSION ao publicar para descartar o cache antigo de todos os navegadores.
+const SHELL_VERSION = "v5";
+const SHELL_CACHE = `sismv-shell-${SHELL_VERSION}`;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "app.js",
+  "cron.js",
+  "sla.js",
+  "recurring.js",
+  "workflow.js",
+  "style.css",
+  "mockData.js",
+  "manifest.webmanifest",
+  "vendor/lucide.min.js",
+  "vendor/chart.umd.min.js",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "icons/icon-512.png"
+];
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key.startsWith("sismv-shell-") && key !== SHELL_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Responde do cache na hora (a rede da loja é instável) e atualiza a cópia em segundo plano
+self.addEventListener("fetch", event => {
+  const url = new URL(event.request.url);
+  const scope = new URL(self.registration.scope);
+  if (event.request.method !== "GET" || url.origin !== scope.origin || url.pathname.startsWith(`${scope.pathname}api/`)) {
+    return;
+  }
+
+  // Qualquer navegação dentro do portal abre o index.html
+  const cacheKey = event.request.mode === "navigate" ? "index.html" : event.request;
+
+  event.respondWith(
+    caches.open(SHELL_CACHE).then(async cache => {
+      const cached = await cache.match(cacheKey, { ignoreSearch: true });
+      const network = fetch(event.request)
+        .then(response => {
+          if (response.ok) cache.put(cacheKey, response.clone());
+          return response;
+        })
+        .catch(() => null);
+
+      if (cached) {
+        event.waitUntil(network);
+        return cached;
+      }
+      return (await network) || Response.error();
+    })
+  );
+});
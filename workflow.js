@@ -0,0 +1,46 @@
+// Máquinas de estado dos chamados e das oportunidades de venda. Usado pelo portal (carregado antes do app.js) e
+// pelo servidor (via require), que recusa qualquer mudança de status fora destas tabelas.
+
+// Chamados: status atual -> status permitidos e o evento registrado no histórico
+const TICKET_TRANSITIONS = {
+  aberto: {
+    andamento: { event: 'iniciado' },
+    devolvido: { event: 'devolvido', requiresReason: true }
+  },
+  andamento: {
+    concluido: { event: 'concluido' },
+    devolvido: { event: 'devolvido', requiresReason: true }
+  },
+  devolvido: {
+    // O setor de destino pode reabrir o chamado devolvido depois que a origem complementar as informações
+    andamento: { event: 'reaberto' }
+  },
+  concluido: {}
+};
+
+// Funil de vendas: a perda exige motivo, espelhando a devolução dos chamados
+const SALE_TRANSITIONS = {
+  lead: {
+    negociacao: { label: "Iniciar Negociação", icon: "handshake", style: "iniciar" },
+    devolvido: { label: "Marcar como Perdida", icon: "x-circle", style: "devolver", requiresReason: true }
+  },
+  negociacao: {
+    proposta: { label: "Enviar Proposta", icon: "file-text", style: "iniciar" },
+    lead: { label: "Voltar para Lead", icon: "undo-2", style: "" },
+    devolvido: { label: "Marcar como Perdida", icon: "x-circle", style: "devolver", requiresReason: true }
+  },
+  proposta: {
+    ganho: { label: "Marcar como Ganha", icon: "trophy", style: "concluir" },
+    negociacao: { label: "Voltar para Negociação", icon: "undo-2", style: "" },
+    devolvido: { label: "Marcar como Perdida", icon: "x-circle", style: "devolver", requiresReason: true }
+  },
+  devolvido: {
+    lead: { label: "Reabrir como Lead", icon: "rotate-ccw", style: "" }
+  },
+  ganho: {}
+};
+
+// No navegador as tabelas ficam globais; no Node (servidor) são exportadas
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { TICKET_TRANSITIONS, SALE_TRANSITIONS };
+}